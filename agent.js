@@ -0,0 +1,466 @@
+const db = require('./database');
+const workspace = require('./workspace');
+const processes = require('./processes');
+const policy = require('./command-policy');
+const search = require('./search');
+const edits = require('./edits');
+const retrieval = require('./retrieval');
+
+// The auto-fix agent. The model works on a project through tools, one action
+// per reply, until the project's run command works or the step budget runs
+// out. An action is either
+//
+//   TOOL: name           a tool call, its arguments in a ```json block
+//   FILE/EDIT/PATCH      file changes, as in chat replies (see edits.js)
+//
+// Every step (the model's reasoning, the action and its result) is passed to
+// onStep as it happens, so the chat panel can show the whole transcript.
+
+const DEFAULT_MAX_STEPS = 12;
+const MAX_STEPS = 25;
+
+const RUN_TIMEOUT = 15000;   // Programs still running by then (servers) count as started
+const TEST_TIMEOUT = 60000;
+
+const MAX_RESULT_CHARS = 6000;       // Of each tool result the model sees
+const MAX_TRANSCRIPT_CHARS = 60000;  // Of the steps sent back with each request
+const MAX_LISTED_FILES = 300;
+const MAX_SEARCH_MATCHES = 50;
+
+const PYTHON = process.platform === 'win32' ? 'python' : 'python3';
+
+const TOOL_REGEX = /TOOL:\s*([a-z_]+)[^\S\n]*(?:\n\s*```(?:json)?[^\S\n]*\n([\s\S]*?)```)?/i;
+const BLOCK_START_REGEX = /(?:FILE|EDIT|PATCH):/i;
+const THOUGHT_REGEX = /THOUGHT:\s*([\s\S]*?)(?=\n\s*(?:TOOL|FILE|EDIT|PATCH):|$)/i;
+
+function toolError(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+// How to run the project, guessed from its files (null when there's no telling)
+function detectRunCommand(files) {
+    if (files.some(f => f.endsWith('.py'))) {
+        const main = files.find(f => /(^|\/)(main|app)\.py$/.test(f)) || files.find(f => f.endsWith('.py'));
+        return `${PYTHON} ${main}`;
+    }
+    if (files.some(f => f.endsWith('.go'))) return 'go run .';
+    const server = files.find(f => f.endsWith('.js') && f.includes('server'));
+    if (server) return `node ${server}`;
+    if (files.some(f => f.endsWith('.java'))) {
+        const main = files.find(f => f.endsWith('Main.java'));
+        return main ? `javac ${main} && java ${main.replace(/\.java$/, '')}` : 'javac *.java && java Main';
+    }
+    return null;
+}
+
+// How to run the project's tests, or null when it has none we recognize
+async function detectTestCommand(project, files) {
+    if (files.includes('package.json')) {
+        try {
+            const pkg = JSON.parse(await db.readFile(project, 'package.json'));
+            const test = pkg.scripts && pkg.scripts.test;
+            if (test && !test.includes('no test specified')) return 'npm test';
+        } catch {
+            // Not valid JSON; the model can still run commands itself
+        }
+    }
+    if (files.some(f => /(^|\/)test_[^/]*\.py$|_test\.py$/.test(f))) return `${PYTHON} -m pytest -q`;
+    if (files.some(f => f.endsWith('_test.go'))) return 'go test ./...';
+    return null;
+}
+
+// A project-relative path from tool arguments
+function toolPath(value) {
+    if (typeof value !== 'string' || !value.trim()) throw toolError('path required');
+    const filepath = value.trim().replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+    if (filepath.split('/').includes('..')) throw toolError(`Invalid path: ${value}`);
+    return filepath;
+}
+
+// The start of a long result, saying what was left out
+function clipStart(text, limit = MAX_RESULT_CHARS) {
+    return text.length > limit ? `${text.slice(0, limit)}\n… (${text.length - limit} more characters)` : text;
+}
+
+// The end of a long result (command output, where the errors are)
+function clipEnd(text, limit = MAX_RESULT_CHARS) {
+    return text.length > limit ? `… (${text.length - limit} earlier characters)\n${text.slice(-limit)}` : text;
+}
+
+function noChanges() {
+    return { created: [], modified: [], deleted: [] };
+}
+
+// The model's reply as { thought, tool, args } or, for file changes,
+// { thought, tool: 'edit', blocks }; { error } when it holds no action
+function parseAction(reply) {
+    const thoughtMatch = reply.match(THOUGHT_REGEX);
+    const thought = thoughtMatch ? thoughtMatch[1].trim() : '';
+    const call = reply.match(TOOL_REGEX);
+    const blocks = edits.parseEditBlocks(reply);
+
+    // One action per reply: whichever comes first
+    const blockAt = reply.search(BLOCK_START_REGEX);
+    if (call && (blocks.length === 0 || call.index < blockAt)) {
+        const tool = call[1].toLowerCase();
+        if (!call[2] || !call[2].trim()) return { thought, tool, args: {} };
+        try {
+            return { thought, tool, args: JSON.parse(call[2]) };
+        } catch (err) {
+            return { thought, tool, error: `Arguments are not valid JSON: ${err.message}` };
+        }
+    }
+    if (blocks.length > 0) return { thought, tool: 'edit', blocks };
+    return { thought, tool: null, error: 'Reply with exactly one TOOL call, or FILE/EDIT/PATCH blocks' };
+}
+
+// Run a command in the project's workspace: { ok, output, changes }. It is
+// one of the user's processes while it runs (see processes.js), within the
+// terminal's policy and output limit.
+// `longRunning` commands pass if they are still running at the timeout.
+// The run configuration's variables apply to every command, its folder only
+// to the configured commands (`configured`).
+async function runInWorkspace(ctx, command, { timeout, longRunning, configured = false }) {
+    let entry;
+    try {
+        entry = await processes.start(ctx.project, command, {
+            userId: ctx.userId,
+            source: 'auto-fix',
+            timeout,
+            maxOutput: policy.LIMITS.maxOutput,
+            signal: ctx.signal,
+            cwd: configured ? ctx.cwd : '',
+            env: ctx.env
+        });
+    } catch (err) {
+        if (err.status !== 403) throw err;
+        return { ok: false, output: `$ ${command}\nNot run: ${err.message}`, changes: { created: [], modified: [], deleted: [] } };
+    }
+    await entry.done;
+    const timedOut = entry.limit === 'time';
+    let status = `(exit code ${entry.exitCode})`;
+    if (timedOut) status = `(still running after ${timeout / 1000}s; stopped)`;
+    else if (entry.limit) status = `(${policy.limitMessage(entry.limit, timeout)})`;
+    const changed = workspace.describeChanges(entry.changes);
+    return {
+        ok: timedOut ? longRunning : entry.exitCode === 0,
+        output: `$ ${command}\n${clipEnd(entry.log.trim() || '(no output)')}\n${status}${changed ? `\n${changed}` : ''}`,
+        changes: entry.changes
+    };
+}
+
+// Tools by name: { args, description, run(ctx, args) -> { ok, output, changes? } }
+const TOOLS = {
+    list_files: {
+        args: '{"path": "folder (optional)"}',
+        description: 'List the project files',
+        async run(ctx, { path: folder }) {
+            const prefix = folder ? toolPath(folder).replace(/\/?$/, '/') : '';
+            const files = (await db.getAllProjectFiles(ctx.project)).filter(f => f.startsWith(prefix));
+            const shown = files.slice(0, MAX_LISTED_FILES).join('\n');
+            const more = files.length > MAX_LISTED_FILES ? `\n… and ${files.length - MAX_LISTED_FILES} more` : '';
+            return { ok: true, output: files.length > 0 ? shown + more : 'No files' };
+        }
+    },
+
+    read_file: {
+        args: '{"path": "file", "startLine": 1, "endLine": 200}',
+        description: 'Read a file, or only some of its lines',
+        async run(ctx, { path: filepath, startLine, endLine }) {
+            const file = toolPath(filepath);
+            const lines = (await db.readFile(ctx.project, file)).split('\n');
+            const from = Math.max(1, parseInt(startLine, 10) || 1);
+            const to = Math.min(lines.length, parseInt(endLine, 10) || lines.length);
+
+            // Whole lines up to the result size (at least one, however long)
+            let last = from - 1;
+            let chars = 0;
+            while (last < to && (last === from - 1 || chars + lines[last].length + 1 <= MAX_RESULT_CHARS)) {
+                chars += lines[last].length + 1;
+                last++;
+            }
+            const text = clipStart(lines.slice(from - 1, last).join('\n'));
+            const more = last < to ? `\n… (read_file with "startLine": ${last + 1} for more)` : '';
+            return { ok: true, output: `${file} (lines ${from}-${last} of ${lines.length}):\n${text}${more}` };
+        }
+    },
+
+    search: {
+        args: '{"query": "text", "regex": false}',
+        description: 'Search the contents of all files',
+        async run(ctx, { query, regex }) {
+            const files = await db.getProjectFileContents(ctx.project);
+            const results = await search.searchFiles(files, { query, regex: regex === true });
+            const lines = [];
+            for (const file of results.files) {
+                for (const match of file.matches) lines.push(`${file.filepath}:${match.line}: ${match.preview.text}`);
+            }
+            const more = lines.length > MAX_SEARCH_MATCHES ? `\n… ${lines.length - MAX_SEARCH_MATCHES} more matches` : '';
+            return { ok: true, output: lines.length > 0 ? lines.slice(0, MAX_SEARCH_MATCHES).join('\n') + more : 'No matches' };
+        }
+    },
+
+    run_command: {
+        args: '{"command": "shell command"}',
+        description: `Run a shell command in the project folder (stopped after ${RUN_TIMEOUT / 1000}s)`,
+        async run(ctx, { command }) {
+            if (typeof command !== 'string' || !command.trim()) throw toolError('command required');
+            return runInWorkspace(ctx, command.trim(), { timeout: RUN_TIMEOUT, longRunning: false });
+        }
+    },
+
+    run_tests: {
+        args: '{}',
+        description: "Run the project's tests",
+        async run(ctx) {
+            if (!ctx.testCommand) return { ok: false, output: 'This project has no tests I know how to run; use run_command' };
+            return runInWorkspace(ctx, ctx.testCommand, { timeout: TEST_TIMEOUT, longRunning: false, configured: true });
+        }
+    },
+
+    finish: {
+        args: '{"summary": "what you changed and why"}',
+        description: 'Say you are done; the project is run again to check',
+        async run(ctx) {
+            return checkProject(ctx);
+        }
+    }
+};
+
+// Run the project, then its tests: ok only if both pass
+async function checkProject(ctx) {
+    const run = await runInWorkspace(ctx, ctx.command, { timeout: RUN_TIMEOUT, longRunning: true, configured: true });
+    if (!run.ok || !ctx.testCommand) return run;
+    const tests = await runInWorkspace(ctx, ctx.testCommand, { timeout: TEST_TIMEOUT, longRunning: false, configured: true });
+    return {
+        ok: tests.ok,
+        output: `${run.output}\n\n${tests.output}`,
+        changes: mergeChanges(run.changes, tests.changes)
+    };
+}
+
+function mergeChanges(a, b) {
+    return {
+        created: [...new Set(a.created.concat(b.created))],
+        modified: [...new Set(a.modified.concat(b.modified))],
+        deleted: [...new Set(a.deleted.concat(b.deleted))]
+    };
+}
+
+// Apply FILE/EDIT/PATCH blocks to the files as they are now
+async function applyEdits(ctx, blocks) {
+    const conflicts = [];
+    const valid = [];
+    for (const block of blocks) {
+        try {
+            const filepath = toolPath(block.filepath);
+            if (!db.validFilepath(filepath)) throw toolError(`Cannot write ${filepath}`);
+            valid.push(Object.assign({}, block, { filepath }));
+        } catch (err) {
+            conflicts.push({ filepath: block.filepath, message: err.message });
+        }
+    }
+
+    const originals = {};
+    const result = await edits.applyEditBlocks(valid, async (filepath) => {
+        try {
+            originals[filepath] = await db.readFile(ctx.project, filepath);
+        } catch {
+            originals[filepath] = null;
+        }
+        return originals[filepath];
+    });
+    conflicts.push(...result.conflicts);
+
+    const changes = noChanges();
+    for (const { filepath, content } of result.files) {
+        await db.writeFile(ctx.project, filepath, content, 'auto-fix');
+        (originals[filepath] === null ? changes.created : changes.modified).push(filepath);
+    }
+
+    const lines = [];
+    if (changes.created.length) lines.push(`Created: ${changes.created.join(', ')}`);
+    if (changes.modified.length) lines.push(`Changed: ${changes.modified.join(', ')}`);
+    if (conflicts.length) lines.push(edits.formatConflicts(conflicts));
+    return { ok: conflicts.length === 0, output: lines.join('\n') || 'No changes', changes };
+}
+
+function instructions(ctx) {
+    const tools = Object.entries(TOOLS).map(([name, tool]) => `  ${name} ${tool.args}\n      ${tool.description}`).join('\n');
+    return `You are fixing a software project so that it runs without errors. You work through tools, ONE action per reply, and see each result before the next.
+
+RUN COMMAND: ${ctx.command}${ctx.testCommand ? `\nTEST COMMAND: ${ctx.testCommand}` : ''}${ctx.cwd ? `\nFOLDER (where ${ctx.testCommand ? 'both run' : 'it runs'}): ${ctx.cwd}` : ''}
+
+TOOLS:
+${tools}
+
+Call a tool like this:
+
+THOUGHT: one or two sentences on what you're doing
+TOOL: read_file
+\`\`\`json
+{"path": "app.py"}
+\`\`\`
+
+To change files, reply with a THOUGHT and EDIT blocks instead of a TOOL call:
+
+EDIT: app.py
+\`\`\`
+<<<<<<< SEARCH
+lines copied EXACTLY from the file, enough to be unique
+=======
+the fixed lines
+>>>>>>> REPLACE
+\`\`\`
+
+A unified diff also works (PATCH: path, then a \`\`\`diff block with @@ hunks), and FILE: path with the complete content creates a new file.
+
+RULES:
+1. Read a file before changing it; SEARCH sections must match it exactly
+2. Change as little as needed to fix the error
+3. When the run command should work, call finish`;
+}
+
+// Keep the task and as many of the latest steps as fit
+function fitTranscript(turns) {
+    let chars = turns.reduce((sum, t) => sum + t.content.length, 0);
+    let drop = 0;
+    while (chars > MAX_TRANSCRIPT_CHARS && 1 + drop + 2 < turns.length) {
+        chars -= turns[1 + drop].content.length + turns[2 + drop].content.length;
+        drop += 2;
+    }
+    return [turns[0]].concat(turns.slice(1 + drop));
+}
+
+// Arguments as shown in the transcript: file changes by path only
+function stepArgs(action) {
+    if (action.tool !== 'edit') return action.args || {};
+    return { files: [...new Set(action.blocks.map(b => b.filepath))] };
+}
+
+// Fix the project. It is run with `configuration` ({ command, cwd, env,
+// testCommand }, see db.listRunConfigurations), or `command` and guessed
+// tests without one. `callAI(prompt, { history, signal })` asks the model and
+// `relatedCode(text)` finds chunks of the project's code (see retrieval.js)
+// related to the first error; onStep({ step, thought, tool, args, ok, output,
+// changes }) gets each step. Commands run as processes of `userId`.
+// Returns { success, message, command, steps }.
+async function runAgent({ project, userId, configuration, command, goal, maxSteps = DEFAULT_MAX_STEPS, callAI, relatedCode, onStep, signal }) {
+    const files = await db.getAllProjectFiles(project);
+    const ctx = configuration
+        ? {
+            project,
+            userId,
+            signal,
+            command: configuration.command,
+            cwd: configuration.cwd,
+            env: configuration.env,
+            testCommand: configuration.testCommand
+        }
+        : {
+            project,
+            userId,
+            signal,
+            command: command || detectRunCommand(files),
+            cwd: '',
+            env: {},
+            testCommand: await detectTestCommand(project, files)
+        };
+    const steps = [];
+    const record = (step) => {
+        steps.push(step);
+        if (onStep) onStep(step);
+    };
+
+    if (!ctx.command) {
+        return {
+            success: false,
+            message: 'Could not determine how to run your project. Please add a run configuration.',
+            command: null,
+            steps
+        };
+    }
+
+    // Step 0: see whether there is anything to fix
+    const first = await checkProject(ctx);
+    record({ step: 0, thought: 'Running the project to see what fails.', tool: 'run_command', args: { command: ctx.command }, ok: first.ok, output: first.output, changes: first.changes });
+    if (first.ok) {
+        return { success: true, message: '✅ **Success!** Your code runs without errors; nothing needed fixing.', command: ctx.command, steps };
+    }
+
+    let related = '';
+    if (relatedCode) {
+        try {
+            const chunks = await relatedCode(first.output);
+            if (chunks.length > 0) related = `\n\nCode that may be related:\n${retrieval.formatSnippets(chunks)}`;
+        } catch (err) {
+            console.log('Could not retrieve project context:', err.message);
+        }
+    }
+    const turns = [{
+        role: 'user',
+        content: `${instructions(ctx)}\n\n${goal ? `USER REQUEST: ${goal}\n\n` : ''}Project files:\n${clipStart(files.join('\n'), 3000)}\n\nThe run command fails:\n${first.output}${related}`
+    }];
+
+    for (let step = 1; step <= maxSteps; step++) {
+        if (signal && signal.aborted) break;
+
+        const context = fitTranscript(turns);
+        const reply = await callAI(context[context.length - 1].content, { history: context.slice(0, -1), signal });
+        turns.push({ role: 'assistant', content: reply });
+
+        const action = parseAction(reply);
+        let result;
+        if (action.error) {
+            result = { ok: false, output: action.error };
+        } else if (action.tool === 'edit') {
+            result = await applyEdits(ctx, action.blocks);
+        } else if (!TOOLS[action.tool]) {
+            result = { ok: false, output: `Unknown tool: ${action.tool}. Tools: ${Object.keys(TOOLS).join(', ')}` };
+        } else {
+            try {
+                result = await TOOLS[action.tool].run(ctx, action.args || {});
+            } catch (err) {
+                if (signal && signal.aborted) throw err;
+                result = { ok: false, output: `Error: ${err.message}` };
+            }
+        }
+
+        const tool = action.tool === 'edit'
+            ? (action.blocks.every(b => b.type === 'file') ? 'write_file' : 'patch_file')
+            : action.tool;
+        record({ step, thought: action.thought, tool, args: stepArgs(action), ok: result.ok, output: result.output, changes: result.changes || noChanges() });
+
+        if (action.tool === 'finish' && result.ok) {
+            const summary = action.args && typeof action.args.summary === 'string' ? action.args.summary.trim() : '';
+            return {
+                success: true,
+                message: `✅ **Success!** Your code runs without errors after ${step} step(s).${summary ? `\n\n${summary}` : ''}`,
+                command: ctx.command,
+                steps
+            };
+        }
+        const note = action.tool === 'finish' ? 'The project still fails, so you are not done:\n' : '';
+        turns.push({ role: 'user', content: `RESULT of ${tool}:\n${note}${result.output}\n\nNext action (${maxSteps - step} step(s) left):` });
+    }
+
+    return {
+        success: false,
+        message: signal && signal.aborted
+            ? 'Auto-fix stopped.'
+            : `❌ Could not fix the project in ${maxSteps} steps. Review the steps above.`,
+        command: ctx.command,
+        steps
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_STEPS,
+    MAX_STEPS,
+    detectRunCommand,
+    detectTestCommand,
+    parseAction,
+    runAgent
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+
+// AI backends. Each provider takes an OpenAI-style chat completion body
+// ({ model, messages, temperature, max_tokens }) and returns the reply text,
+// streaming it to `onToken` when given one.
+//
+// Configuration (see .env.example):
+//   AI_PROVIDER          default provider id (huggingface)
+//   HF_TOKEN             Hugging Face router token
+//   OPENAI_BASE_URL      any OpenAI-compatible server, e.g. http://localhost:11434/v1 (Ollama)
+//   OPENAI_API_KEY       optional key for it
+//   OPENAI_MODEL         its default model (else the first one it lists)
+//   OPENAI_VISION_MODEL  a model that accepts images, if any
+//   MOCK_AI_REPLY        fixed reply for the mock provider
+
+const MODELS_CACHE_MS = 60000;
+
+// Read a streamed (SSE) chat completion, passing each text delta to onToken
+async function readCompletionStream(resp, onToken) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    for await (const chunk of resp.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return text;
+
+            let delta = '';
+            try {
+                const data = JSON.parse(payload);
+                delta = data?.choices?.[0]?.delta?.content || '';
+            } catch {
+                continue; // Keep-alive or partial line
+            }
+            if (delta) {
+                text += delta;
+                onToken(delta);
+            }
+        }
+    }
+    return text;
+}
+
+function providerError(message, status = 502) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// A provider speaking the OpenAI chat completions API at `baseUrl`
+function openAICompatible({ id, label, baseUrl, apiKey, missingKey, defaultModel, visionModel, models }) {
+    let modelCache = null;
+
+    const headers = () => {
+        const result = { 'Content-Type': 'application/json' };
+        if (apiKey()) result.Authorization = `Bearer ${apiKey()}`;
+        return result;
+    };
+
+    const provider = {
+        id,
+        label,
+        configured: () => !!baseUrl() && (!missingKey || !!apiKey()),
+        defaultModel: () => defaultModel() || (modelCache && modelCache.models[0]) || null,
+        visionModel,
+
+        async listModels() {
+            if (models) return models;
+            if (modelCache && Date.now() - modelCache.at < MODELS_CACHE_MS) return modelCache.models;
+
+            let list = [];
+            try {
+                const resp = await fetch(`${baseUrl()}/models`, { headers: headers() });
+                if (resp.ok) {
+                    const data = await resp.json();
+                    list = (data.data || data.models || []).map(m => m.id || m.name).filter(Boolean);
+                }
+            } catch (err) {
+                console.error(`${label} model list error:`, err.message);
+            }
+            if (defaultModel() && !list.includes(defaultModel())) list.unshift(defaultModel());
+            modelCache = { at: Date.now(), models: list };
+            return list;
+        },
+
+        async complete(body, { onToken, signal } = {}) {
+            if (!baseUrl()) throw providerError(`${label} is not configured`, 503);
+            if (missingKey && !apiKey()) throw new Error(missingKey);
+
+            if (!body.model) {
+                await provider.listModels();
+                body = Object.assign({}, body, { model: provider.defaultModel() });
+            }
+            const streaming = typeof onToken === 'function';
+
+            const resp = await fetch(`${baseUrl()}/chat/completions`, {
+                method: 'POST',
+                headers: headers(),
+                body: JSON.stringify(streaming ? Object.assign({}, body, { stream: true }) : body),
+                signal
+            });
+            if (!resp.ok) {
+                const errorText = await resp.text();
+                throw providerError(`${label} error ${resp.status}: ${errorText}`);
+            }
+
+            if (streaming) {
+                return (await readCompletionStream(resp, onToken)).trim() || 'No response.';
+            }
+            const data = await resp.json();
+            return data?.choices?.[0]?.message?.content?.trim() || data?.choices?.[0]?.text || 'No response.';
+        }
+    };
+    return provider;
+}
+
+const huggingface = openAICompatible({
+    id: 'huggingface',
+    label: 'Hugging Face',
+    baseUrl: () => 'https://router.huggingface.co/v1',
+    apiKey: () => process.env.HF_TOKEN,
+    missingKey: 'HF_TOKEN missing',
+    defaultModel: () => 'deepseek-ai/DeepSeek-V3',
+    visionModel: () => 'meta-llama/Llama-3.2-11B-Vision-Instruct',
+    models: [
+        'deepseek-ai/DeepSeek-V3',
+        'meta-llama/Llama-3.3-70B-Instruct',
+        'Qwen/Qwen2.5-Coder-32B-Instruct',
+        'meta-llama/Llama-3.2-11B-Vision-Instruct'
+    ]
+});
+
+const openai = openAICompatible({
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    baseUrl: () => (process.env.OPENAI_BASE_URL || '').replace(/\/+$/, ''),
+    apiKey: () => process.env.OPENAI_API_KEY,
+    defaultModel: () => process.env.OPENAI_MODEL || null,
+    visionModel: () => process.env.OPENAI_VISION_MODEL || null
+});
+
+// Offline provider for development and tests: the same prompt always gets
+// the same reply, streamed a word at a time
+const mock = {
+    id: 'mock',
+    label: 'Mock (offline)',
+    configured: () => true,
+    defaultModel: () => 'mock-echo',
+    visionModel: () => 'mock-echo',
+
+    async listModels() {
+        return ['mock-echo'];
+    },
+
+    async complete(body, { onToken, signal } = {}) {
+        const last = body.messages[body.messages.length - 1] || { content: '' };
+        const prompt = typeof last.content === 'string'
+            ? last.content
+            : last.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+        const hash = crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 8);
+        const reply = process.env.MOCK_AI_REPLY || `Mock reply ${hash} from ${body.model || 'mock-echo'} to a ${prompt.length}-character prompt.`;
+
+        if (onToken) {
+            for (const token of reply.match(/\S+\s*|\s+/g) || []) {
+                if (signal && signal.aborted) throw providerError('Aborted', 499);
+                onToken(token);
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+        return reply;
+    }
+};
+
+const PROVIDERS = [huggingface, openai, mock];
+
+function defaultProviderId() {
+    return process.env.AI_PROVIDER || 'huggingface';
+}
+
+function getProvider(id) {
+    const provider = PROVIDERS.find(p => p.id === (id || defaultProviderId()));
+    if (!provider) throw providerError(`Unknown AI provider: ${id}`, 400);
+    return provider;
+}
+
+function isProvider(id) {
+    return PROVIDERS.some(p => p.id === id);
+}
+
+// Providers with their models, for the model picker
+async function listProviders() {
+    return Promise.all(PROVIDERS.map(async (p) => {
+        const configured = p.configured();
+        const models = configured ? await p.listModels() : [];
+        return {
+            id: p.id,
+            label: p.label,
+            configured,
+            defaultModel: configured ? p.defaultModel() : null,
+            visionModel: configured ? p.visionModel() : null,
+            models
+        };
+    }));
+}
+
+module.exports = {
+    getProvider,
+    isProvider,
+    listProviders,
+    defaultProviderId
+};
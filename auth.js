@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('./database');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'noscode_session';
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Passwords are stored as "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hashHex] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Returns an error message, or null when the credentials are acceptable
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return 'Username must be 3-32 characters: letters, numbers, dots, dashes or underscores';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Only a hash of the token is stored, so a leaked sessions table can't be replayed
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch {
+            cookies[name] = value;
+        }
+    }
+    return cookies;
+}
+
+// Create a session for the user and set its cookie on the response
+async function startSession(res, userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL);
+    await db.createSession(hashToken(token), userId, expiresAt);
+
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL,
+        path: '/'
+    });
+}
+
+async function endSession(req, res) {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) {
+        await db.deleteSession(hashToken(token));
+    }
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Guests own their free-form chats through a random id only they hold,
+// stored (like session tokens) only as a hash
+const GUEST_ID_PATTERN = /^guest_[0-9a-f]{32}$/;
+
+function newGuestId() {
+    return `guest_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function isGuestId(id) {
+    return typeof id === 'string' && GUEST_ID_PATTERN.test(id);
+}
+
+function hashGuestId(id) {
+    return hashToken(id);
+}
+
+// Resolve the logged-in user from the session cookie, or null
+async function getRequestUser(req) {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!token) return null;
+    return db.getSessionUser(hashToken(token));
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    validateCredentials,
+    startSession,
+    endSession,
+    getRequestUser,
+    newGuestId,
+    isGuestId,
+    hashGuestId
+};
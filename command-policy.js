@@ -0,0 +1,118 @@
+// Limits and policy for commands run in project workspaces: from the
+// terminal (/api/terminal/run and terminal sessions), with Run, and by the
+// auto-fix agent. Each deployment sets its own with environment variables:
+//
+//   TERMINAL_TIMEOUT          seconds a command may run (30)
+//   TERMINAL_SERVER_TIMEOUT   seconds a background server may run (3600)
+//   TERMINAL_CPU_SECONDS      CPU time of each of its processes (60)
+//   TERMINAL_MEMORY_MB        virtual memory of each of its processes (1024)
+//   TERMINAL_MAX_OUTPUT_KB    output after which it is stopped (1024)
+//   TERMINAL_ALLOW            programs allowed, comma-separated; unset allows all
+//   TERMINAL_DENY             programs (or /regular expressions/ matched against
+//                             the whole command) never run; replaces the default
+//
+// 0 turns a limit off. CPU time and memory are enforced with ulimit, which
+// Windows doesn't have, so there only time and output are limited. Terminal
+// sessions get the CPU time and memory limits only: their commands run for
+// as long as the user wants and print to the session.
+//
+// The policy guards against mistakes, not attackers: a shell has too many
+// ways to start a program for a list of names to be a sandbox.
+
+const DEFAULT_DENY = ['sudo', 'su', 'doas', 'shutdown', 'reboot', 'halt', 'poweroff', 'mkfs', 'mount', 'umount', 'pkill', 'killall'];
+
+// Prefixes that run the program named after them
+const WRAPPERS = new Set(['env', 'nohup', 'exec', 'time', 'command', 'nice', 'builtin']);
+
+// A process that used up its CPU time gets SIGXCPU; a shell reports that as 128 + 24
+const SIGXCPU_EXIT_CODE = 152;
+
+function numberSetting(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === '') return fallback;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+function listSetting(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined) return fallback;
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const LIMITS = {
+    timeout: numberSetting('TERMINAL_TIMEOUT', 30) * 1000,
+    serverTimeout: numberSetting('TERMINAL_SERVER_TIMEOUT', 3600) * 1000,
+    cpuSeconds: numberSetting('TERMINAL_CPU_SECONDS', 60),
+    memoryMB: numberSetting('TERMINAL_MEMORY_MB', 1024),
+    maxOutput: numberSetting('TERMINAL_MAX_OUTPUT_KB', 1024) * 1024
+};
+
+const ALLOW = listSetting('TERMINAL_ALLOW', null);
+const DENY = listSetting('TERMINAL_DENY', DEFAULT_DENY);
+
+const denyPatterns = DENY.filter(rule => rule.length > 2 && rule.startsWith('/') && rule.endsWith('/'))
+    .map(rule => new RegExp(rule.slice(1, -1)));
+const deniedPrograms = new Set(DENY.filter(rule => !(rule.length > 2 && rule.startsWith('/') && rule.endsWith('/'))));
+
+// The programs a command line starts: the first word of each command in
+// it, after variable assignments and wrappers like `env` or `nice -n 10`
+function commandPrograms(command) {
+    const programs = [];
+    for (const part of command.split(/[;&|\n()`]|\$\(/)) {
+        const words = part.trim().split(/\s+/).filter(Boolean);
+        let i = 0;
+        let wrapped = false;
+        while (i < words.length && (/^[A-Za-z_][A-Za-z0-9_]*=/.test(words[i]) || words[i] === '!' ||
+            WRAPPERS.has(words[i]) || (wrapped && /^-|^\d+$/.test(words[i])))) {
+            wrapped = wrapped || WRAPPERS.has(words[i]);
+            i++;
+        }
+        if (i < words.length) {
+            const word = words[i].replace(/^['"]|['"]$/g, '');
+            programs.push(word.split(/[\\/]/).pop().replace(/\.exe$/i, ''));
+        }
+    }
+    return programs;
+}
+
+// Why the policy refuses a command, or null if it may run
+function checkCommand(command) {
+    const pattern = denyPatterns.find(p => p.test(command));
+    if (pattern) return `Commands matching ${pattern} are not allowed here`;
+    for (const program of commandPrograms(command)) {
+        if (deniedPrograms.has(program)) return `${program} is not allowed here`;
+        if (ALLOW && !ALLOW.includes(program)) return `${program} is not in the allowed commands (${ALLOW.join(', ')})`;
+    }
+    return null;
+}
+
+// The command with the CPU time and memory limits applied. The soft CPU
+// limit sends SIGXCPU; the hard one, a little later, kills outright.
+function limitedCommand(command) {
+    if (process.platform === 'win32') return command;
+    const limits = [];
+    if (LIMITS.cpuSeconds) limits.push(`ulimit -S -t ${LIMITS.cpuSeconds}`, `ulimit -H -t ${LIMITS.cpuSeconds + 5}`);
+    if (LIMITS.memoryMB) limits.push(`ulimit -v ${LIMITS.memoryMB * 1024}`);
+    return limits.length ? `${limits.join('; ')}; ${command}` : command;
+}
+
+function exceededCPU(exitCode, signal) {
+    return signal === 'SIGXCPU' || (process.platform !== 'win32' && exitCode === SIGXCPU_EXIT_CODE);
+}
+
+// What to tell the user about a command stopped at a limit ('time', 'output'
+// or 'cpu'; see processes.js) after `timeout` ms
+function limitMessage(limit, timeout) {
+    if (limit === 'time') return `Stopped after ${timeout / 1000}s`;
+    if (limit === 'output') return `Stopped: more than ${LIMITS.maxOutput / 1024} KB of output`;
+    return `Stopped: used more than ${LIMITS.cpuSeconds}s of CPU time`;
+}
+
+module.exports = {
+    LIMITS,
+    checkCommand,
+    limitedCommand,
+    exceededCPU,
+    limitMessage
+};
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const retrieval = require('./retrieval');
 
 // Log environment check
 console.log('NODE_ENV:', process.env.NODE_ENV);
@@ -14,15 +15,60 @@ const pool = new Pool({
 async function initDatabase() {
     const client = await pool.connect();
     try {
+        // Create users table
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                username VARCHAR(64) UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Create sessions table (token_hash is a SHA-256 of the cookie token)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                token_hash VARCHAR(64) PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
         // Create projects table
         await client.query(`
             CREATE TABLE IF NOT EXISTS projects (
                 id SERIAL PRIMARY KEY,
-                name VARCHAR(255) UNIQUE NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
                 created_at TIMESTAMP DEFAULT NOW()
             )
         `);
 
+        // Projects created before accounts existed have no owner
+        await client.query(`
+            ALTER TABLE projects
+            ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE
+        `);
+
+        // Project names are unique per owner, not globally
+        await client.query('ALTER TABLE projects DROP CONSTRAINT IF EXISTS projects_name_key');
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_owner_name
+            ON projects(owner_id, name)
+        `);
+
+        // Create project_members table (users a project is shared with)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS project_members (
+                project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                role VARCHAR(16) NOT NULL CHECK (role IN ('viewer', 'editor', 'owner')),
+                created_at TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY (project_id, user_id)
+            )
+        `);
+
         // Create files table
         await client.query(`
             CREATE TABLE IF NOT EXISTS files (
@@ -36,17 +82,184 @@ async function initDatabase() {
             )
         `);
 
+        // Files written before the retrieval index existed are indexed on first use
+        await client.query(`
+            ALTER TABLE files ADD COLUMN IF NOT EXISTS indexed BOOLEAN NOT NULL DEFAULT FALSE
+        `);
+
+        // Create file_chunks table (the retrieval index; terms maps each term to its count)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS file_chunks (
+                id SERIAL PRIMARY KEY,
+                project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+                filepath VARCHAR(500) NOT NULL,
+                start_line INTEGER NOT NULL,
+                end_line INTEGER NOT NULL,
+                content TEXT NOT NULL,
+                terms JSONB NOT NULL,
+                length INTEGER NOT NULL
+            )
+        `);
+
+        // Create file_revisions table (content is NULL for deletions)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS file_revisions (
+                id SERIAL PRIMARY KEY,
+                project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+                filepath VARCHAR(500) NOT NULL,
+                content TEXT,
+                source VARCHAR(32) NOT NULL,
+                user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Create project_ai_settings table (NULL columns use the server defaults)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS project_ai_settings (
+                project_id INTEGER PRIMARY KEY REFERENCES projects(id) ON DELETE CASCADE,
+                provider VARCHAR(32),
+                model VARCHAR(255),
+                temperature REAL,
+                max_tokens INTEGER,
+                instructions TEXT,
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Settings saved before models and sampling options were configurable
+        await client.query(`
+            ALTER TABLE project_ai_settings
+            ADD COLUMN IF NOT EXISTS model VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS temperature REAL,
+            ADD COLUMN IF NOT EXISTS max_tokens INTEGER,
+            ADD COLUMN IF NOT EXISTS instructions TEXT
+        `);
+
+        // Create user_settings table (editor preferences that follow the account)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_settings (
+                user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                ai_completions BOOLEAN NOT NULL DEFAULT TRUE,
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Create chat_threads table (a NULL title is named after its first message)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS chat_threads (
+                id SERIAL PRIMARY KEY,
+                project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+                title VARCHAR(200),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
         // Create chat_history table
         await client.query(`
             CREATE TABLE IF NOT EXISTS chat_history (
                 id SERIAL PRIMARY KEY,
                 project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+                thread_id INTEGER REFERENCES chat_threads(id) ON DELETE CASCADE,
                 user_message TEXT NOT NULL,
                 ai_response TEXT NOT NULL,
                 timestamp TIMESTAMP DEFAULT NOW()
             )
         `);
 
+        // History saved before threads existed becomes one thread per project
+        await client.query(`
+            ALTER TABLE chat_history
+            ADD COLUMN IF NOT EXISTS thread_id INTEGER REFERENCES chat_threads(id) ON DELETE CASCADE
+        `);
+        await client.query(`
+            WITH created AS (
+                INSERT INTO chat_threads (project_id, title, created_at, updated_at)
+                SELECT project_id, 'Earlier chat', MIN(timestamp), MAX(timestamp)
+                FROM chat_history
+                WHERE thread_id IS NULL AND project_id IS NOT NULL
+                GROUP BY project_id
+                RETURNING id, project_id
+            )
+            UPDATE chat_history SET thread_id = created.id
+            FROM created
+            WHERE chat_history.project_id = created.project_id AND chat_history.thread_id IS NULL
+        `);
+
+        // Create conversations table (free-form chats; guest_hash is a SHA-256 of the guest id)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS conversations (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                guest_hash VARCHAR(64),
+                title VARCHAR(200),
+                model VARCHAR(255),
+                provider VARCHAR(32),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Create conversation_messages table
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS conversation_messages (
+                id SERIAL PRIMARY KEY,
+                conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+                role VARCHAR(16) NOT NULL CHECK (role IN ('user', 'assistant')),
+                content TEXT NOT NULL,
+                model VARCHAR(255),
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Create run_configurations table (cwd is relative to the project root, env a { NAME: value } object)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS run_configurations (
+                id SERIAL PRIMARY KEY,
+                project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                command TEXT NOT NULL,
+                cwd VARCHAR(1024) NOT NULL DEFAULT '',
+                env JSONB NOT NULL DEFAULT '{}',
+                test_command TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE(project_id, name)
+            )
+        `);
+
+        // Create terminal_audit table (commands run in project workspaces; status
+        // is denied, running, exited, killed or limit, limit_exceeded says which,
+        // or input for lines typed to a program running in a terminal session)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS terminal_audit (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+                command TEXT NOT NULL,
+                status VARCHAR(16) NOT NULL,
+                reason TEXT,
+                exit_code INTEGER,
+                signal VARCHAR(16),
+                limit_exceeded VARCHAR(16),
+                started_at TIMESTAMP DEFAULT NOW(),
+                ended_at TIMESTAMP
+            )
+        `);
+
+        // Where the command came from: terminal, run (the Run button) or auto-fix
+        await client.query(`
+            ALTER TABLE terminal_audit
+            ADD COLUMN IF NOT EXISTS source VARCHAR(16) NOT NULL DEFAULT 'terminal'
+        `);
+
+        // The configuration Run and auto-fix use
+        await client.query(`
+            ALTER TABLE projects
+            ADD COLUMN IF NOT EXISTS run_configuration_id INTEGER REFERENCES run_configurations(id) ON DELETE SET NULL
+        `);
+
         // Create index for faster queries
         await client.query(`
             CREATE INDEX IF NOT EXISTS idx_files_project 
@@ -58,6 +271,61 @@ async function initDatabase() {
             ON chat_history(project_id)
         `);
 
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_chat_thread 
+            ON chat_history(thread_id, id)
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_chat_threads_project 
+            ON chat_threads(project_id, updated_at)
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_revisions_file 
+            ON file_revisions(project_id, filepath, id)
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_file_chunks_file 
+            ON file_chunks(project_id, filepath)
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_file_chunks_terms 
+            ON file_chunks USING GIN (terms)
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_terminal_audit_project 
+            ON terminal_audit(project_id, id)
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_conversations_user 
+            ON conversations(user_id, updated_at)
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_conversations_guest 
+            ON conversations(guest_hash, updated_at)
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_conversation_messages 
+            ON conversation_messages(conversation_id, id)
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_projects_owner 
+            ON projects(owner_id)
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_project_members_user 
+            ON project_members(user_id)
+        `);
+
         console.log('✅ Database initialized successfully');
     } catch (err) {
         console.error('❌ Database initialization error:', err);
@@ -67,37 +335,215 @@ async function initDatabase() {
     }
 }
 
-// Project operations
-async function listProjects() {
+// User operations
+async function createUser(username, passwordHash) {
+    const result = await pool.query(
+        'INSERT INTO users (username, password_hash) VALUES ($1, $2) ON CONFLICT (username) DO NOTHING RETURNING id, username',
+        [username, passwordHash]
+    );
+    return result.rows[0] || null;
+}
+
+async function getUserByUsername(username) {
     const result = await pool.query(
-        'SELECT name FROM projects ORDER BY created_at DESC'
+        'SELECT id, username, password_hash FROM users WHERE username = $1',
+        [username]
     );
-    return result.rows.map(row => row.name);
+    return result.rows[0] || null;
 }
 
-async function createProject(name) {
+async function countUsers() {
+    const result = await pool.query('SELECT COUNT(*) as count FROM users');
+    return parseInt(result.rows[0].count);
+}
+
+// Hand projects from before accounts existed to a user
+async function claimUnownedProjects(userId) {
+    await pool.query('UPDATE projects SET owner_id = $1 WHERE owner_id IS NULL', [userId]);
+}
+
+// Session operations
+async function createSession(tokenHash, userId, expiresAt) {
     await pool.query(
-        'INSERT INTO projects (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
-        [name]
+        'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+        [tokenHash, userId, expiresAt]
     );
 }
 
-async function deleteProject(name) {
-    await pool.query('DELETE FROM projects WHERE name = $1', [name]);
+async function getSessionUser(tokenHash) {
+    const result = await pool.query(`
+        SELECT users.id, users.username
+        FROM sessions
+        JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = $1 AND sessions.expires_at > NOW()
+    `, [tokenHash]);
+    return result.rows[0] || null;
+}
+
+async function deleteSession(tokenHash) {
+    await pool.query('DELETE FROM sessions WHERE token_hash = $1', [tokenHash]);
+}
+
+async function deleteExpiredSessions() {
+    await pool.query('DELETE FROM sessions WHERE expires_at <= NOW()');
+}
+
+// Project roles, weakest first. A project's owner_id always has "owner";
+// anyone else gets their role from project_members.
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+function hasRole(project, minRole) {
+    return !!project && PROJECT_ROLES.indexOf(project.role) >= PROJECT_ROLES.indexOf(minRole);
 }
 
-async function getProjectId(name) {
+// Project-scoped operations take the access object from getProjectAccess()
+// and refuse to run unless the caller's role is high enough
+function checkRole(project, minRole) {
+    if (!project || !project.id) throw new Error('Project not found');
+    if (!hasRole(project, minRole)) {
+        const err = new Error(`You need ${minRole} access to this project`);
+        err.status = 403;
+        throw err;
+    }
+    return project.id;
+}
+
+// Projects are addressed as "name" (your own) or "owner/name" (shared with you)
+function projectRef(owner, name, username) {
+    return owner === username ? name : `${owner}/${name}`;
+}
+
+// Project operations
+async function listProjects(user) {
+    const result = await pool.query(`
+        SELECT p.id, p.name, owners.username AS owner,
+               CASE WHEN p.owner_id = $1 THEN 'owner' ELSE m.role END AS role
+        FROM projects p
+        JOIN users owners ON owners.id = p.owner_id
+        LEFT JOIN project_members m ON m.project_id = p.id AND m.user_id = $1
+        WHERE p.owner_id = $1 OR m.user_id = $1
+        ORDER BY p.created_at DESC
+    `, [user.id]);
+    return result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        owner: row.owner,
+        role: row.role,
+        ref: projectRef(row.owner, row.name, user.username)
+    }));
+}
+
+// Returns the new project's access object. Without an owner (the migration
+// script) an existing project of the same name is reused.
+async function createProject(name, ownerId = null) {
+    const existing = await pool.query(
+        'SELECT id FROM projects WHERE name = $1 AND owner_id IS NOT DISTINCT FROM $2',
+        [name, ownerId]
+    );
+    if (existing.rows.length > 0) {
+        if (ownerId !== null) throw new Error('A project with this name already exists');
+        return { id: existing.rows[0].id, name, role: 'owner', userId: ownerId, ref: name };
+    }
+
     const result = await pool.query(
-        'SELECT id FROM projects WHERE name = $1',
-        [name]
+        'INSERT INTO projects (name, owner_id) VALUES ($1, $2) RETURNING id',
+        [name, ownerId]
     );
-    return result.rows[0]?.id || null;
+    return { id: result.rows[0].id, name, role: 'owner', userId: ownerId, ref: name };
+}
+
+// Resolve a project reference for a user: { id, name, owner, role, userId, ref } or null
+async function getProjectAccess(ref, user) {
+    const slash = ref.indexOf('/');
+    const owner = slash < 0 ? user.username : ref.slice(0, slash);
+    const name = slash < 0 ? ref : ref.slice(slash + 1);
+
+    const result = await pool.query(`
+        SELECT p.id, p.name, owners.username AS owner,
+               CASE WHEN p.owner_id = $3 THEN 'owner' ELSE m.role END AS role
+        FROM projects p
+        JOIN users owners ON owners.id = p.owner_id
+        LEFT JOIN project_members m ON m.project_id = p.id AND m.user_id = $3
+        WHERE owners.username = $1 AND p.name = $2
+        AND (p.owner_id = $3 OR m.user_id IS NOT NULL)
+    `, [owner, name, user.id]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+    return { ...row, userId: user.id, ref: projectRef(row.owner, row.name, user.username) };
+}
+
+// The user's current role on a project by id, or null
+async function getProjectRole(projectId, userId) {
+    const result = await pool.query(`
+        SELECT CASE WHEN p.owner_id = $2 THEN 'owner' ELSE m.role END AS role
+        FROM projects p
+        LEFT JOIN project_members m ON m.project_id = p.id AND m.user_id = $2
+        WHERE p.id = $1
+    `, [projectId, userId]);
+    return result.rows[0]?.role || null;
+}
+
+async function deleteProject(project) {
+    const projectId = checkRole(project, 'owner');
+    await pool.query('DELETE FROM projects WHERE id = $1', [projectId]);
+}
+
+// Sharing operations
+async function listProjectMembers(project) {
+    const projectId = checkRole(project, 'viewer');
+    const result = await pool.query(`
+        SELECT users.username, 'owner' AS role, projects.created_at AS since, 0 AS sort
+        FROM projects
+        JOIN users ON users.id = projects.owner_id
+        WHERE projects.id = $1
+        UNION ALL
+        SELECT users.username, project_members.role, project_members.created_at, 1
+        FROM project_members
+        JOIN users ON users.id = project_members.user_id
+        WHERE project_members.project_id = $1
+        ORDER BY sort, username
+    `, [projectId]);
+    return result.rows.map(row => ({ username: row.username, role: row.role, since: row.since }));
+}
+
+async function setProjectMember(project, username, role) {
+    const projectId = checkRole(project, 'owner');
+    if (!PROJECT_ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+
+    const user = await getUserByUsername(username);
+    if (!user) throw new Error('User not found');
+
+    const owner = await pool.query('SELECT owner_id FROM projects WHERE id = $1', [projectId]);
+    if (owner.rows[0]?.owner_id === user.id) {
+        throw new Error("The project creator's role can't be changed");
+    }
+
+    await pool.query(`
+        INSERT INTO project_members (project_id, user_id, role)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (project_id, user_id)
+        DO UPDATE SET role = $3
+    `, [projectId, user.id, role]);
+}
+
+// Owners can remove anyone; everyone else can only remove themselves
+async function removeProjectMember(project, user, username) {
+    const projectId = checkRole(project, username === user.username ? 'viewer' : 'owner');
+    const result = await pool.query(`
+        DELETE FROM project_members
+        USING users
+        WHERE project_members.user_id = users.id
+        AND project_members.project_id = $1
+        AND users.username = $2
+    `, [projectId, username]);
+    return result.rowCount > 0;
 }
 
 // File operations
-async function listFiles(projectName, subpath = '') {
-    const projectId = await getProjectId(projectName);
-    if (!projectId) return [];
+async function listFiles(project, subpath = '') {
+    if (!project) return [];
+    const projectId = checkRole(project, 'viewer');
 
     let query;
     let params;
@@ -159,9 +605,8 @@ async function listFiles(projectName, subpath = '') {
     });
 }
 
-async function readFile(projectName, filepath) {
-    const projectId = await getProjectId(projectName);
-    if (!projectId) throw new Error('Project not found');
+async function readFile(project, filepath) {
+    const projectId = checkRole(project, 'viewer');
 
     const result = await pool.query(
         'SELECT content FROM files WHERE project_id = $1 AND filepath = $2',
@@ -175,46 +620,131 @@ async function readFile(projectName, filepath) {
     return result.rows[0].content;
 }
 
-async function writeFile(projectName, filepath, content) {
-    const projectId = await getProjectId(projectName);
-    if (!projectId) throw new Error('Project not found');
+// Folders that stay on disk only (dependencies, caches, VCS metadata).
+// Nothing is stored under them: git would run hooks and config written there.
+const IGNORED_DIRS = new Set(['node_modules', '.git', '__pycache__', '.venv', 'venv', '.pytest_cache']);
 
-    await pool.query(`
-        INSERT INTO files (project_id, filepath, content, updated_at)
-        VALUES ($1, $2, $3, NOW())
-        ON CONFLICT (project_id, filepath)
-        DO UPDATE SET content = $3, updated_at = NOW()
-    `, [projectId, filepath, content]);
+// A stored filepath is relative, uses forward slashes and stays inside the project
+function validFilepath(filepath) {
+    if (typeof filepath !== 'string' || !filepath || filepath.includes('\\') || filepath.includes('\0')) return false;
+    if (filepath.startsWith('/') || /^[a-zA-Z]:/.test(filepath)) return false;
+    return filepath.split('/').every(segment =>
+        segment && segment !== '.' && segment !== '..' && !IGNORED_DIRS.has(segment)
+    );
+}
+
+function checkFilepath(filepath) {
+    if (!validFilepath(filepath)) {
+        const err = new Error(`Invalid file path: ${filepath}`);
+        err.status = 400;
+        throw err;
+    }
 }
 
-async function deleteFile(projectName, filepath) {
-    const projectId = await getProjectId(projectName);
-    if (!projectId) throw new Error('Project not found');
+// Where a write came from, as recorded in file_revisions
+const REVISION_SOURCES = ['user', 'ai-chat', 'auto-fix', 'terminal', 'git', 'restore', 'replace', 'import'];
 
-    // Check if it's a "folder" (files starting with this path)
-    const folderCheck = await pool.query(
-        'SELECT COUNT(*) as count FROM files WHERE project_id = $1 AND filepath LIKE $2',
-        [projectId, `${filepath}/%`]
+// Record a write in file_revisions. A file that predates revisions gets its
+// previous content recorded first, so nothing it held is lost.
+async function recordRevision(client, project, filepath, previous, content, source) {
+    if (previous !== undefined) {
+        const existing = await client.query(
+            'SELECT 1 FROM file_revisions WHERE project_id = $1 AND filepath = $2 LIMIT 1',
+            [project.id, filepath]
+        );
+        if (existing.rows.length === 0) {
+            await client.query(
+                "INSERT INTO file_revisions (project_id, filepath, content, source) VALUES ($1, $2, $3, 'initial')",
+                [project.id, filepath, previous]
+            );
+        }
+    }
+
+    await client.query(
+        'INSERT INTO file_revisions (project_id, filepath, content, source, user_id) VALUES ($1, $2, $3, $4, $5)',
+        [project.id, filepath, content, source, project.userId || null]
     );
+}
 
-    if (parseInt(folderCheck.rows[0].count) > 0) {
-        // Delete all files in folder
-        await pool.query(
-            'DELETE FROM files WHERE project_id = $1 AND (filepath = $2 OR filepath LIKE $3)',
-            [projectId, filepath, `${filepath}/%`]
-        );
-    } else {
-        // Delete single file
-        await pool.query(
-            'DELETE FROM files WHERE project_id = $1 AND filepath = $2',
+async function writeFile(project, filepath, content, source = 'user') {
+    const projectId = checkRole(project, 'editor');
+    if (!REVISION_SOURCES.includes(source)) throw new Error(`Unknown revision source: ${source}`);
+    checkFilepath(filepath);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const current = await client.query(
+            'SELECT content FROM files WHERE project_id = $1 AND filepath = $2 FOR UPDATE',
             [projectId, filepath]
         );
+        const previous = current.rows.length > 0 ? current.rows[0].content || '' : undefined;
+
+        // Rewriting identical content isn't a new revision
+        if (previous !== content) {
+            await client.query(`
+                INSERT INTO files (project_id, filepath, content, updated_at, indexed)
+                VALUES ($1, $2, $3, NOW(), TRUE)
+                ON CONFLICT (project_id, filepath)
+                DO UPDATE SET content = $3, updated_at = NOW(), indexed = TRUE
+            `, [projectId, filepath, content]);
+            await recordRevision(client, project, filepath, previous, content, source);
+            await indexFile(client, projectId, filepath, content);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+async function deleteFile(project, filepath, source = 'user') {
+    const projectId = checkRole(project, 'editor');
+    if (!REVISION_SOURCES.includes(source)) throw new Error(`Unknown revision source: ${source}`);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Check if it's a "folder" (files starting with this path)
+        const folderCheck = await client.query(
+            'SELECT COUNT(*) as count FROM files WHERE project_id = $1 AND filepath LIKE $2',
+            [projectId, `${filepath}/%`]
+        );
+
+        let deleted;
+        if (parseInt(folderCheck.rows[0].count) > 0) {
+            // Delete all files in folder
+            deleted = await client.query(
+                'DELETE FROM files WHERE project_id = $1 AND (filepath = $2 OR filepath LIKE $3) RETURNING filepath, content',
+                [projectId, filepath, `${filepath}/%`]
+            );
+        } else {
+            // Delete single file
+            deleted = await client.query(
+                'DELETE FROM files WHERE project_id = $1 AND filepath = $2 RETURNING filepath, content',
+                [projectId, filepath]
+            );
+        }
+
+        for (const row of deleted.rows) {
+            await recordRevision(client, project, row.filepath, row.content || '', null, source);
+            await indexFile(client, projectId, row.filepath, null);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
     }
 }
 
-async function getAllProjectFiles(projectName) {
-    const projectId = await getProjectId(projectName);
-    if (!projectId) return [];
+async function getAllProjectFiles(project) {
+    if (!project) return [];
+    const projectId = checkRole(project, 'viewer');
 
     const result = await pool.query(
         'SELECT filepath FROM files WHERE project_id = $1 ORDER BY filepath',
@@ -224,71 +754,628 @@ async function getAllProjectFiles(projectName) {
     return result.rows.map(row => row.filepath);
 }
 
+async function getProjectFileContents(project) {
+    if (!project) return [];
+    const projectId = checkRole(project, 'viewer');
+
+    const result = await pool.query(
+        'SELECT filepath, content FROM files WHERE project_id = $1 ORDER BY filepath',
+        [projectId]
+    );
+
+    return result.rows.map(row => ({ filepath: row.filepath, content: row.content || '' }));
+}
+
+// Retrieval index operations (see retrieval.js)
+
+// Replace a file's chunks; null content just removes them
+async function indexFile(client, projectId, filepath, content) {
+    await client.query('DELETE FROM file_chunks WHERE project_id = $1 AND filepath = $2', [projectId, filepath]);
+    for (const chunk of retrieval.chunkFile(filepath, content)) {
+        await client.query(
+            'INSERT INTO file_chunks (project_id, filepath, start_line, end_line, content, terms, length) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+            [projectId, filepath, chunk.startLine, chunk.endLine, chunk.content, JSON.stringify(chunk.terms), chunk.length]
+        );
+    }
+}
+
+// Index the project's files that were written before the index existed
+async function indexProjectFiles(projectId) {
+    const pending = await pool.query(
+        'SELECT filepath FROM files WHERE project_id = $1 AND NOT indexed',
+        [projectId]
+    );
+    for (const { filepath } of pending.rows) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            // Another request may have got here first
+            const current = await client.query(
+                'SELECT content FROM files WHERE project_id = $1 AND filepath = $2 AND NOT indexed FOR UPDATE',
+                [projectId, filepath]
+            );
+            if (current.rows.length > 0) {
+                await indexFile(client, projectId, filepath, current.rows[0].content);
+                await client.query('UPDATE files SET indexed = TRUE WHERE project_id = $1 AND filepath = $2', [projectId, filepath]);
+            }
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+// What rankChunks() needs for these terms: the chunks holding any of them,
+// the chunk count and average length, and each term's document frequency
+async function findChunks(project, terms) {
+    const projectId = checkRole(project, 'viewer');
+    await indexProjectFiles(projectId);
+    if (terms.length === 0) return { chunks: [], total: 0, avgLength: 0, df: {} };
+
+    const stats = await pool.query(
+        'SELECT COUNT(*)::int AS total, COALESCE(AVG(length), 0)::float AS avg FROM file_chunks WHERE project_id = $1',
+        [projectId]
+    );
+    const frequencies = await pool.query(`
+        SELECT t.term, COUNT(*)::int AS df
+        FROM file_chunks, UNNEST($2::text[]) AS t(term)
+        WHERE project_id = $1 AND terms ? t.term
+        GROUP BY t.term
+    `, [projectId, terms]);
+    const chunks = await pool.query(`
+        SELECT filepath, start_line, end_line, content, terms, length
+        FROM file_chunks
+        WHERE project_id = $1 AND terms ?| $2::text[]
+        LIMIT 5000
+    `, [projectId, terms]);
+
+    return {
+        chunks: chunks.rows.map(row => ({
+            filepath: row.filepath,
+            startLine: row.start_line,
+            endLine: row.end_line,
+            content: row.content,
+            terms: row.terms,
+            length: row.length
+        })),
+        total: stats.rows[0].total,
+        avgLength: stats.rows[0].avg,
+        df: Object.fromEntries(frequencies.rows.map(row => [row.term, row.df]))
+    };
+}
+
+// Revision operations
+async function listRevisions(project, filepath, limit = 100) {
+    const projectId = checkRole(project, 'viewer');
+    const result = await pool.query(`
+        SELECT r.id, r.source, r.created_at, users.username,
+               r.content IS NULL AS deleted, LENGTH(r.content) AS size
+        FROM file_revisions r
+        LEFT JOIN users ON users.id = r.user_id
+        WHERE r.project_id = $1 AND r.filepath = $2
+        ORDER BY r.id DESC
+        LIMIT $3
+    `, [projectId, filepath, limit]);
+
+    return result.rows.map(row => ({
+        id: row.id,
+        source: row.source,
+        username: row.username,
+        deleted: row.deleted,
+        size: row.size || 0,
+        timestamp: row.created_at.toISOString()
+    }));
+}
+
+// Returns { id, filepath, content, source, username, timestamp } or null
+async function getRevision(project, revisionId) {
+    const projectId = checkRole(project, 'viewer');
+    const result = await pool.query(`
+        SELECT r.id, r.filepath, r.content, r.source, r.created_at, users.username
+        FROM file_revisions r
+        LEFT JOIN users ON users.id = r.user_id
+        WHERE r.project_id = $1 AND r.id = $2
+    `, [projectId, revisionId]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+    return {
+        id: row.id,
+        filepath: row.filepath,
+        content: row.content,
+        source: row.source,
+        username: row.username,
+        timestamp: row.created_at.toISOString()
+    };
+}
+
+// Chat thread operations. Each project has any number of named threads
+// holding its chat history; untitled threads are named after their first message.
+const CHAT_TITLE_LENGTH = 60;
+
+function chatThreadTitle(message) {
+    const line = (message.split('\n').find(l => l.trim()) || '').trim();
+    return line.length > CHAT_TITLE_LENGTH ? line.slice(0, CHAT_TITLE_LENGTH) + '…' : line;
+}
+
+function threadInfo(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        messages: parseInt(row.messages || 0),
+        createdAt: row.created_at.toISOString(),
+        updatedAt: row.updated_at.toISOString()
+    };
+}
+
+// Most recently used first: [{ id, title, messages, createdAt, updatedAt }]
+async function listChatThreads(project) {
+    const projectId = checkRole(project, 'viewer');
+    const result = await pool.query(`
+        SELECT t.id, t.title, t.created_at, t.updated_at, COUNT(h.id) AS messages
+        FROM chat_threads t
+        LEFT JOIN chat_history h ON h.thread_id = t.id
+        WHERE t.project_id = $1
+        GROUP BY t.id
+        ORDER BY t.updated_at DESC, t.id DESC
+    `, [projectId]);
+    return result.rows.map(threadInfo);
+}
+
+// A thread of the project, or null
+async function getChatThread(project, threadId) {
+    const projectId = checkRole(project, 'viewer');
+    const result = await pool.query(`
+        SELECT t.id, t.title, t.created_at, t.updated_at,
+            (SELECT COUNT(*) FROM chat_history h WHERE h.thread_id = t.id) AS messages
+        FROM chat_threads t
+        WHERE t.project_id = $1 AND t.id = $2
+    `, [projectId, threadId]);
+    return result.rows[0] ? threadInfo(result.rows[0]) : null;
+}
+
+async function createChatThread(project, title = null) {
+    const projectId = checkRole(project, 'editor');
+    const result = await pool.query(
+        'INSERT INTO chat_threads (project_id, title) VALUES ($1, $2) RETURNING id, title, created_at, updated_at',
+        [projectId, title]
+    );
+    return threadInfo(result.rows[0]);
+}
+
+// False when the thread doesn't exist
+async function renameChatThread(project, threadId, title) {
+    const projectId = checkRole(project, 'editor');
+    const result = await pool.query(
+        'UPDATE chat_threads SET title = $3 WHERE project_id = $1 AND id = $2',
+        [projectId, threadId, title]
+    );
+    return result.rowCount > 0;
+}
+
+// Deletes the thread with its messages; false when it doesn't exist
+async function deleteChatThread(project, threadId) {
+    const projectId = checkRole(project, 'editor');
+    const result = await pool.query(
+        'DELETE FROM chat_threads WHERE project_id = $1 AND id = $2',
+        [projectId, threadId]
+    );
+    return result.rowCount > 0;
+}
+
 // Chat history operations
-async function saveChatHistory(projectName, userMessage, aiResponse) {
-    const projectId = await getProjectId(projectName);
-    if (!projectId) return;
+async function saveChatHistory(project, threadId, userMessage, aiResponse) {
+    if (!project) return;
+    const projectId = checkRole(project, 'editor');
+
+    const result = await pool.query(`
+        INSERT INTO chat_history (project_id, thread_id, user_message, ai_response)
+        SELECT project_id, id, $3, $4 FROM chat_threads WHERE project_id = $1 AND id = $2
+    `, [projectId, threadId, userMessage, aiResponse]);
+    if (result.rowCount === 0) return; // The thread was deleted while the reply was generated
 
     await pool.query(
-        'INSERT INTO chat_history (project_id, user_message, ai_response) VALUES ($1, $2, $3)',
-        [projectId, userMessage, aiResponse]
+        'UPDATE chat_threads SET updated_at = NOW(), title = COALESCE(title, $3) WHERE project_id = $1 AND id = $2',
+        [projectId, threadId, chatThreadTitle(userMessage) || null]
     );
+}
+
+// A page of a thread's messages, oldest first: the `limit` before message
+// id `before` (else the latest). { messages: [{ id, user, ai, timestamp }], hasMore }
+async function loadChatHistory(project, threadId, { before = null, limit = 50 } = {}) {
+    if (!project) return { messages: [], hasMore: false };
+    const projectId = checkRole(project, 'viewer');
+
+    const result = await pool.query(`
+        SELECT id, user_message, ai_response, timestamp
+        FROM chat_history
+        WHERE project_id = $1 AND thread_id = $2 AND ($3::INTEGER IS NULL OR id < $3)
+        ORDER BY id DESC
+        LIMIT $4
+    `, [projectId, threadId, before, limit + 1]);
+
+    const rows = result.rows.slice(0, limit).reverse();
+    return {
+        messages: rows.map(row => ({
+            id: row.id,
+            user: row.user_message,
+            ai: row.ai_response,
+            timestamp: row.timestamp.toISOString()
+        })),
+        hasMore: result.rows.length > limit
+    };
+}
 
-    // Keep only last 50 messages
+// Clears one thread's messages, or without a thread every thread of the project
+async function deleteChatHistory(project, threadId = null) {
+    if (!project) return;
+    const projectId = checkRole(project, 'editor');
+
+    if (threadId === null) {
+        await pool.query('DELETE FROM chat_threads WHERE project_id = $1', [projectId]);
+        await pool.query('DELETE FROM chat_history WHERE project_id = $1', [projectId]);
+    } else {
+        await pool.query('DELETE FROM chat_history WHERE project_id = $1 AND thread_id = $2', [projectId, threadId]);
+    }
+}
+
+// Free-form chat operations (chats outside projects). A conversation belongs
+// to an account or, for guests, to the hash of their guest id:
+// owner is { userId, guestHash } with one of the two set.
+function conversationInfo(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        model: row.model,
+        provider: row.provider,
+        createdAt: row.created_at.toISOString(),
+        updatedAt: row.updated_at.toISOString()
+    };
+}
+
+async function createConversation(owner, { model = null, provider = null } = {}) {
+    const result = await pool.query(`
+        INSERT INTO conversations (user_id, guest_hash, model, provider)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, title, model, provider, created_at, updated_at
+    `, [owner.userId, owner.guestHash, model, provider]);
+    return conversationInfo(result.rows[0]);
+}
+
+// Most recently used first
+async function listConversations(owner) {
+    const result = await pool.query(`
+        SELECT id, title, model, provider, created_at, updated_at
+        FROM conversations
+        WHERE user_id IS NOT DISTINCT FROM $1 AND guest_hash IS NOT DISTINCT FROM $2
+        ORDER BY updated_at DESC, id DESC
+    `, [owner.userId, owner.guestHash]);
+    return result.rows.map(conversationInfo);
+}
+
+// The owner's conversation, or null
+async function getConversation(owner, conversationId) {
+    const result = await pool.query(`
+        SELECT id, title, model, provider, created_at, updated_at
+        FROM conversations
+        WHERE id = $3 AND user_id IS NOT DISTINCT FROM $1 AND guest_hash IS NOT DISTINCT FROM $2
+    `, [owner.userId, owner.guestHash, conversationId]);
+    return result.rows[0] ? conversationInfo(result.rows[0]) : null;
+}
+
+// Oldest first: [{ id, role: 'user' | 'assistant', content, model, createdAt }]
+async function getConversationMessages(conversationId) {
+    const result = await pool.query(`
+        SELECT id, role, content, model, created_at
+        FROM conversation_messages
+        WHERE conversation_id = $1
+        ORDER BY id ASC
+    `, [conversationId]);
+    return result.rows.map(row => ({
+        id: row.id,
+        role: row.role,
+        content: row.content,
+        model: row.model,
+        createdAt: row.created_at.toISOString()
+    }));
+}
+
+// Saves a message and its reply. The model and provider become the
+// conversation's choice for the next message.
+async function addConversationExchange(conversationId, { message, response, model, provider }) {
     await pool.query(`
-        DELETE FROM chat_history 
-        WHERE project_id = $1 
-        AND id NOT IN (
-            SELECT id FROM chat_history 
-            WHERE project_id = $1 
-            ORDER BY timestamp DESC 
-            LIMIT 50
-        )
-    `, [projectId]);
+        INSERT INTO conversation_messages (conversation_id, role, content, model)
+        VALUES ($1, 'user', $2, $4), ($1, 'assistant', $3, $4)
+    `, [conversationId, message, response, model]);
+    await pool.query(`
+        UPDATE conversations
+        SET model = $2, provider = $3, title = COALESCE(title, $4), updated_at = NOW()
+        WHERE id = $1
+    `, [conversationId, model, provider, chatThreadTitle(message) || null]);
+}
+
+// AI settings operations (null means the server default)
+async function getAISettings(project) {
+    const projectId = checkRole(project, 'viewer');
+    const result = await pool.query(
+        'SELECT provider, model, temperature, max_tokens, instructions FROM project_ai_settings WHERE project_id = $1',
+        [projectId]
+    );
+    const row = result.rows[0] || {};
+    return {
+        provider: row.provider || null,
+        model: row.model || null,
+        temperature: row.temperature ?? null,
+        maxTokens: row.max_tokens ?? null,
+        instructions: row.instructions || null
+    };
 }
 
-async function loadChatHistory(projectName) {
-    const projectId = await getProjectId(projectName);
-    if (!projectId) return [];
+async function saveAISettings(project, settings) {
+    const projectId = checkRole(project, 'editor');
+    await pool.query(`
+        INSERT INTO project_ai_settings (project_id, provider, model, temperature, max_tokens, instructions, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        ON CONFLICT (project_id) DO UPDATE SET
+            provider = $2, model = $3, temperature = $4, max_tokens = $5, instructions = $6, updated_at = NOW()
+    `, [
+        projectId,
+        settings.provider || null,
+        settings.model || null,
+        settings.temperature ?? null,
+        settings.maxTokens ?? null,
+        settings.instructions || null
+    ]);
+    return getAISettings(project);
+}
 
+// Run configuration operations
+function runConfigurationInfo(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        command: row.command,
+        cwd: row.cwd,
+        env: row.env || {},
+        testCommand: row.test_command || null
+    };
+}
+
+function duplicateRunConfiguration(err) {
+    if (err.code !== '23505') return err;
+    const duplicate = new Error('A run configuration with this name already exists');
+    duplicate.status = 409;
+    return duplicate;
+}
+
+// { configurations: [{ id, name, command, cwd, env, testCommand }], selectedId }
+async function listRunConfigurations(project) {
+    const projectId = checkRole(project, 'viewer');
     const result = await pool.query(
-        `SELECT user_message, ai_response, timestamp 
-         FROM chat_history 
-         WHERE project_id = $1 
-         ORDER BY timestamp ASC`,
+        'SELECT * FROM run_configurations WHERE project_id = $1 ORDER BY name',
         [projectId]
     );
+    const selected = await pool.query('SELECT run_configuration_id FROM projects WHERE id = $1', [projectId]);
+    return {
+        configurations: result.rows.map(runConfigurationInfo),
+        selectedId: selected.rows[0] ? selected.rows[0].run_configuration_id : null
+    };
+}
+
+// A configuration of the project, or null
+async function getRunConfiguration(project, id) {
+    const projectId = checkRole(project, 'viewer');
+    const result = await pool.query(
+        'SELECT * FROM run_configurations WHERE project_id = $1 AND id = $2',
+        [projectId, id]
+    );
+    return result.rows[0] ? runConfigurationInfo(result.rows[0]) : null;
+}
 
+// The configuration Run and auto-fix use, or null when none is selected
+async function getSelectedRunConfiguration(project) {
+    const projectId = checkRole(project, 'viewer');
+    const result = await pool.query(`
+        SELECT c.* FROM projects p
+        JOIN run_configurations c ON c.id = p.run_configuration_id
+        WHERE p.id = $1
+    `, [projectId]);
+    return result.rows[0] ? runConfigurationInfo(result.rows[0]) : null;
+}
+
+// The project's first configuration is selected as it is created
+async function createRunConfiguration(project, config) {
+    const projectId = checkRole(project, 'editor');
+    let row;
+    try {
+        const result = await pool.query(`
+            INSERT INTO run_configurations (project_id, name, command, cwd, env, test_command)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [projectId, config.name, config.command, config.cwd, config.env, config.testCommand]);
+        row = result.rows[0];
+    } catch (err) {
+        throw duplicateRunConfiguration(err);
+    }
+    await pool.query(
+        'UPDATE projects SET run_configuration_id = $2 WHERE id = $1 AND run_configuration_id IS NULL',
+        [projectId, row.id]
+    );
+    return runConfigurationInfo(row);
+}
+
+// The updated configuration, or null when it doesn't exist
+async function updateRunConfiguration(project, id, config) {
+    const projectId = checkRole(project, 'editor');
+    try {
+        const result = await pool.query(`
+            UPDATE run_configurations
+            SET name = $3, command = $4, cwd = $5, env = $6, test_command = $7, updated_at = NOW()
+            WHERE project_id = $1 AND id = $2
+            RETURNING *
+        `, [projectId, id, config.name, config.command, config.cwd, config.env, config.testCommand]);
+        return result.rows[0] ? runConfigurationInfo(result.rows[0]) : null;
+    } catch (err) {
+        throw duplicateRunConfiguration(err);
+    }
+}
+
+// False when it doesn't exist; deleting the selected one leaves none selected
+async function deleteRunConfiguration(project, id) {
+    const projectId = checkRole(project, 'editor');
+    const result = await pool.query(
+        'DELETE FROM run_configurations WHERE project_id = $1 AND id = $2',
+        [projectId, id]
+    );
+    return result.rowCount > 0;
+}
+
+// Select a configuration (null for none); false when it doesn't exist
+async function selectRunConfiguration(project, id) {
+    const projectId = checkRole(project, 'editor');
+    const result = await pool.query(`
+        UPDATE projects SET run_configuration_id = $2
+        WHERE id = $1 AND ($2::INTEGER IS NULL
+            OR EXISTS (SELECT 1 FROM run_configurations WHERE project_id = $1 AND id = $2))
+    `, [projectId, id]);
+    return result.rowCount > 0;
+}
+
+// Terminal audit operations. A command is recorded as it starts (or is
+// refused) and completed when it ends; returns the record's id.
+async function addTerminalAudit(project, userId, command, { status = 'running', reason = null, source = 'terminal' } = {}) {
+    const projectId = checkRole(project, 'editor');
+    const result = await pool.query(`
+        INSERT INTO terminal_audit (user_id, project_id, command, status, reason, source, ended_at)
+        VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7 THEN NOW() END)
+        RETURNING id
+    `, [userId, projectId, command, status, reason, source, status !== 'running']);
+    return result.rows[0].id;
+}
+
+async function finishTerminalAudit(id, { status, exitCode = null, signal = null, limit = null }) {
+    await pool.query(`
+        UPDATE terminal_audit
+        SET status = $2, exit_code = $3, signal = $4, limit_exceeded = $5, ended_at = NOW()
+        WHERE id = $1
+    `, [id, status, exitCode, signal, limit]);
+}
+
+// The latest commands run in the project, newest first (owners only)
+async function listTerminalAudit(project, limit = 100) {
+    const projectId = checkRole(project, 'owner');
+    const result = await pool.query(`
+        SELECT a.*, u.username
+        FROM terminal_audit a
+        LEFT JOIN users u ON u.id = a.user_id
+        WHERE a.project_id = $1
+        ORDER BY a.id DESC
+        LIMIT $2
+    `, [projectId, limit]);
     return result.rows.map(row => ({
-        user: row.user_message,
-        ai: row.ai_response,
-        timestamp: row.timestamp.toISOString()
+        id: row.id,
+        username: row.username,
+        command: row.command,
+        source: row.source,
+        status: row.status,
+        reason: row.reason,
+        exitCode: row.exit_code,
+        signal: row.signal,
+        limit: row.limit_exceeded,
+        startedAt: row.started_at.toISOString(),
+        endedAt: row.ended_at ? row.ended_at.toISOString() : null
     }));
 }
 
-async function deleteChatHistory(projectName) {
-    const projectId = await getProjectId(projectName);
-    if (!projectId) return;
+// User settings operations (defaults until the user changes something)
+async function getUserSettings(userId) {
+    const result = await pool.query('SELECT ai_completions FROM user_settings WHERE user_id = $1', [userId]);
+    const row = result.rows[0];
+    return {
+        aiCompletions: row ? row.ai_completions : true
+    };
+}
 
-    await pool.query('DELETE FROM chat_history WHERE project_id = $1', [projectId]);
+async function saveUserSettings(userId, settings) {
+    await pool.query(`
+        INSERT INTO user_settings (user_id, ai_completions, updated_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (user_id) DO UPDATE SET ai_completions = $2, updated_at = NOW()
+    `, [userId, settings.aiCompletions]);
+    return getUserSettings(userId);
 }
 
 module.exports = {
     initDatabase,
     pool,
+    // User operations
+    createUser,
+    getUserByUsername,
+    countUsers,
+    claimUnownedProjects,
+    // Session operations
+    createSession,
+    getSessionUser,
+    deleteSession,
+    deleteExpiredSessions,
     // Project operations
     listProjects,
     createProject,
     deleteProject,
-    getProjectId,
+    getProjectAccess,
+    getProjectRole,
+    hasRole,
+    // Sharing operations
+    listProjectMembers,
+    setProjectMember,
+    removeProjectMember,
     // File operations
+    IGNORED_DIRS,
+    validFilepath,
     listFiles,
     readFile,
     writeFile,
     deleteFile,
     getAllProjectFiles,
+    getProjectFileContents,
+    // Retrieval index operations
+    findChunks,
+    // Revision operations
+    REVISION_SOURCES,
+    listRevisions,
+    getRevision,
+    // AI settings operations
+    getAISettings,
+    saveAISettings,
+    listRunConfigurations,
+    getRunConfiguration,
+    getSelectedRunConfiguration,
+    createRunConfiguration,
+    updateRunConfiguration,
+    deleteRunConfiguration,
+    selectRunConfiguration,
+    addTerminalAudit,
+    finishTerminalAudit,
+    listTerminalAudit,
+    // User settings operations
+    getUserSettings,
+    saveUserSettings,
     // Chat history operations
+    listChatThreads,
+    getChatThread,
+    createChatThread,
+    renameChatThread,
+    deleteChatThread,
     saveChatHistory,
     loadChatHistory,
-    deleteChatHistory
+    deleteChatHistory,
+    // Free-form chat operations
+    createConversation,
+    listConversations,
+    getConversation,
+    getConversationMessages,
+    addConversationExchange
 };
@@ -0,0 +1,240 @@
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Problems in project files, found with each language's own parser or
+// compiler where the server has one: Node for JavaScript, Python's compile()
+// and the typescript package if it is installed. JSON and HTML are checked
+// here. A diagnostic is { line, column, severity, message, source } with
+// 1-based line and column; severity is 'error' or 'warning'.
+
+const CHECK_TIMEOUT = 10000;
+const MAX_CHECKED_SIZE = 512 * 1024;
+
+const PYTHON = process.platform === 'win32' ? 'python' : 'python3';
+
+// compile() reports what the interpreter would refuse to run
+const PYTHON_CHECK = `
+import json, sys
+try:
+    compile(sys.stdin.buffer.read(), sys.argv[1], 'exec')
+except SyntaxError as e:
+    print(json.dumps({'line': e.lineno or 1, 'column': e.offset or 1, 'message': e.msg}))
+except ValueError as e:
+    print(json.dumps({'line': 1, 'column': 1, 'message': str(e)}))
+`;
+
+// Like node-pty, an optional dependency: TypeScript files are only checked with it
+let typescript = null;
+try {
+    typescript = require('typescript');
+} catch {
+    // Not installed
+}
+
+// Elements without content, and those whose end tag HTML lets you leave out
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const OPTIONAL_END_ELEMENTS = new Set(['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'optgroup', 'colgroup', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'rp', 'rt']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+const HTML_TOKEN_REGEX = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<\/([A-Za-z][\w:-]*)\s*>|<([A-Za-z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const HTML_ID_REGEX = /\sid\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/i;
+
+function diagnostic(line, column, message, source, severity = 'error') {
+    return { line, column, severity, message, source };
+}
+
+// A function from character offsets in `content` to 1-based { line, column }
+function positions(content) {
+    const starts = [0];
+    for (let i = content.indexOf('\n'); i >= 0; i = content.indexOf('\n', i + 1)) starts.push(i + 1);
+    return (offset) => {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (starts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - starts[low] + 1 };
+    };
+}
+
+// Run a checker with the file on stdin: { code, stdout, stderr }, or null
+// when the checker isn't installed
+function runChecker(command, args, input) {
+    return new Promise((resolve) => {
+        const child = spawn(command, args, { windowsHide: true });
+        let stdout = '';
+        let stderr = '';
+        let settled = false;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            resolve(result);
+        };
+        const timer = setTimeout(() => {
+            child.kill();
+            finish(null);
+        }, CHECK_TIMEOUT);
+
+        child.stdout.on('data', data => { stdout += data; });
+        child.stderr.on('data', data => { stderr += data; });
+        child.on('error', () => finish(null));
+        child.on('close', code => finish({ code, stdout, stderr }));
+        child.stdin.on('error', () => {}); // The checker may exit before reading everything
+        child.stdin.end(input);
+    });
+}
+
+// `node --check`, as an ES module when the file is one
+async function checkJavaScript(filepath, content) {
+    const isModule = filepath.endsWith('.mjs') ||
+        (!filepath.endsWith('.cjs') && /^\s*(import\s*[\w{*'"]|export\s)/m.test(content));
+    const result = await runChecker(process.execPath, [`--input-type=${isModule ? 'module' : 'commonjs'}`, '--check', '-'], content);
+    if (!result || result.code === 0) return [];
+
+    // [stdin]:3
+    // foo(;
+    //     ^
+    //
+    // SyntaxError: Unexpected token ';'
+    const location = result.stderr.match(/^\[stdin\]:(\d+)\n.*\n( *)\^/m);
+    const error = result.stderr.match(/^(\w*Error): (.*)$/m);
+    const message = error ? `${error[1]}: ${error[2]}` : result.stderr.trim().split('\n')[0];
+    return [diagnostic(location ? parseInt(location[1], 10) : 1, location ? location[2].length + 1 : 1, message, 'javascript')];
+}
+
+function checkTypeScript(filepath, content) {
+    if (!typescript) return [];
+    const kind = /\.tsx$/.test(filepath) ? typescript.ScriptKind.TSX : typescript.ScriptKind.TS;
+    const source = typescript.createSourceFile(filepath, content, typescript.ScriptTarget.Latest, true, kind);
+    return source.parseDiagnostics.map((d) => {
+        const { line, character } = source.getLineAndCharacterOfPosition(d.start || 0);
+        const message = typescript.flattenDiagnosticMessageText(d.messageText, '\n');
+        return diagnostic(line + 1, character + 1, message, 'typescript');
+    });
+}
+
+function checkJSON(content) {
+    if (!content.trim()) return [];
+    try {
+        JSON.parse(content);
+        return [];
+    } catch (err) {
+        // Node reports where as "at position 12" or "(line 2 column 5)", or not at all
+        const lineColumn = err.message.match(/\(line (\d+) column (\d+)\)/);
+        const offset = err.message.match(/at position (\d+)/);
+        const message = err.message.replace(/ in JSON at position \d+.*$| \(line \d+ column \d+\)/, '');
+        if (lineColumn) return [diagnostic(parseInt(lineColumn[1], 10), parseInt(lineColumn[2], 10), message, 'json')];
+        const { line, column } = positions(content)(offset ? parseInt(offset[1], 10) : content.length);
+        return [diagnostic(line, column, message, 'json')];
+    }
+}
+
+async function checkPython(filepath, content) {
+    const result = await runChecker(PYTHON, ['-c', PYTHON_CHECK, filepath], content);
+    if (!result || !result.stdout.trim()) return [];
+    try {
+        const error = JSON.parse(result.stdout);
+        return [diagnostic(error.line, error.column, `SyntaxError: ${error.message}`, 'python')];
+    } catch {
+        return [];
+    }
+}
+
+// Tags that are closed without being opened, or opened and never closed,
+// and ids used more than once
+function checkHTML(content) {
+    const problems = [];
+    const positionAt = positions(content);
+    const stack = []; // { name, offset }
+    const ids = new Map();
+    const notClosed = (element, before) => {
+        if (OPTIONAL_END_ELEMENTS.has(element.name)) return;
+        const { line, column } = positionAt(element.offset);
+        problems.push(diagnostic(line, column, `<${element.name}> is not closed${before ? ` before </${before}>` : ''}`, 'html', 'warning'));
+    };
+
+    HTML_TOKEN_REGEX.lastIndex = 0;
+    let match;
+    while ((match = HTML_TOKEN_REGEX.exec(content)) !== null) {
+        const [token, closing, opening, attributes, selfClosing] = match;
+        if (closing) {
+            const name = closing.toLowerCase();
+            let index = stack.length - 1;
+            while (index >= 0 && stack[index].name !== name) index--;
+            if (index < 0) {
+                if (VOID_ELEMENTS.has(name)) continue;
+                const { line, column } = positionAt(match.index);
+                problems.push(diagnostic(line, column, `Unexpected closing tag </${name}>`, 'html'));
+                continue;
+            }
+            for (const element of stack.splice(index).slice(1)) notClosed(element, name);
+            continue;
+        }
+        if (!opening) continue; // Comments, doctypes
+
+        const name = opening.toLowerCase();
+        const id = (attributes || '').match(HTML_ID_REGEX);
+        if (id) {
+            const value = id[1] ?? id[2] ?? id[3];
+            const { line, column } = positionAt(match.index);
+            if (ids.has(value)) {
+                problems.push(diagnostic(line, column, `Duplicate id "${value}" (first used on line ${ids.get(value)})`, 'html', 'warning'));
+            } else {
+                ids.set(value, line);
+            }
+        }
+
+        // An element that can't contain itself ends the open one (<li>, <p>, <tr>...)
+        const top = stack[stack.length - 1];
+        if (top && top.name === name && OPTIONAL_END_ELEMENTS.has(name)) stack.pop();
+
+        if (VOID_ELEMENTS.has(name) || selfClosing) continue;
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            // Their content isn't markup; skip to the end tag
+            const end = content.toLowerCase().indexOf(`</${name}`, match.index + token.length);
+            if (end < 0) {
+                notClosed({ name, offset: match.index });
+                break;
+            }
+            HTML_TOKEN_REGEX.lastIndex = end;
+        }
+        stack.push({ name, offset: match.index });
+    }
+    for (const element of stack) notClosed(element);
+    return problems;
+}
+
+const CHECKS = {
+    '.js': checkJavaScript,
+    '.mjs': checkJavaScript,
+    '.cjs': checkJavaScript,
+    '.ts': checkTypeScript,
+    '.tsx': checkTypeScript,
+    '.mts': checkTypeScript,
+    '.cts': checkTypeScript,
+    '.json': (filepath, content) => checkJSON(content),
+    '.py': checkPython,
+    '.html': (filepath, content) => checkHTML(content),
+    '.htm': (filepath, content) => checkHTML(content)
+};
+
+function isCheckable(filepath) {
+    const extension = path.extname(filepath).toLowerCase();
+    if (!Object.hasOwn(CHECKS, extension)) return false;
+    return !['.ts', '.tsx', '.mts', '.cts'].includes(extension) || !!typescript;
+}
+
+// The file's diagnostics, in order; none for files nothing here can check
+async function checkFile(filepath, content) {
+    if (!isCheckable(filepath) || !content || content.length > MAX_CHECKED_SIZE) return [];
+    const problems = await CHECKS[path.extname(filepath).toLowerCase()](filepath, content);
+    return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+module.exports = {
+    isCheckable,
+    checkFile
+};
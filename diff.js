@@ -0,0 +1,181 @@
+// Line-based text diff (Myers' algorithm) grouped into unified-diff hunks.
+// Used to compare file revisions; see formatUnifiedDiff() for patch text.
+
+const CONTEXT_LINES = 3;
+
+// Past this many edits the changed region is shown as replaced wholesale;
+// the trace kept for backtracking grows with the square of the edit count
+const MAX_EDIT_DISTANCE = 2000;
+
+function splitLines(text) {
+    if (!text) return [];
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+// Shortest edit script between two line arrays as [{ type: ' ' | '-' | '+', text }]
+function myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        if (d > MAX_EDIT_DISTANCE) {
+            return a.map(text => ({ type: '-', text })).concat(b.map(text => ({ type: '+', text })));
+        }
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                trace.push(v.slice(offset - d, offset + d + 1));
+                return backtrack(trace, a, b);
+            }
+        }
+        trace.push(v.slice(offset - d, offset + d + 1));
+    }
+    return [];
+}
+
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const prev = trace[d - 1];
+        const at = k => prev[k + d - 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', text: a[--x] });
+            y--;
+        }
+        if (x === prevX) {
+            ops.push({ type: '+', text: b[--y] });
+        } else {
+            ops.push({ type: '-', text: a[--x] });
+        }
+    }
+    while (x > 0 && y > 0) {
+        ops.push({ type: ' ', text: a[--x] });
+        y--;
+    }
+    return ops.reverse();
+}
+
+function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    // The common prefix and suffix don't need the full algorithm
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    return a.slice(0, start).map(text => ({ type: ' ', text }))
+        .concat(myers(a.slice(start, endA), b.slice(start, endB)))
+        .concat(a.slice(endA).map(text => ({ type: ' ', text })));
+}
+
+// Group an edit script into hunks with `context` unchanged lines around each change
+function buildHunks(ops, context = CONTEXT_LINES) {
+    const hunks = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let hunk = null;
+    let trailing = 0; // Unchanged lines since the hunk's last change
+
+    // Index of the next change at or after each position
+    const nextChange = new Array(ops.length + 1).fill(Infinity);
+    for (let i = ops.length - 1; i >= 0; i--) {
+        nextChange[i] = ops[i].type !== ' ' ? i : nextChange[i + 1];
+    }
+
+    for (let i = 0; i < ops.length; i++) {
+        const op = ops[i];
+
+        if (op.type !== ' ') {
+            if (!hunk) {
+                const lead = ops.slice(Math.max(0, i - context), i);
+                hunk = {
+                    oldStart: oldLine - lead.length,
+                    newStart: newLine - lead.length,
+                    oldLines: lead.length,
+                    newLines: lead.length,
+                    lines: lead.slice()
+                };
+                hunks.push(hunk);
+            }
+            hunk.lines.push(op);
+            if (op.type === '-') hunk.oldLines++;
+            else hunk.newLines++;
+            trailing = 0;
+        } else if (hunk) {
+            // Keep the hunk open while the next change is close enough to share context
+            if (trailing < context || nextChange[i] - i <= context) {
+                hunk.lines.push(op);
+                hunk.oldLines++;
+                hunk.newLines++;
+                trailing++;
+            } else {
+                hunk = null;
+            }
+        }
+
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    }
+
+    // Unified diffs number an empty side from the line before it
+    for (const h of hunks) {
+        if (h.oldLines === 0) h.oldStart--;
+        if (h.newLines === 0) h.newStart--;
+    }
+    return hunks;
+}
+
+// Compare two versions of a text: { hunks, additions, deletions }
+function diffText(oldText, newText, context = CONTEXT_LINES) {
+    const ops = diffLines(oldText, newText);
+    return {
+        hunks: buildHunks(ops, context),
+        additions: ops.filter(op => op.type === '+').length,
+        deletions: ops.filter(op => op.type === '-').length
+    };
+}
+
+function formatUnifiedDiff(diff, oldName, newName) {
+    if (diff.hunks.length === 0) return '';
+    const lines = [`--- ${oldName}`, `+++ ${newName}`];
+    for (const h of diff.hunks) {
+        lines.push(`@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@`);
+        for (const line of h.lines) {
+            lines.push(line.type + line.text);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    diffText,
+    formatUnifiedDiff
+};
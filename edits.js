@@ -0,0 +1,223 @@
+// File edits in AI replies, and applying them to the current file contents.
+// Three block kinds, each a header line followed by a fenced block:
+//
+//   FILE: path    the complete new file
+//   EDIT: path    one or more search/replace edits:
+//                   <<<<<<< SEARCH
+//                   lines copied from the file
+//                   =======
+//                   their replacement
+//                   >>>>>>> REPLACE
+//   PATCH: path   a unified diff (@@ hunks)
+//
+// An edit that doesn't match the file is a conflict: the file is left alone
+// and the conflict reported, rather than writing a guess.
+
+const BLOCK_REGEX = /(FILE|EDIT|PATCH):\s*([^\n`]+)\s*\n\s*```[\w+-]*[^\S\n]*\n([\s\S]*?)```/gi;
+const SEARCH_REPLACE_REGEX = /^<{5,9} ?SEARCH[^\n]*\n([\s\S]*?)^={5,9}[^\n]*\n([\s\S]*?)^>{5,9} ?REPLACE[^\n]*$/gm;
+const HUNK_HEADER_REGEX = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+function editConflict(message) {
+    const err = new Error(message);
+    err.status = 409;
+    return err;
+}
+
+// [{ type: 'file' | 'edit' | 'patch', filepath, body }] in reply order
+function parseEditBlocks(text) {
+    const blocks = [];
+    let match;
+    BLOCK_REGEX.lastIndex = 0;
+    while ((match = BLOCK_REGEX.exec(text)) !== null) {
+        const filepath = match[2].trim().replace(/^["']|["']$/g, '');
+        const type = match[1].toLowerCase();
+        // Whole files are trimmed as before; edits keep their whitespace
+        const body = type === 'file' ? match[3].trim() : match[3].replace(/\r\n?/g, '\n');
+        if (filepath && body) blocks.push({ type, filepath, body });
+    }
+    return blocks;
+}
+
+function withoutFinalNewline(text) {
+    return text.endsWith('\n') ? text.slice(0, -1) : text;
+}
+
+function parseSearchReplace(body) {
+    const edits = [];
+    let match;
+    SEARCH_REPLACE_REGEX.lastIndex = 0;
+    while ((match = SEARCH_REPLACE_REGEX.exec(body)) !== null) {
+        edits.push({ search: withoutFinalNewline(match[1]), replace: withoutFinalNewline(match[2]) });
+    }
+    if (edits.length === 0) throw editConflict('EDIT block has no SEARCH/REPLACE sections');
+    return edits;
+}
+
+// Hunks of a unified diff as [{ oldStart, oldLines: [...], newLines: [...] }]
+function parsePatch(body) {
+    const hunks = [];
+    let hunk = null;
+    for (const line of body.split('\n')) {
+        const header = line.match(HUNK_HEADER_REGEX);
+        if (header) {
+            hunk = { oldStart: parseInt(header[1], 10), oldLines: [], newLines: [] };
+            hunks.push(hunk);
+        } else if (!hunk || line.startsWith('\\')) {
+            // File headers before the first hunk; "\ No newline at end of file"
+            continue;
+        } else if (line.startsWith('-')) {
+            hunk.oldLines.push(line.slice(1));
+        } else if (line.startsWith('+')) {
+            hunk.newLines.push(line.slice(1));
+        } else {
+            // Context; models often drop the leading space of blank lines
+            const text = line.startsWith(' ') ? line.slice(1) : line;
+            hunk.oldLines.push(text);
+            hunk.newLines.push(text);
+        }
+    }
+    // The fence's own line break leaves a blank context line at the end
+    for (const h of hunks) {
+        while (h.oldLines.length && h.newLines.length
+            && h.oldLines[h.oldLines.length - 1] === '' && h.newLines[h.newLines.length - 1] === '') {
+            h.oldLines.pop();
+            h.newLines.pop();
+        }
+    }
+    if (hunks.length === 0) throw editConflict('PATCH block has no @@ hunks');
+    return hunks;
+}
+
+// Positions (from `from` on) where `wanted` occurs as whole lines, compared
+// exactly or, failing that, ignoring trailing whitespace
+function findLines(lines, wanted, from = 0) {
+    const comparisons = [(a, b) => a === b, (a, b) => a.trimEnd() === b.trimEnd()];
+    for (const same of comparisons) {
+        const found = [];
+        for (let i = from; i + wanted.length <= lines.length; i++) {
+            if (wanted.every((line, j) => same(lines[i + j], line))) found.push(i);
+        }
+        if (found.length > 0) return found;
+    }
+    return [];
+}
+
+function snippet(text) {
+    const line = text.split('\n').find(l => l.trim()) || '';
+    return line.trim().length > 60 ? line.trim().slice(0, 60) + '…' : line.trim();
+}
+
+function applySearchReplace(text, { search, replace }) {
+    if (!search) throw editConflict('SEARCH section is empty');
+
+    const first = text.indexOf(search);
+    if (first !== -1) {
+        if (text.indexOf(search, first + search.length) !== -1) {
+            throw editConflict(`SEARCH text matches more than once: "${snippet(search)}"`);
+        }
+        return text.slice(0, first) + replace + text.slice(first + search.length);
+    }
+
+    const lines = text.split('\n');
+    const wanted = search.split('\n');
+    const found = findLines(lines, wanted);
+    if (found.length === 0) throw editConflict(`SEARCH text not found: "${snippet(search)}"`);
+    if (found.length > 1) throw editConflict(`SEARCH text matches more than once: "${snippet(search)}"`);
+    lines.splice(found[0], wanted.length, ...replace.split('\n'));
+    return lines.join('\n');
+}
+
+function applyPatch(text, hunks) {
+    const lines = text === '' ? [] : text.split('\n');
+    // A final newline leaves an empty last element; keep it out of matching
+    const trailing = lines.length > 0 && lines[lines.length - 1] === '' ? lines.pop() : null;
+    let offset = 0;
+    let from = 0;
+
+    for (const hunk of hunks) {
+        // Unified diffs number an empty side from the line before it
+        const nominal = hunk.oldLines.length === 0 ? hunk.oldStart : hunk.oldStart - 1;
+        const expected = Math.max(0, nominal + offset);
+        let at;
+        if (hunk.oldLines.length === 0) {
+            at = Math.min(Math.max(expected, from), lines.length);
+        } else {
+            // Line numbers drift; take the match nearest to where the hunk says it is
+            const found = findLines(lines, hunk.oldLines, from);
+            if (found.length === 0) {
+                throw editConflict(`Patch hunk @@ -${hunk.oldStart} @@ doesn't match the file near "${snippet(hunk.oldLines.join('\n'))}"`);
+            }
+            at = found.reduce((best, i) => Math.abs(i - expected) < Math.abs(best - expected) ? i : best);
+        }
+        lines.splice(at, hunk.oldLines.length, ...hunk.newLines);
+        offset = at - nominal + hunk.newLines.length - hunk.oldLines.length;
+        from = at + hunk.newLines.length;
+    }
+
+    if (trailing !== null) lines.push(trailing);
+    return lines.join('\n');
+}
+
+// New text of a file after one block; `original` is null for files that don't exist
+function applyBlock(original, block, { truncated = false } = {}) {
+    if (block.type === 'file') {
+        // A rewrite of a file the model only saw part of would drop the rest
+        if (truncated) throw editConflict('Only part of this file was shown to the AI; it must be changed with EDIT blocks, not rewritten');
+        return block.body;
+    }
+
+    const eol = original && original.includes('\r\n') ? '\r\n' : '\n';
+    const text = (original || '').replace(/\r\n?/g, '\n');
+    let result;
+
+    if (block.type === 'edit') {
+        const edits = parseSearchReplace(block.body);
+        if (original === null) {
+            // An empty SEARCH creates the file
+            if (edits.some(e => e.search)) throw editConflict('File does not exist');
+            result = edits.map(e => e.replace).join('\n');
+        } else {
+            result = edits.reduce(applySearchReplace, text);
+        }
+    } else {
+        const hunks = parsePatch(block.body);
+        if (original === null && hunks.some(h => h.oldLines.length > 0)) throw editConflict('File does not exist');
+        result = applyPatch(text, hunks);
+    }
+
+    return eol === '\n' ? result : result.replace(/\n/g, eol);
+}
+
+// Apply parsed blocks against the files' current text, read with
+// `readOriginal(filepath)` (null when missing). A file is changed only if all
+// of its blocks apply: { files: [{ filepath, content }], conflicts: [{ filepath, message }] }
+async function applyEditBlocks(blocks, readOriginal, { truncated = [] } = {}) {
+    const files = [];
+    const conflicts = [];
+    const filepaths = [...new Set(blocks.map(b => b.filepath))];
+
+    for (const filepath of filepaths) {
+        let content = await readOriginal(filepath);
+        try {
+            for (const block of blocks.filter(b => b.filepath === filepath)) {
+                content = applyBlock(content, block, { truncated: truncated.includes(filepath) });
+            }
+            files.push({ filepath, content });
+        } catch (err) {
+            if (err.status !== 409) throw err;
+            conflicts.push({ filepath, message: err.message });
+        }
+    }
+    return { files, conflicts };
+}
+
+// Markdown lines for the chat reply
+function formatConflicts(conflicts) {
+    return conflicts.map(c => `⚠️ **Not applied to \`${c.filepath}\`:** ${c.message}`).join('\n');
+}
+
+module.exports = {
+    parseEditBlocks,
+    applyEditBlocks,
+    formatConflicts
+};
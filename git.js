@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const db = require('./database');
+const workspace = require('./workspace');
+
+// Each project's repository lives in its workspace (see workspace.js), which
+// mirrors the files table. `.git` is never synced to the database, so history
+// persists for as long as the workspace directory does.
+
+const GIT_TIMEOUT = 30000;
+const LOG_LIMIT = 50;
+
+// project id -> promise of the last queued operation (git takes a lock per repo)
+const queues = new Map();
+
+function runGit(dir, args) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, {
+            cwd: dir,
+            timeout: GIT_TIMEOUT,
+            maxBuffer: 10 * 1024 * 1024,
+            // Hooks in the repository run with this too, so no server credentials
+            env: workspace.commandEnv({
+                GIT_TERMINAL_PROMPT: '0',
+                GIT_OPTIONAL_LOCKS: '0',
+                // Never pick up a repository above the workspace
+                GIT_CEILING_DIRECTORIES: path.dirname(dir)
+            })
+        }, (error, stdout, stderr) => {
+            if (error) {
+                const err = new Error((stderr || stdout || error.message).trim());
+                err.status = 400;
+                return reject(err);
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+// Run `fn(dir)` against the project's up-to-date workspace, one operation at a time
+function withRepo(project, fn, { requireRepo = true } = {}) {
+    const previous = queues.get(project.id) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+        const dir = await workspace.prepareWorkspace(project);
+        if (requireRepo && !isRepo(dir)) {
+            const err = new Error('This project is not a Git repository yet');
+            err.status = 400;
+            throw err;
+        }
+        return fn(dir);
+    });
+
+    queues.set(project.id, run);
+    const cleanup = () => {
+        if (queues.get(project.id) === run) queues.delete(project.id);
+    };
+    run.then(cleanup, cleanup);
+    return run;
+}
+
+function isRepo(dir) {
+    return fs.existsSync(path.join(dir, '.git'));
+}
+
+async function hasCommits(dir) {
+    try {
+        await runGit(dir, ['rev-parse', '--verify', '-q', 'HEAD']);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function authorArgs(user) {
+    return ['-c', `user.name=${user.username}`, '-c', `user.email=${user.username}@users.noscode`];
+}
+
+async function init(project) {
+    await withRepo(project, async (dir) => {
+        if (isRepo(dir)) return;
+        await runGit(dir, ['init', '-q', '-b', 'main']);
+        // Folders the workspace keeps on disk only shouldn't show up as untracked
+        const ignored = Array.from(workspace.IGNORED_DIRS).filter(name => name !== '.git');
+        fs.appendFileSync(path.join(dir, '.git', 'info', 'exclude'), ignored.map(name => `${name}/`).join('\n') + '\n');
+    }, { requireRepo: false });
+    return status(project);
+}
+
+// Parse `git status --porcelain=v1 -z --branch`
+function parseStatus(output) {
+    const entries = output.split('\0');
+    const result = { branch: null, detached: false, files: [] };
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (!entry) continue;
+
+        if (entry.startsWith('## ')) {
+            const header = entry.slice(3);
+            const unborn = header.match(/^(?:No commits yet|Initial commit) on (.+)$/);
+            if (unborn) {
+                result.branch = unborn[1];
+            } else if (header.startsWith('HEAD (no branch)')) {
+                result.detached = true;
+            } else {
+                result.branch = header.split('...')[0];
+            }
+            continue;
+        }
+
+        const index = entry[0];
+        const worktree = entry[1];
+        const file = { path: entry.slice(3), index, worktree };
+        // Renames and copies are followed by their original path
+        if (index === 'R' || index === 'C') {
+            file.from = entries[++i];
+        }
+        file.staged = index !== ' ' && index !== '?';
+        file.unstaged = worktree !== ' ';
+        result.files.push(file);
+    }
+
+    return result;
+}
+
+async function status(project) {
+    return withRepo(project, async (dir) => {
+        if (!isRepo(dir)) return { initialized: false };
+        const output = await runGit(dir, ['status', '--porcelain=v1', '-z', '--branch', '--untracked-files=all']);
+        return Object.assign({ initialized: true, hasCommits: await hasCommits(dir) }, parseStatus(output));
+    }, { requireRepo: false });
+}
+
+async function stage(project, paths = []) {
+    await withRepo(project, dir => runGit(dir, ['add', '-A', '--', ...(paths.length ? paths : ['.'])]));
+    return status(project);
+}
+
+async function unstage(project, paths = []) {
+    await withRepo(project, async (dir) => {
+        if (await hasCommits(dir)) {
+            await runGit(dir, ['reset', '-q', '--', ...paths]);
+        } else {
+            // Nothing to reset to before the first commit
+            await runGit(dir, ['rm', '--cached', '-r', '-q', '--ignore-unmatch', '--', ...(paths.length ? paths : ['.'])]);
+        }
+    });
+    return status(project);
+}
+
+async function commit(project, user, message) {
+    return withRepo(project, async (dir) => {
+        await runGit(dir, [...authorArgs(user), 'commit', '-q', '-m', message]);
+        const hash = (await runGit(dir, ['rev-parse', '--short', 'HEAD'])).trim();
+        return { hash };
+    });
+}
+
+async function log(project, limit = LOG_LIMIT) {
+    return withRepo(project, async (dir) => {
+        if (!await hasCommits(dir)) return [];
+        const output = await runGit(dir, ['log', `-n${limit}`, '--format=%H%x1f%h%x1f%an%x1f%aI%x1f%s%x1e']);
+        return output.split('\x1e').map(line => line.trim()).filter(Boolean).map(line => {
+            const [hash, shortHash, author, date, subject] = line.split('\x1f');
+            return { hash, shortHash, author, date, subject };
+        });
+    });
+}
+
+async function branches(project) {
+    return withRepo(project, async (dir) => {
+        const output = await runGit(dir, ['for-each-ref', '--format=%(refname:short)', 'refs/heads']);
+        const names = output.split('\n').filter(Boolean);
+        let current = null;
+        try {
+            current = (await runGit(dir, ['symbolic-ref', '--short', '-q', 'HEAD'])).trim();
+        } catch {
+            // Detached HEAD
+        }
+        // A branch without commits yet has no ref
+        if (current && !names.includes(current)) names.push(current);
+        return { current, branches: names.sort() };
+    });
+}
+
+// Switching branches rewrites the working tree, so copy the result back
+// into the database and report what changed
+async function switchBranch(project, args) {
+    return withRepo(project, async (dir) => {
+        await runGit(dir, args);
+        return workspace.syncWorkspace(project, 'git');
+    });
+}
+
+async function createBranch(project, name) {
+    await withRepo(project, dir => runGit(dir, ['check-ref-format', '--branch', name]));
+    return switchBranch(project, ['checkout', '-q', '-b', name]);
+}
+
+async function checkout(project, branch) {
+    const { branches: names } = await branches(project);
+    if (!names.includes(branch)) {
+        const err = new Error(`No branch named ${branch}`);
+        err.status = 404;
+        throw err;
+    }
+    return switchBranch(project, ['checkout', '-q', branch, '--']);
+}
+
+// Old and new text of a file for diffing: HEAD against the working tree, or
+// HEAD against the index when `staged`
+async function fileVersions(project, filepath, staged = false) {
+    return withRepo(project, async (dir) => {
+        const show = async (spec) => {
+            try {
+                return await runGit(dir, ['show', spec]);
+            } catch {
+                return ''; // Not in that version
+            }
+        };
+
+        const head = await hasCommits(dir) ? await show(`HEAD:${filepath}`) : '';
+        if (staged) {
+            return { oldText: head, newText: await show(`:${filepath}`) };
+        }
+
+        let working = '';
+        try {
+            working = await db.readFile(project, filepath);
+        } catch {
+            // Deleted in the working tree
+        }
+        return { oldText: head, newText: working };
+    });
+}
+
+module.exports = {
+    init,
+    status,
+    stage,
+    unstage,
+    commit,
+    log,
+    branches,
+    createBranch,
+    checkout,
+    fileVersions
+};
@@ -27,7 +27,7 @@ async function migrateExistingData() {
                 console.log(`📁 Migrating project: ${projectName}`);
                 
                 try {
-                    await db.createProject(projectName);
+                    const project = await db.createProject(projectName);
                     totalProjects++;
                     
                     // Recursive file scan
@@ -46,7 +46,7 @@ async function migrateExistingData() {
                             } else {
                                 try {
                                     const content = await fs.readFile(itemPath, 'utf8');
-                                    await db.writeFile(projectName, relativePath, content);
+                                    await db.writeFile(project, relativePath, content, 'import');
                                     console.log(`  ✓ ${relativePath}`);
                                     totalFiles++;
                                 } catch (readErr) {
@@ -86,8 +86,10 @@ async function migrateExistingData() {
                     
                     console.log(`  📝 ${projectName}: ${historyData.length} messages`);
                     
+                    const project = await db.createProject(projectName);
+                    const thread = await db.createChatThread(project, 'Earlier chat');
                     for (const entry of historyData) {
-                        await db.saveChatHistory(projectName, entry.user, entry.ai);
+                        await db.saveChatHistory(project, thread.id, entry.user, entry.ai);
                         totalChats++;
                     }
                 } catch (historyErr) {
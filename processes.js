@@ -0,0 +1,255 @@
+const { spawn } = require('child_process');
+const db = require('./database');
+const workspace = require('./workspace');
+const policy = require('./command-policy');
+
+// Commands run in project workspaces: those started from /api/terminal/run
+// and by the auto-fix agent, and those typed into terminal sessions (see
+// track). Each runs in its own process group, so stopping it also stops
+// whatever it started, and stays in the registry (by project) with its
+// output after it exits, so `ps` can show how it ended and `logs` what it
+// printed. Commands run within the limits and policy of command-policy.js
+// and are recorded in the terminal audit log.
+
+const MAX_LOG_SIZE = 64 * 1024;   // The end of the output is kept
+const KEEP_FINISHED = 20;         // Exited processes remembered per project
+const EXIT_POLL_INTERVAL = 1000;  // How often tracked processes are checked
+
+const registry = new Map();       // project id -> Map<pid, entry>
+
+function projectEntries(projectId) {
+    if (!registry.has(projectId)) registry.set(projectId, new Map());
+    return registry.get(projectId);
+}
+
+function appendLog(entry, data) {
+    entry.log += data.toString();
+    if (entry.log.length > MAX_LOG_SIZE) entry.log = entry.log.slice(-MAX_LOG_SIZE);
+}
+
+// Forget the oldest exited processes beyond KEEP_FINISHED
+function pruneFinished(projectId) {
+    const entries = registry.get(projectId);
+    if (!entries) return;
+    const finished = Array.from(entries.values()).filter(e => e.endedAt);
+    for (const entry of finished.slice(0, Math.max(0, finished.length - KEEP_FINISHED))) {
+        entries.delete(entry.pid);
+    }
+    if (entries.size === 0) registry.delete(projectId);
+}
+
+// How an exited command is recorded in the audit log
+function auditStatus(entry) {
+    if (entry.limit) return 'limit';
+    return entry.killed ? 'killed' : 'exited';
+}
+
+function newEntry(project, { pid, userId, command, source, child }) {
+    return {
+        pid,
+        project,
+        userId,
+        command,
+        source,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        exitCode: null,
+        signal: null,
+        limit: null,
+        killed: false,
+        output: 0,
+        log: '',
+        changes: null,
+        child
+    };
+}
+
+// Start a shell command in the project's workspace for `userId`. The entry
+// ({ pid, project, userId, command, source, startedAt, endedAt, exitCode,
+// signal, limit, killed, log }) is returned once the process is running;
+// `entry.done` resolves when it exits and its file changes are synced (as
+// made by `source`). It is stopped after `timeout` ms or `maxOutput` bytes
+// of output (0 for no limit); `limit` then says which ('time', 'output' or
+// 'cpu'). `cwd` is a folder of the project, `env` extra environment
+// variables, and aborting `signal` kills the command. A command the policy
+// refuses is audited and fails with a 403 error.
+async function start(project, command, { userId, source = 'terminal', timeout = 0, maxOutput = 0, cwd = '', env, signal } = {}) {
+    const refused = policy.checkCommand(command);
+    if (refused) {
+        await db.addTerminalAudit(project, userId, command, { status: 'denied', reason: refused, source });
+        const err = new Error(refused);
+        err.status = 403;
+        throw err;
+    }
+
+    const dir = await workspace.prepareWorkspace(project);
+    const commandDir = workspace.resolveInside(dir, cwd || '.');
+    const auditId = await db.addTerminalAudit(project, userId, command, { source });
+    const child = spawn(policy.limitedCommand(command), {
+        cwd: commandDir,
+        env: workspace.commandEnv(env),
+        shell: true,
+        windowsHide: true,
+        detached: process.platform !== 'win32'
+    });
+
+    const entry = newEntry(project, { pid: child.pid, userId, command, source, child });
+
+    const stopAt = (limit) => {
+        if (!entry.child || entry.limit) return;
+        entry.limit = limit;
+        workspace.killCommand(entry.child);
+    };
+    const timer = timeout ? setTimeout(() => stopAt('time'), timeout) : null;
+    const abort = () => kill(entry);
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+    const onOutput = (data) => {
+        appendLog(entry, data);
+        entry.output += data.length;
+        if (maxOutput && entry.output > maxOutput) stopAt('output');
+    };
+
+    entry.done = new Promise((resolve) => {
+        let ended = false;
+        const finish = async (exitCode, exitSignal) => {
+            if (ended) return;
+            ended = true;
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', abort);
+            entry.exitCode = exitCode;
+            entry.signal = exitSignal || null;
+            if (!entry.limit && policy.exceededCPU(exitCode, exitSignal)) entry.limit = 'cpu';
+            entry.endedAt = new Date().toISOString();
+            entry.child = null;
+            try {
+                entry.changes = await workspace.syncWorkspace(project, source);
+            } catch (err) {
+                console.error('Process sync error:', err);
+                entry.changes = { created: [], modified: [], deleted: [] };
+            }
+            try {
+                await db.finishTerminalAudit(auditId, {
+                    status: auditStatus(entry),
+                    exitCode: entry.exitCode,
+                    signal: entry.signal,
+                    limit: entry.limit
+                });
+            } catch (err) {
+                console.error('Terminal audit error:', err);
+            }
+            pruneFinished(project.id);
+            resolve(entry);
+        };
+        child.stdout.on('data', onOutput);
+        child.stderr.on('data', onOutput);
+        child.on('error', (err) => {
+            appendLog(entry, `Error: ${err.message}\n`);
+            finish(null, null);
+        });
+        child.on('close', (code, exitSignal) => finish(code, exitSignal));
+    });
+
+    // A command that fails to spawn has no pid and nothing to manage
+    if (entry.pid) projectEntries(project.id).set(entry.pid, entry);
+    if (signal && signal.aborted) abort();
+    return entry;
+}
+
+// Register a process group something else started - a command typed into a
+// terminal session, led by process `pid` - so it can be listed and stopped
+// like the others. It isn't our child, so how it exited is unknown; it is
+// checked for every EXIT_POLL_INTERVAL and `entry.done` resolves once it's
+// gone. Its file changes are synced by the session.
+function track(project, { pid, userId, command, source = 'terminal' }) {
+    const entry = newEntry(project, { pid, userId, command, source, child: { pid } });
+    entry.done = new Promise((resolve) => {
+        const timer = setInterval(() => {
+            try {
+                process.kill(pid, 0);
+                return;
+            } catch {
+                // Gone
+            }
+            clearInterval(timer);
+            entry.endedAt = new Date().toISOString();
+            entry.child = null;
+            pruneFinished(project.id);
+            resolve(entry);
+        }, EXIT_POLL_INTERVAL);
+    });
+    projectEntries(project.id).set(pid, entry);
+    return entry;
+}
+
+// Wait up to `ms` for the process to exit: true if it did
+async function wait(entry, ms) {
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(false), ms); });
+    const exited = await Promise.race([entry.done.then(() => true), timeout]);
+    clearTimeout(timer);
+    return exited;
+}
+
+// Stop a process and everything it started. Windows has no process groups,
+// so there only the shell itself is stopped.
+function kill(entry) {
+    if (!entry.child) return false;
+    entry.killed = true;
+    workspace.killCommand(entry.child);
+    return true;
+}
+
+// The process with this pid if `userId` started it, else null
+function find(pid, userId) {
+    for (const entries of registry.values()) {
+        const entry = entries.get(pid);
+        if (entry && entry.userId === userId) return entry;
+    }
+    return null;
+}
+
+// The processes `userId` started, running ones first
+function list(userId) {
+    const entries = [];
+    for (const projectProcesses of registry.values()) {
+        for (const entry of projectProcesses.values()) {
+            if (entry.userId === userId) entries.push(entry);
+        }
+    }
+    return entries.sort((a, b) => (!!a.endedAt - !!b.endedAt) || b.startedAt.localeCompare(a.startedAt));
+}
+
+function info(entry) {
+    return {
+        pid: entry.pid,
+        project: entry.project.ref,
+        command: entry.command,
+        source: entry.source,
+        startedAt: entry.startedAt,
+        endedAt: entry.endedAt,
+        running: !entry.endedAt,
+        exitCode: entry.exitCode,
+        signal: entry.signal,
+        limit: entry.limit
+    };
+}
+
+// Stop and forget a project's processes, e.g. when it is deleted
+function removeProject(projectId) {
+    const entries = registry.get(projectId);
+    if (!entries) return;
+    registry.delete(projectId);
+    for (const entry of entries.values()) kill(entry);
+}
+
+module.exports = {
+    start,
+    track,
+    appendLog,
+    wait,
+    kill,
+    find,
+    list,
+    info,
+    removeProject
+};
@@ -0,0 +1,107 @@
+// Retrieval over project files for AI context. Files are split into
+// overlapping chunks of lines, each stored with its term counts (see
+// database.js: file_chunks), and ranked against a query with BM25.
+
+const CHUNK_LINES = 40;
+const CHUNK_OVERLAP = 10;
+
+// Larger files are almost always generated or minified
+const MAX_INDEXED_FILE_SIZE = 512 * 1024;
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+    'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this',
+    'to', 'what', 'when', 'where', 'which', 'why', 'with', 'you', 'your'
+]);
+
+// Lowercase terms, with identifiers also split into their words:
+// "getUserName" -> getusername, get, user, name
+function tokenize(text) {
+    const terms = [];
+    const add = (term) => {
+        if (term.length > 1 && term.length <= 64 && !STOP_WORDS.has(term)) terms.push(term);
+    };
+
+    for (const word of text.match(/[A-Za-z_][A-Za-z0-9_]*|\d+/g) || []) {
+        const lower = word.toLowerCase();
+        add(lower);
+        const parts = word.split(/_+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(Boolean);
+        if (parts.length > 1) parts.forEach(part => add(part.toLowerCase()));
+    }
+    return terms;
+}
+
+function countTerms(terms) {
+    const counts = {};
+    for (const term of terms) counts[term] = (counts[term] || 0) + 1;
+    return counts;
+}
+
+// [{ startLine, endLine, content, terms: { term: count }, length }] (1-based lines).
+// The path's words count toward every chunk, so naming a file finds it.
+function chunkFile(filepath, content) {
+    if (!content || content.length > MAX_INDEXED_FILE_SIZE || content.includes('\0')) return [];
+
+    const pathTerms = tokenize(filepath);
+    const lines = content.split('\n');
+    const chunks = [];
+    for (let start = 0; start < lines.length; start += CHUNK_LINES - CHUNK_OVERLAP) {
+        const end = Math.min(start + CHUNK_LINES, lines.length);
+        const text = lines.slice(start, end).join('\n');
+        if (text.trim()) {
+            const terms = pathTerms.concat(tokenize(text));
+            chunks.push({ startLine: start + 1, endLine: end, content: text, terms: countTerms(terms), length: terms.length });
+        }
+        if (end === lines.length) break;
+    }
+    return chunks;
+}
+
+// Best chunks for the query terms, given the candidates containing any of
+// them and the project's stats: { chunks, total, avgLength, df: { term: count } }.
+// Overlapping chunks of the same file are only counted once.
+function rankChunks(queryTerms, { chunks, total, avgLength, df }, { limit = 6, maxChars = 8000 } = {}) {
+    const unique = [...new Set(queryTerms)];
+    const idf = {};
+    for (const term of unique) {
+        const n = df[term] || 0;
+        idf[term] = Math.log(1 + (total - n + 0.5) / (n + 0.5));
+    }
+
+    const scored = chunks.map(chunk => {
+        let score = 0;
+        for (const term of unique) {
+            const tf = chunk.terms[term] || 0;
+            if (tf === 0) continue;
+            score += idf[term] * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * chunk.length / (avgLength || 1)));
+        }
+        return Object.assign({ score }, chunk);
+    }).filter(chunk => chunk.score > 0).sort((a, b) => b.score - a.score);
+
+    const picked = [];
+    let chars = 0;
+    for (const chunk of scored) {
+        if (picked.length >= limit) break;
+        const overlaps = picked.some(p => p.filepath === chunk.filepath
+            && p.startLine <= chunk.endLine && chunk.startLine <= p.endLine);
+        if (overlaps || chars + chunk.content.length > maxChars) continue;
+        picked.push(chunk);
+        chars += chunk.content.length;
+    }
+    return picked;
+}
+
+// Snippets for a prompt, each headed with the path:lines the model should cite
+function formatSnippets(chunks) {
+    return chunks.map(c => `--- ${c.filepath}:${c.startLine}-${c.endLine} ---\n\`\`\`\n${c.content}\n\`\`\``).join('\n\n');
+}
+
+module.exports = {
+    tokenize,
+    chunkFile,
+    rankChunks,
+    formatSnippets
+};
@@ -7,7 +7,27 @@
 // Global State
 // =====================================================
 const state = {
-    currentProject: null,
+    user: null, // Logged-in account { id, username }
+    currentProject: null, // "name", or "owner/name" for projects shared with you
+    projects: [], // [{ name, owner, role, ref }]
+    projectRole: null, // 'viewer' | 'editor' | 'owner'
+    sharingProject: null,
+    history: null, // File history modal: { filepath, revisions, selected }
+    gitStatus: null,
+    aiRequest: null, // AbortController of the chat reply being generated
+    aiMode: 'chat', // Chat panel tab: 'chat' | 'edit' | 'generate'
+    chat: { threads: [], threadId: null, oldestId: null, hasMore: false }, // threadId is null for a new chat until its first reply
+    inlineEdit: null, // Ctrl+K edit: { filepath, range, original, marker, request, replacement }
+    userSettings: { aiCompletions: false }, // /api/me/settings, once loaded
+    completion: { timer: null, request: null, ghost: null }, // Ghost text: ghost is { row, column, text }
+    aiProviders: null, // /api/ai/models: { default, providers }
+    aiSettings: { provider: null, model: null, temperature: null, maxTokens: null, instructions: null },
+    runConfigs: { configurations: [], selectedId: null, suggested: {}, editingId: null }, // editingId: the modal's form, null for a new one
+    problems: {}, // /api/diagnostics results: filepath -> [{ line, column, severity, message, source }]
+    searchFlags: { regex: false, caseSensitive: false, wholeWord: false },
+    searchResults: null,
+    editorDiff: null, // Git change markers in the editor: { filepath, markers, decorations }
+    review: null, // AI edits awaiting review: { files: [{ filepath, original, content, diff, decisions }], index }
     currentFile: null,
     currentPath: '',
     files: [],
@@ -19,7 +39,11 @@ const state = {
     bottomPanelMaximized: false,
     terminalHistory: [],
     terminalHistoryIndex: -1,
+    terminalSession: null, // { id, project, pty, source } of the streaming shell
+    terminalStreamLine: null, // Output line the shell is still writing to
     attachedImage: null, // Store attached image data
+    previewVisible: false,
+    previewUrl: null, // Base URL of the hosted project preview
 };
 
 // =====================================================
@@ -35,6 +59,10 @@ function initEditor() {
     editor.getSession().setTabSize(4);
     editor.getSession().setUseSoftTabs(true);
     
+    // The gutter shows the Problems panel's diagnostics (see updateEditorAnnotations),
+    // not Ace's own in-browser linting
+    editor.setOption('useWorker', false);
+    
     // Enable autocomplete
     editor.setOptions({
         enableBasicAutocompletion: true,
@@ -45,8 +73,41 @@ function initEditor() {
     // Track cursor position
     editor.selection.on('changeCursor', updateCursorPosition);
     
+    // AI completion: ask after a pause in typing, drop it when anything else happens
+    editor.commands.on('afterExec', (e) => {
+        if (COMPLETION_TRIGGERS.includes(e.command.name)) scheduleCompletion();
+    });
+    editor.selection.on('changeCursor', () => {
+        const ghost = state.completion.ghost;
+        const pos = editor.getCursorPosition();
+        if (ghost && (pos.row !== ghost.row || pos.column !== ghost.column)) cancelCompletion();
+    });
+    editor.on('blur', cancelCompletion);
+    editor.commands.addCommand({
+        name: 'acceptCompletion',
+        bindKey: { win: 'Tab', mac: 'Tab' },
+        // Returning false lets Tab indent as usual
+        exec: () => acceptCompletion()
+    });
+    editor.commands.addCommand({
+        name: 'dismissCompletion',
+        bindKey: { win: 'Esc', mac: 'Esc' },
+        exec: () => {
+            if (!state.completion.ghost) return false;
+            cancelCompletion();
+        }
+    });
+    
+    // Ctrl+K - AI edit of the selection
+    editor.commands.addCommand({
+        name: 'inlineEdit',
+        bindKey: { win: 'Ctrl-K', mac: 'Command-K' },
+        exec: openInlineEdit
+    });
+    
     // Track content changes
     editor.getSession().on('change', () => {
+        clearEditorDiff();
         if (state.currentFile) {
             state.fileContents[state.currentFile] = editor.getValue();
             if (!state.modifiedFiles.has(state.currentFile)) {
@@ -65,10 +126,98 @@ function updateCursorPosition() {
 // =====================================================
 // API Module
 // =====================================================
+
+// fetch() for project APIs: an expired session brings back the login screen
+async function apiFetch(url, options) {
+    const res = await fetch(url, options);
+    if (res.status === 401) {
+        showAuthModal();
+    }
+    return res;
+}
+
+// Read a POST response streamed as Server-Sent Events (EventSource only does GET).
+// Calls onEvent(type, data) for each event and resolves with the `done` event's
+// data; an `error` event resolves with its data too.
+async function readEventStream(res, onEvent) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            
+            let type = 'message';
+            let data = '';
+            for (const line of block.split('\n')) {
+                if (line.startsWith('event:')) type = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            }
+            if (!data) continue;
+            
+            const payload = JSON.parse(data);
+            if (type === 'done' || type === 'error') return payload;
+            onEvent(type, payload);
+        }
+    }
+    throw new Error('The response ended unexpectedly');
+}
+
 const API = {
+    async me() {
+        try {
+            const res = await fetch('/api/me');
+            return res.ok ? await res.json() : { user: null };
+        } catch (e) {
+            return { user: null };
+        }
+    },
+
+    async userSettings(changes) {
+        try {
+            const res = await apiFetch('/api/me/settings', changes ? {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            } : {});
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async login(username, password, signup = false) {
+        try {
+            const res = await fetch(signup ? '/api/signup' : '/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async logout() {
+        try {
+            const res = await fetch('/api/logout', { method: 'POST' });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
     async listProjects() {
         try {
-            const res = await fetch('/api/projects');
+            const res = await apiFetch('/api/projects');
             return await res.json();
         } catch (e) {
             console.error('Error fetching projects:', e);
@@ -78,7 +227,7 @@ const API = {
 
     async createProject(name) {
         try {
-            const res = await fetch(`/api/projects/${name}`, { method: 'POST' });
+            const res = await apiFetch(`/api/projects/${encodeURIComponent(name)}`, { method: 'POST' });
             return await res.json();
         } catch (e) {
             showNotification('Error creating project: ' + e.message, 'error');
@@ -88,7 +237,7 @@ const API = {
 
     async deleteProject(name) {
         try {
-            const res = await fetch(`/api/projects/${name}`, { method: 'DELETE' });
+            const res = await apiFetch(`/api/projects/${encodeURIComponent(name)}`, { method: 'DELETE' });
             return await res.json();
         } catch (e) {
             showNotification('Error deleting project: ' + e.message, 'error');
@@ -96,12 +245,45 @@ const API = {
         }
     },
 
+    async listMembers(project) {
+        try {
+            const res = await apiFetch(`/api/projects/${encodeURIComponent(project)}/members`);
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async shareProject(project, username, role) {
+        try {
+            const res = await apiFetch(`/api/projects/${encodeURIComponent(project)}/members/${encodeURIComponent(username)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ role })
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async removeMember(project, username) {
+        try {
+            const res = await apiFetch(`/api/projects/${encodeURIComponent(project)}/members/${encodeURIComponent(username)}`, {
+                method: 'DELETE'
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
     async listFiles(project, path = '') {
         try {
             const url = path 
-                ? `/api/files/${project}?path=${encodeURIComponent(path)}` 
-                : `/api/files/${project}`;
-            const res = await fetch(url);
+                ? `/api/files/${encodeURIComponent(project)}?path=${encodeURIComponent(path)}` 
+                : `/api/files/${encodeURIComponent(project)}`;
+            const res = await apiFetch(url);
             return await res.json();
         } catch (e) {
             console.error('Error fetching files:', e);
@@ -111,7 +293,7 @@ const API = {
 
     async readFile(project, filepath) {
         try {
-            const res = await fetch(`/api/file/${project}?path=${encodeURIComponent(filepath)}`);
+            const res = await apiFetch(`/api/file/${encodeURIComponent(project)}?path=${encodeURIComponent(filepath)}`);
             return await res.json();
         } catch (e) {
             showNotification('Error reading file: ' + e.message, 'error');
@@ -119,12 +301,13 @@ const API = {
         }
     },
 
-    async writeFile(project, filepath, content) {
+    // `source` is recorded in the file's history: 'user' or 'ai-chat'
+    async writeFile(project, filepath, content, source = 'user') {
         try {
-            const res = await fetch(`/api/file/${project}?path=${encodeURIComponent(filepath)}`, {
+            const res = await apiFetch(`/api/file/${encodeURIComponent(project)}?path=${encodeURIComponent(filepath)}`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ content, filename: filepath })
+                body: JSON.stringify({ content, filename: filepath, source })
             });
             return await res.json();
         } catch (e) {
@@ -133,9 +316,9 @@ const API = {
         }
     },
 
-    async deleteFile(project, filepath) {
+    async deleteFile(project, filepath, source = 'user') {
         try {
-            const res = await fetch(`/api/file/${project}?path=${encodeURIComponent(filepath)}`, { 
+            const res = await apiFetch(`/api/file/${encodeURIComponent(project)}?path=${encodeURIComponent(filepath)}&source=${source}`, { 
                 method: 'DELETE' 
             });
             return await res.json();
@@ -145,155 +328,305 @@ const API = {
         }
     },
 
-    async chat(message) {
+    // Source control: `action` is the route under /api/git/:project/
+    async git(project, action, body) {
+        try {
+            const res = await apiFetch(`/api/git/${encodeURIComponent(project)}/${action}`, body ? {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            } : undefined);
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async search(project, options) {
+        try {
+            const params = new URLSearchParams();
+            for (const [key, value] of Object.entries(options)) {
+                if (value) params.set(key, value === true ? '1' : value);
+            }
+            const res = await apiFetch(`/api/search/${encodeURIComponent(project)}?${params}`);
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async replaceAll(project, options, replacement, files) {
+        try {
+            const res = await apiFetch(`/api/search/${encodeURIComponent(project)}/replace`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(Object.assign({}, options, { replacement, files }))
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async listModels() {
+        try {
+            const res = await fetch('/api/ai/models');
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async getAISettings(project) {
+        try {
+            const res = await apiFetch(`/api/projects/${encodeURIComponent(project)}/ai-settings`);
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async saveAISettings(project, settings) {
+        try {
+            const res = await apiFetch(`/api/projects/${encodeURIComponent(project)}/ai-settings`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(settings)
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async listRunConfigurations(project) {
+        try {
+            const res = await apiFetch(`/api/projects/${encodeURIComponent(project)}/run-configurations`);
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    // Creates the configuration without an id, else updates it
+    async saveRunConfiguration(project, id, configuration) {
+        try {
+            const url = `/api/projects/${encodeURIComponent(project)}/run-configurations${id ? `/${id}` : ''}`;
+            const res = await apiFetch(url, {
+                method: id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(configuration)
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async deleteRunConfiguration(project, id) {
+        try {
+            const res = await apiFetch(`/api/projects/${encodeURIComponent(project)}/run-configurations/${id}`, {
+                method: 'DELETE'
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async selectRunConfiguration(project, id) {
+        try {
+            const res = await apiFetch(`/api/projects/${encodeURIComponent(project)}/run-configurations/selected`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id })
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async runProject(project, test = false) {
+        try {
+            const res = await apiFetch(`/api/projects/${encodeURIComponent(project)}/run`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ test })
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async listRevisions(project, filepath) {
+        try {
+            const res = await apiFetch(`/api/revisions/${encodeURIComponent(project)}?path=${encodeURIComponent(filepath)}`);
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async diffRevisions(project, from, to) {
+        try {
+            const params = new URLSearchParams({ to });
+            if (from) params.set('from', from);
+            const res = await apiFetch(`/api/revisions/${encodeURIComponent(project)}/diff?${params}`);
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async restoreRevision(project, id) {
+        try {
+            const res = await apiFetch(`/api/revisions/${encodeURIComponent(project)}/${id}/restore`, { method: 'POST' });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    // Ghost text at the cursor: { completion } for body { filename, prefix, suffix }
+    async complete(body, signal) {
+        try {
+            const res = await apiFetch('/api/ai/complete', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(Object.assign({ project: state.currentProject }, body)),
+                signal
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    // Ctrl+K: { replacement, diff } for body { code, filename, selection, instruction }
+    async inlineEdit(body, signal) {
+        try {
+            const res = await apiFetch('/api/ai/inline-edit', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(Object.assign({ project: state.currentProject }, body)),
+                signal
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message, aborted: e.name === 'AbortError' };
+        }
+    },
+
+    // Replies generated by the model stream in: onToken(text) gets the reply
+    // so far. Aborting `signal` stops generation and keeps the partial text.
+    async chat(message, { onToken, signal } = {}) {
+        let partial = '';
         try {
             const body = {
                 code: editor ? editor.getValue() : '', 
                 filename: state.currentFile || 'untitled.txt',
                 project: state.currentProject,
-                prompt: message
+                prompt: message,
+                mode: state.aiMode,
+                threadId: state.chat.threadId,
+                stream: true
             };
             
+            // Edit mode works on the selected lines when there are any
+            if (state.aiMode === 'edit' && editor && !editor.getSelection().isEmpty()) {
+                const range = editor.getSelectionRange();
+                body.selection = {
+                    text: editor.getSelectedText(),
+                    startLine: range.start.row + 1,
+                    endLine: range.end.row + 1
+                };
+            }
+            
             // Include image if attached
             if (state.attachedImage) {
                 body.image = state.attachedImage;
             }
             
-            const res = await fetch('/api/ai/chat', {
+            const res = await apiFetch('/api/ai/chat', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(body)
+                body: JSON.stringify(body),
+                signal
             });
-            const data = await res.json();
-            
-            // Handle file operation actions from AI
-            if (data.action === 'read_file' && data.filepath) {
-                try {
-                    const fileData = await API.readFile(state.currentProject, data.filepath);
-                    return { 
-                        response: `📄 **File content of ${data.filepath}:**\n\n\`\`\`\n${fileData.content}\n\`\`\``,
-                        fileRead: true 
-                    };
-                } catch (e) {
-                    return { response: `❌ Error reading file: ${e.message}` };
-                }
-            }
             
-            if (data.action === 'write_file' && data.filepath && data.content !== undefined) {
-                try {
-                    await API.writeFile(state.currentProject, data.filepath, data.content);
-                    await loadFolder(state.currentPath);
-                    
-                    // Open the file that was created/modified
-                    await loadFile(data.filepath);
-                    
-                    return { 
-                        response: `✅ Successfully ${data.filepath.includes('/') ? 'created' : 'updated'} \`${data.filepath}\``,
-                        fileWritten: true 
-                    };
-                } catch (e) {
-                    return { response: `❌ Error writing file: ${e.message}` };
-                }
-            }
-            
-            if (data.action === 'write_multiple_files' && data.files) {
-                try {
-                    for (const file of data.files) {
-                        await API.writeFile(state.currentProject, file.filepath, file.content);
-                    }
-                    await loadFolder(state.currentPath);
-                    
-                    // Open the first file
-                    if (data.files.length > 0) {
-                        await loadFile(data.files[0].filepath);
+            // Errors and replies that weren't generated (no project, no open file) are plain JSON
+            let data;
+            if ((res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                data = await readEventStream(res, (type, event) => {
+                    if (type === 'token') {
+                        partial += event.text;
+                        if (onToken) onToken(partial);
                     }
-                    
-                    const filesList = data.files.map(f => `\`${f.filepath}\``).join(', ');
-                    return { 
-                        response: data.response || `✅ Created ${data.files.length} file(s): ${filesList}`,
-                        filesWritten: true 
-                    };
-                } catch (e) {
-                    return { response: `❌ Error creating files: ${e.message}` };
-                }
-            }
-            
-            if (data.action === 'delete_file' && data.filepath) {
-                try {
-                    await API.deleteFile(state.currentProject, data.filepath);
-                    await loadFolder(state.currentPath);
-                    return { 
-                        response: `🗑️ Successfully deleted \`${data.filepath}\``,
-                        fileDeleted: true 
-                    };
-                } catch (e) {
-                    return { response: `❌ Error deleting file: ${e.message}` };
-                }
+                });
+            } else {
+                data = await res.json();
             }
+            // A new chat's first reply starts its thread
+            if (data.threadId) state.chat.threadId = data.threadId;
             
-            if (data.action === 'auto_fix') {
-                try {
-                    addChatMessage('🔧 Starting auto-fix mode...', false);
-                    
-                    const fixRes = await fetch('/api/ai/auto-fix', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ 
-                            project: state.currentProject,
-                            runCommand: null // Let it auto-detect
-                        })
-                    });
-                    const fixData = await fixRes.json();
-                    
-                    // Display each fix attempt
-                    if (fixData.fixes && fixData.fixes.length > 0) {
-                        for (const fix of fixData.fixes) {
-                            if (fix.error) {
-                                addChatMessage(`**Attempt ${fix.attempt}:**\n\`\`\`\n${fix.error.substring(0, 500)}\n\`\`\``, false);
-                            }
-                            if (fix.explanation) {
-                                addChatMessage(`🔧 **Fix applied:** ${fix.explanation}`, false);
-                            }
-                        }
-                    }
-                    
-                    // Reload files to show changes
-                    await loadFolder(state.currentPath);
-                    
-                    return { 
-                        response: fixData.message,
-                        autoFixComplete: true 
-                    };
-                } catch (e) {
-                    return { response: `❌ Auto-fix error: ${e.message}` };
-                }
+            // File edits are only proposed; the user accepts them hunk by hunk
+            if ((data.action === 'write_file' || data.action === 'write_multiple_files') && data.changes) {
+                openChangeReview(data.changes);
+                return { response: data.response, changesProposed: true, sources: data.sources };
             }
             
             return data;
         } catch (e) {
+            if (e.name === 'AbortError') {
+                return { response: partial ? `${partial}\n\n*Stopped.*` : '*Stopped.*', stopped: true };
+            }
             return { response: '❌ Error: ' + e.message, status: 'error' };
         }
     },
 
-    async runCommand(command) {
+    // The auto-fix agent: onStep(step) gets each tool call as it happens and
+    // the files it changed are reflected in the editor once it's done
+    async autoFix(goal, { onStep, signal } = {}) {
+        const changes = { created: [], modified: [], deleted: [] };
         try {
-            const res = await fetch('/api/terminal/run', {
+            const res = await apiFetch('/api/ai/auto-fix', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ command, project: state.currentProject })
+                body: JSON.stringify({ 
+                    project: state.currentProject,
+                    goal,
+                    stream: true
+                }),
+                signal
             });
-            return await res.json();
+            if (!(res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                const data = await res.json();
+                return { response: `❌ Auto-fix error: ${data.error}` };
+            }
+            
+            const data = await readEventStream(res, (type, step) => {
+                if (type !== 'step') return;
+                onStep(step);
+                for (const kind of Object.keys(changes)) changes[kind].push(...step.changes[kind]);
+            });
+            return { response: data.message || data.response };
         } catch (e) {
-            return { error: e.message };
+            if (e.name === 'AbortError') return { response: '*Stopped.*', stopped: true };
+            return { response: '❌ Error: ' + e.message, status: 'error' };
+        } finally {
+            for (const kind of Object.keys(changes)) changes[kind] = [...new Set(changes[kind])];
+            await applyWorkspaceChanges(changes);
         }
     },
 
-    async hostProject(port = 8000) {
+    async openTerminalSession(cols, rows) {
         try {
-            const res = await fetch('/api/terminal/host', {
+            const res = await apiFetch('/api/terminal/sessions', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ project: state.currentProject, port })
+                body: JSON.stringify({ project: state.currentProject, cols, rows })
             });
             return await res.json();
         } catch (e) {
@@ -301,12 +634,12 @@ const API = {
         }
     },
 
-    async stopServer() {
+    async sendTerminalInput(sessionId, data) {
         try {
-            const res = await fetch('/api/terminal/stop', {
+            const res = await apiFetch(`/api/terminal/sessions/${sessionId}/input`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ project: state.currentProject })
+                body: JSON.stringify({ data })
             });
             return await res.json();
         } catch (e) {
@@ -314,12 +647,12 @@ const API = {
         }
     },
 
-    async killProcess(pid) {
+    async resizeTerminal(sessionId, cols, rows) {
         try {
-            const res = await fetch('/api/terminal/kill', {
+            const res = await apiFetch(`/api/terminal/sessions/${sessionId}/resize`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ pid: parseInt(pid) })
+                body: JSON.stringify({ cols, rows })
             });
             return await res.json();
         } catch (e) {
@@ -327,70 +660,332 @@ const API = {
         }
     },
 
-    async listProcesses() {
+    async closeTerminalSession(sessionId) {
         try {
-            const res = await fetch('/api/terminal/processes');
+            const res = await apiFetch(`/api/terminal/sessions/${sessionId}`, { method: 'DELETE' });
             return await res.json();
         } catch (e) {
-            return { processes: [] };
+            return { error: e.message };
         }
     },
 
-    async loadChatHistory(project) {
+    async hostProject() {
         try {
-            const res = await fetch(`/api/chat-history/${project}`);
-            const data = await res.json();
-            return data.history || [];
+            const res = await apiFetch('/api/terminal/host', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ project: state.currentProject })
+            });
+            return await res.json();
         } catch (e) {
-            console.error('Error loading chat history:', e);
-            return [];
+            return { error: e.message };
         }
     },
 
-    async deleteChatHistory(project) {
+    async stopServer() {
         try {
-            const res = await fetch(`/api/chat-history/${project}`, { method: 'DELETE' });
+            const res = await apiFetch('/api/terminal/stop', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ project: state.currentProject })
+            });
             return await res.json();
         } catch (e) {
-            console.error('Error deleting chat history:', e);
             return { error: e.message };
         }
-    }
-};
+    },
+
+    async killProcess(pid) {
+        try {
+            const res = await apiFetch('/api/terminal/kill', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pid: parseInt(pid) })
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async processLogs(pid) {
+        try {
+            const res = await apiFetch(`/api/terminal/processes/${parseInt(pid)}/logs`);
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    // Diagnostics of one file, or of the whole project without one
+    async getDiagnostics(project, filepath) {
+        try {
+            const query = filepath ? `?path=${encodeURIComponent(filepath)}` : '';
+            const res = await apiFetch(`/api/diagnostics/${encodeURIComponent(project)}${query}`);
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async listProcesses() {
+        try {
+            const res = await apiFetch('/api/terminal/processes');
+            return await res.json();
+        } catch (e) {
+            return { processes: [] };
+        }
+    },
+
+    async listChatThreads(project) {
+        try {
+            const res = await apiFetch(`/api/chat-history/${encodeURIComponent(project)}/threads`);
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async renameChatThread(project, threadId, title) {
+        try {
+            const res = await apiFetch(`/api/chat-history/${encodeURIComponent(project)}/threads/${threadId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title })
+            });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    async deleteChatThread(project, threadId) {
+        try {
+            const res = await apiFetch(`/api/chat-history/${encodeURIComponent(project)}/threads/${threadId}`, { method: 'DELETE' });
+            return await res.json();
+        } catch (e) {
+            return { error: e.message };
+        }
+    },
+
+    // A page of a thread's messages (the latest thread without one):
+    // { thread, history, hasMore }; `before` pages back from a message id
+    async loadChatHistory(project, { thread, before } = {}) {
+        try {
+            const params = new URLSearchParams();
+            if (thread) params.set('thread', thread);
+            if (before) params.set('before', before);
+            const res = await apiFetch(`/api/chat-history/${encodeURIComponent(project)}?${params}`);
+            return await res.json();
+        } catch (e) {
+            console.error('Error loading chat history:', e);
+            return { error: e.message, history: [] };
+        }
+    },
+
+    async deleteChatHistory(project, thread) {
+        try {
+            const query = thread ? `?thread=${thread}` : '';
+            const res = await apiFetch(`/api/chat-history/${encodeURIComponent(project)}${query}`, { method: 'DELETE' });
+            return await res.json();
+        } catch (e) {
+            console.error('Error deleting chat history:', e);
+            return { error: e.message };
+        }
+    }
+};
 
 // =====================================================
 // File System Operations
 // =====================================================
+// Projects are referenced as "name", or "owner/name" when shared with you
 async function loadProject(projectName) {
+    let info = state.projects.find(p => p.ref === projectName);
+    if (!info) {
+        await updateProjectsList();
+        info = state.projects.find(p => p.ref === projectName);
+    }
+    
     state.currentProject = projectName;
+    state.projectRole = info ? info.role : null;
     state.currentPath = '';
     state.openFiles = [];
     state.fileContents = {};
     state.modifiedFiles.clear();
+    state.gitStatus = null;
+    clearEditorDiff();
+    closeChangeReview();
     
     document.getElementById('files-section-title').textContent = projectName.toUpperCase();
     document.getElementById('status-project-name').textContent = projectName;
     document.getElementById('welcome-screen').classList.add('hidden');
     
+    editor.setReadOnly(!canEditProject());
+    document.getElementById('status-project-name').textContent = projectName + (canEditProject() ? '' : ' (read-only)');
+    
     await loadFolder('');
     await loadChatHistory();
+    loadAISettings();
+    loadRunConfigurations();
+    state.problems = {};
+    refreshDiagnostics();
     updateProjectsList();
+    if (canEditProject()) {
+        connectTerminal();
+    } else {
+        disconnectTerminal();
+        addTerminalOutput('You have view-only access to this project. Ask an owner for editor access to run commands.', 'normal');
+    }
+    if (state.previewVisible) showPreview();
+    if (isGitPanelOpen()) refreshGitPanel();
+    runSearch();
 }
 
-async function loadChatHistory() {
+function canEditProject() {
+    return state.projectRole === 'editor' || state.projectRole === 'owner';
+}
+
+// Show a chat thread's latest messages; without a thread id, the project's
+// most recent thread (or a new chat when it has none)
+async function loadChatHistory(threadId) {
     if (!state.currentProject) return;
+    const project = state.currentProject;
     
-    const history = await API.loadChatHistory(state.currentProject);
-    const chatArea = document.getElementById('ai-chat-area');
+    const data = await API.loadChatHistory(project, { thread: threadId });
+    if (state.currentProject !== project) return;
+    if (data.error) {
+        showNotification(data.error, 'error');
+        return;
+    }
     
-    // Clear existing messages
-    chatArea.innerHTML = '';
+    state.chat.threadId = data.thread ? data.thread.id : null;
+    setChatPage(data);
     
-    // Add historical messages
-    for (const entry of history) {
+    const chatArea = document.getElementById('ai-chat-area');
+    chatArea.innerHTML = '';
+    if (data.history.length === 0) {
+        showChatWelcome(data.thread ? 'No messages in this chat yet. How can I help you?' : 'New chat. How can I help you?');
+    }
+    for (const entry of data.history) {
         addChatMessage(entry.user, true);  // true = user message
         addChatMessage(entry.ai, false);   // false = AI message
     }
+    updateLoadEarlierButton();
+    await loadChatThreads();
+}
+
+function setChatPage(data) {
+    state.chat.hasMore = data.hasMore;
+    if (data.history.length > 0) state.chat.oldestId = data.history[0].id;
+}
+
+// Older messages of the open thread go above the ones shown, keeping the view in place
+async function loadEarlierChatMessages() {
+    const { threadId, oldestId } = state.chat;
+    if (!threadId || !oldestId) return;
+    
+    const data = await API.loadChatHistory(state.currentProject, { thread: threadId, before: oldestId });
+    if (state.chat.threadId !== threadId) return;
+    if (data.error) {
+        showNotification(data.error, 'error');
+        return;
+    }
+    
+    const chatArea = document.getElementById('ai-chat-area');
+    const fromBottom = chatArea.scrollHeight - chatArea.scrollTop;
+    const marker = chatArea.querySelector('.chat-load-earlier');
+    const first = marker ? marker.nextSibling : chatArea.firstChild;
+    for (const entry of data.history) {
+        chatArea.insertBefore(addChatMessage(entry.user, true), first);
+        chatArea.insertBefore(addChatMessage(entry.ai, false), first);
+    }
+    setChatPage(data);
+    updateLoadEarlierButton();
+    chatArea.scrollTop = chatArea.scrollHeight - fromBottom;
+}
+
+function updateLoadEarlierButton() {
+    const chatArea = document.getElementById('ai-chat-area');
+    let button = chatArea.querySelector('.chat-load-earlier');
+    if (!state.chat.hasMore) {
+        if (button) button.remove();
+        return;
+    }
+    if (!button) {
+        button = document.createElement('button');
+        button.className = 'chat-load-earlier';
+        button.innerHTML = '<i class="fas fa-angle-up"></i> Load earlier messages';
+        button.addEventListener('click', loadEarlierChatMessages);
+    }
+    chatArea.insertBefore(button, chatArea.firstChild);
+}
+
+async function loadChatThreads() {
+    if (!state.currentProject) return;
+    const project = state.currentProject;
+    const data = await API.listChatThreads(project);
+    if (state.currentProject !== project || data.error) return;
+    state.chat.threads = data.threads;
+    renderChatThreads();
+}
+
+function chatThreadTitle(thread) {
+    return thread.title || 'New chat';
+}
+
+function renderChatThreads() {
+    const { threads, threadId } = state.chat;
+    const select = document.getElementById('ai-thread-select');
+    // A new chat is listed until its first reply creates the thread
+    select.innerHTML = (threadId ? '' : '<option value="">New chat</option>') +
+        threads.map(t => `<option value="${t.id}">${escapeHtml(chatThreadTitle(t))}</option>`).join('');
+    select.value = threadId ? String(threadId) : '';
+    
+    // Switching threads mid-reply would show the reply in the wrong one
+    const busy = !!state.aiRequest;
+    const editable = !!state.currentProject && canEditProject();
+    select.disabled = busy || !state.currentProject;
+    document.getElementById('btn-new-chat').disabled = busy || !editable;
+    document.getElementById('btn-rename-chat').disabled = busy || !editable || !threadId;
+    document.getElementById('btn-delete-chat').disabled = busy || !editable || !threadId;
+}
+
+function newChatThread() {
+    state.chat.threadId = null;
+    state.chat.oldestId = null;
+    state.chat.hasMore = false;
+    document.getElementById('ai-chat-area').innerHTML = '';
+    showChatWelcome('New chat. How can I help you?');
+    renderChatThreads();
+    document.getElementById('ai-input').focus();
+}
+
+function renameChatThread() {
+    const thread = state.chat.threads.find(t => t.id === state.chat.threadId);
+    if (!thread) return;
+    showDialog('Rename Chat', 'Chat name:', 'input', chatThreadTitle(thread), async (title) => {
+        if (title === null || title === chatThreadTitle(thread)) return;
+        const result = await API.renameChatThread(state.currentProject, thread.id, title);
+        if (result.error) {
+            showNotification(result.error, 'error');
+            return;
+        }
+        await loadChatThreads();
+    });
+}
+
+function deleteChatThread() {
+    const thread = state.chat.threads.find(t => t.id === state.chat.threadId);
+    if (!thread) return;
+    showDialog('Delete Chat', `Delete "${chatThreadTitle(thread)}" and all of its messages?`, 'confirm', '', async (confirmed) => {
+        if (!confirmed) return;
+        const result = await API.deleteChatThread(state.currentProject, thread.id);
+        if (result.error) {
+            showNotification(result.error, 'error');
+            return;
+        }
+        await loadChatHistory();
+    });
 }
 
 async function loadFolder(folderPath) {
@@ -402,6 +997,9 @@ async function loadFolder(folderPath) {
 }
 
 async function loadFile(filepath) {
+    closeInlineEdit();
+    cancelCompletion();
+    
     // Save current file content before switching
     if (state.currentFile && editor) {
         state.fileContents[state.currentFile] = editor.getValue();
@@ -429,6 +1027,7 @@ async function loadFile(filepath) {
     // Set editor mode based on file extension
     const mode = getLanguageMode(filepath);
     editor.getSession().setMode(mode);
+    updateEditorAnnotations();
     
     // Update UI
     updateFileTabs();
@@ -436,6 +1035,7 @@ async function loadFile(filepath) {
     updateEditorBreadcrumb();
     updateStatusBar();
     updateAIContext();
+    if (isPreviewableFile(filepath)) refreshPreview();
 }
 
 async function saveFile() {
@@ -444,13 +1044,25 @@ async function saveFile() {
         return;
     }
     
+    if (!canEditProject()) {
+        showNotification('You have view-only access to this project', 'warning');
+        return;
+    }
+    
     let content = editor.getValue();
     content = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
     state.fileContents[state.currentFile] = content;
     
-    await API.writeFile(state.currentProject, state.currentFile, content);
+    const result = await API.writeFile(state.currentProject, state.currentFile, content);
+    if (!result || result.error) {
+        showNotification(result ? result.error : 'Could not save file', 'error');
+        return;
+    }
     state.modifiedFiles.delete(state.currentFile);
     updateFileTabs();
+    refreshPreview();
+    refreshDiagnostics([state.currentFile]);
+    if (isGitPanelOpen()) refreshGitPanel();
     showNotification('File saved successfully', 'success');
 }
 
@@ -523,15 +1135,21 @@ function updateFileTabs() {
         const icon = getFileIcon(filename);
         
         return `
-            <div class="editor-tab ${isActive ? 'active' : ''}" onclick="loadFile('${filepath}')">
+            <div class="editor-tab ${isActive ? 'active' : ''}" data-filepath="${encodeURIComponent(filepath)}">
                 <i class="${icon}"></i>
-                <span class="tab-name ${isModified ? 'modified' : ''}">${filename}</span>
-                <span class="tab-close" onclick="closeFileTab('${filepath}', event)">
+                <span class="tab-name ${isModified ? 'modified' : ''}">${escapeHtml(filename)}</span>
+                <span class="tab-close">
                     <i class="fas fa-times"></i>
                 </span>
             </div>
         `;
     }).join('');
+
+    container.querySelectorAll('.editor-tab').forEach(tab => {
+        const filepath = decodeURIComponent(tab.dataset.filepath);
+        tab.addEventListener('click', () => loadFile(filepath));
+        tab.querySelector('.tab-close').addEventListener('click', (e) => closeFileTab(filepath, e));
+    });
 }
 
 function updateFilesList() {
@@ -542,87 +1160,718 @@ function updateFilesList() {
         return;
     }
     
-    container.innerHTML = state.files.map(file => {
+    container.innerHTML = state.files.map((file, index) => {
         const isFolder = file.type === 'folder';
         const icon = isFolder ? 'fas fa-folder' : getFileIcon(file.name);
         const isActive = !isFolder && state.currentFile === file.path;
-        const onclick = isFolder 
-            ? `loadFolder('${file.path}')` 
-            : `loadFile('${file.path}')`;
         
         return `
-            <div class="tree-item ${isActive ? 'active' : ''}" onclick="${onclick}">
+            <div class="tree-item ${isActive ? 'active' : ''}" data-index="${index}">
                 <i class="${icon}"></i>
-                <span class="tree-item-name">${file.name}</span>
+                <span class="tree-item-name">${escapeHtml(file.name)}</span>
                 <div class="tree-item-actions">
                     ${!isFolder ? `
-                        <button class="icon-btn" onclick="event.stopPropagation(); showRenameDialog('${file.path}', '${file.name}')" title="Rename">
+                        <button class="icon-btn" data-action="rename" title="Rename">
                             <i class="fas fa-pen"></i>
                         </button>
                     ` : ''}
-                    <button class="icon-btn" onclick="event.stopPropagation(); showDeleteDialog('${file.path}', ${isFolder})" title="Delete">
+                    <button class="icon-btn" data-action="delete" title="Delete">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
             </div>
         `;
     }).join('');
+
+    container.querySelectorAll('.tree-item').forEach(item => {
+        const file = state.files[item.dataset.index];
+        const isFolder = file.type === 'folder';
+        item.addEventListener('click', () => isFolder ? loadFolder(file.path) : loadFile(file.path));
+        item.querySelectorAll('.icon-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (btn.dataset.action === 'rename') showRenameDialog(file.path, file.name);
+                else showDeleteDialog(file.path, isFolder);
+            });
+        });
+    });
+}
+
+function updateBreadcrumb() {
+    const container = document.getElementById('breadcrumb-nav');
+    
+    if (!state.currentPath) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const parts = state.currentPath.split('/');
+    let html = `
+        <button class="breadcrumb-btn" data-path="" title="Root">
+            <i class="fas fa-home"></i>
+        </button>
+    `;
+    
+    parts.forEach((part, idx) => {
+        const path = parts.slice(0, idx + 1).join('/');
+        html += `
+            <span class="breadcrumb-separator"><i class="fas fa-chevron-right"></i></span>
+            <button class="breadcrumb-btn" data-path="${encodeURIComponent(path)}">${escapeHtml(part)}</button>
+        `;
+    });
+    
+    container.innerHTML = html;
+    container.querySelectorAll('.breadcrumb-btn').forEach(btn => {
+        btn.addEventListener('click', () => loadFolder(decodeURIComponent(btn.dataset.path)));
+    });
+}
+
+function updateEditorBreadcrumb() {
+    const container = document.getElementById('editor-breadcrumb');
+    
+    if (!state.currentFile) {
+        container.innerHTML = '<span class="breadcrumb-item">No file selected</span>';
+        return;
+    }
+    
+    const parts = state.currentFile.split('/');
+    container.innerHTML = parts.map((part, idx) => {
+        return `<span class="breadcrumb-item">${escapeHtml(part)}</span>`;
+    }).join('<span class="breadcrumb-separator"><i class="fas fa-chevron-right"></i></span>');
+}
+
+function updateStatusBar() {
+    const lang = state.currentFile ? getLanguageName(state.currentFile) : 'Plain Text';
+    document.getElementById('status-language').textContent = lang;
+}
+
+function updateAIContext() {
+    const contextFile = document.getElementById('ai-context-file');
+    contextFile.textContent = state.currentFile || 'No file selected';
+}
+
+// =====================================================
+// Live Preview
+// =====================================================
+function isPreviewableFile(filepath) {
+    return /\.html?$/i.test(filepath);
+}
+
+async function togglePreview() {
+    if (state.previewVisible) {
+        hidePreview();
+    } else {
+        await showPreview();
+    }
+}
+
+async function showPreview() {
+    if (!state.currentProject) {
+        showNotification('Please create or select a project first', 'warning');
+        return;
+    }
+
+    // The preview is served from stored files once the project is hosted
+    const result = await API.hostProject();
+    if (!result.url) {
+        showNotification('Could not start preview: ' + (result.error || result.message), 'error');
+        return;
+    }
+
+    state.previewVisible = true;
+    state.previewUrl = result.url;
+    document.getElementById('editor-area').classList.add('split');
+    document.getElementById('btn-split-editor').classList.add('active');
+    if (editor) editor.resize();
+    refreshPreview();
+}
+
+function hidePreview() {
+    state.previewVisible = false;
+    document.getElementById('editor-area').classList.remove('split');
+    document.getElementById('btn-split-editor').classList.remove('active');
+    document.getElementById('preview-frame').src = 'about:blank';
+    if (editor) editor.resize();
+}
+
+// Show the open HTML file, or the project's index.html, with the latest saved content
+function refreshPreview() {
+    if (!state.previewVisible || !state.previewUrl) return;
+
+    const page = state.currentFile && isPreviewableFile(state.currentFile) ? state.currentFile : '';
+    const url = state.previewUrl + page.split('/').map(encodeURIComponent).join('/');
+    const frame = document.getElementById('preview-frame');
+
+    document.getElementById('preview-location').textContent = page || 'index.html';
+    // The sandboxed frame is cross-origin; setting src, even to the same URL, reloads it
+    frame.src = url;
+}
+
+// =====================================================
+// File History
+// =====================================================
+const REVISION_SOURCE_LABELS = {
+    'initial': 'Original',
+    'user': 'Saved',
+    'ai-chat': 'AI chat',
+    'auto-fix': 'Auto-fix',
+    'terminal': 'Terminal',
+    'git': 'Git checkout',
+    'restore': 'Restored',
+    'replace': 'Replace all',
+    'import': 'Imported'
+};
+
+async function showFileHistory() {
+    if (!state.currentProject || !state.currentFile) {
+        showNotification('Open a file to see its history', 'warning');
+        return;
+    }
+    
+    const filepath = state.currentFile;
+    state.history = { filepath, revisions: [], selected: null };
+    document.getElementById('history-file-name').textContent = filepath;
+    document.getElementById('history-diff').innerHTML = '';
+    document.getElementById('btn-restore-revision').style.display = 'none';
+    document.getElementById('history-modal').classList.add('active');
+    
+    const data = await API.listRevisions(state.currentProject, filepath);
+    const list = document.getElementById('history-list');
+    if (data.error) {
+        list.innerHTML = `<div class="muted-text">${escapeHtml(data.error)}</div>`;
+        return;
+    }
+    
+    state.history.revisions = data.revisions;
+    if (data.revisions.length === 0) {
+        list.innerHTML = '<div class="muted-text">No history yet. Revisions are recorded from the next save.</div>';
+        return;
+    }
+    
+    list.innerHTML = data.revisions.map(r => `
+        <div class="history-item" data-id="${r.id}" onclick="selectRevision(${r.id})">
+            <div class="history-item-title">
+                <span class="history-source ${r.deleted ? 'deleted' : ''}">${r.deleted ? 'Deleted' : (REVISION_SOURCE_LABELS[r.source] || r.source)}</span>
+                ${r.username ? `<span class="history-user">${escapeHtml(r.username)}</span>` : ''}
+            </div>
+            <div class="history-item-time">${new Date(r.timestamp).toLocaleString()}</div>
+        </div>
+    `).join('');
+    
+    selectRevision(data.revisions[0].id);
+}
+
+// Show what a revision changed, or how it differs from the current file
+async function selectRevision(id) {
+    const history = state.history;
+    const index = history.revisions.findIndex(r => r.id === id);
+    if (index < 0) return;
+    history.selected = id;
+    
+    document.querySelectorAll('.history-item').forEach(item => {
+        item.classList.toggle('active', parseInt(item.dataset.id, 10) === id);
+    });
+    
+    const compareCurrent = document.getElementById('history-compare-current').checked;
+    const previous = history.revisions[index + 1];
+    const data = compareCurrent
+        ? await API.diffRevisions(state.currentProject, id, 'current')
+        : await API.diffRevisions(state.currentProject, previous ? previous.id : null, id);
+    if (history !== state.history || history.selected !== id) return;
+    
+    const revision = history.revisions[index];
+    document.getElementById('btn-restore-revision').style.display =
+        canEditProject() && !revision.deleted && index > 0 ? '' : 'none';
+    
+    const container = document.getElementById('history-diff');
+    if (data.error) {
+        container.innerHTML = `<div class="muted-text">${escapeHtml(data.error)}</div>`;
+        return;
+    }
+    const summary = compareCurrent ? 'Changes from this version to the current file' : 'Changes made in this version';
+    container.innerHTML = `
+        <div class="diff-summary">${summary}: <span class="diff-add-count">+${data.diff.additions}</span> <span class="diff-del-count">-${data.diff.deletions}</span></div>
+        ${renderDiff(data.diff)}
+    `;
+}
+
+function renderDiff(diff) {
+    if (diff.hunks.length === 0) {
+        return '<div class="muted-text diff-empty">No differences</div>';
+    }
+    
+    const classes = { '+': 'diff-add', '-': 'diff-del', ' ': 'diff-context' };
+    return diff.hunks.map(h => {
+        let oldLine = h.oldStart || 1;
+        let newLine = h.newStart || 1;
+        const rows = h.lines.map(line => {
+            const oldNo = line.type === '+' ? '' : oldLine++;
+            const newNo = line.type === '-' ? '' : newLine++;
+            return `<div class="diff-line ${classes[line.type]}"><span class="diff-gutter">${oldNo}</span><span class="diff-gutter">${newNo}</span><span class="diff-text">${line.type} ${escapeHtml(line.text)}</span></div>`;
+        }).join('');
+        return `<div class="diff-hunk"><div class="diff-hunk-header">@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@</div>${rows}</div>`;
+    }).join('');
+}
+
+function restoreSelectedRevision() {
+    const history = state.history;
+    const revision = history && history.revisions.find(r => r.id === history.selected);
+    if (!revision) return;
+    
+    const unsaved = state.modifiedFiles.has(history.filepath) ? ' Your unsaved changes to this file will be lost.' : '';
+    showDialog(
+        'Restore Version',
+        `Restore ${history.filepath} to the version from ${new Date(revision.timestamp).toLocaleString()}?${unsaved}`,
+        'confirm',
+        '',
+        async (confirmed) => {
+            if (!confirmed) return;
+            const result = await API.restoreRevision(state.currentProject, revision.id);
+            if (result.error) {
+                showNotification(result.error, 'error');
+                return;
+            }
+            
+            if (state.currentFile === result.filepath) {
+                editor.setValue(result.content, -1);
+            }
+            // Set after the editor, whose change handler marks the file modified
+            state.fileContents[result.filepath] = result.content;
+            state.modifiedFiles.delete(result.filepath);
+            updateFileTabs();
+            refreshPreview();
+            document.getElementById('history-modal').classList.remove('active');
+            showNotification('Version restored', 'success');
+        }
+    );
+}
+
+// =====================================================
+// Search
+// =====================================================
+let searchTimer = null;
+
+function getSearchOptions() {
+    return {
+        query: document.getElementById('search-input').value,
+        regex: state.searchFlags.regex,
+        caseSensitive: state.searchFlags.caseSensitive,
+        wholeWord: state.searchFlags.wholeWord,
+        include: document.getElementById('search-include').value.trim(),
+        exclude: document.getElementById('search-exclude').value.trim()
+    };
+}
+
+function scheduleSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 300);
+}
+
+function toggleSearchFlag(flag) {
+    state.searchFlags[flag] = !state.searchFlags[flag];
+    document.querySelector(`.search-flag[data-flag="${flag}"]`).classList.toggle('active', state.searchFlags[flag]);
+    runSearch();
+}
+
+async function runSearch() {
+    clearTimeout(searchTimer);
+    const container = document.getElementById('search-results');
+    const options = getSearchOptions();
+    
+    if (!state.currentProject) {
+        container.innerHTML = '<p class="muted-text">Open a project to search.</p>';
+        return;
+    }
+    if (!options.query) {
+        state.searchResults = null;
+        container.innerHTML = '';
+        return;
+    }
+    
+    const result = await API.search(state.currentProject, options);
+    // Ignore responses for a query that has since changed
+    if (options.query !== document.getElementById('search-input').value) return;
+    if (result.error) {
+        state.searchResults = null;
+        container.innerHTML = `<p class="search-error">${escapeHtml(result.error)}</p>`;
+        return;
+    }
+    
+    state.searchResults = result;
+    renderSearchResults();
+}
+
+function renderSearchResults() {
+    const container = document.getElementById('search-results');
+    const result = state.searchResults;
+    if (!result) return;
+    
+    if (result.files.length === 0) {
+        container.innerHTML = '<p class="muted-text">No results found.</p>';
+        return;
+    }
+    
+    const editable = canEditProject();
+    const summary = `${result.totalMatches} result${result.totalMatches === 1 ? '' : 's'} in ${result.files.length} file${result.files.length === 1 ? '' : 's'}`;
+    container.innerHTML = `
+        <div class="search-summary">${summary}${result.truncated ? ' (showing the first matches only)' : ''}</div>
+        ${result.files.map((file, fileIndex) => {
+            const name = file.filepath.split('/').pop();
+            const dir = file.filepath.slice(0, file.filepath.length - name.length);
+            return `
+                <div class="search-file">
+                    <div class="search-file-header" onclick="this.parentElement.classList.toggle('collapsed')" title="${escapeHtml(file.filepath)}">
+                        <i class="fas fa-chevron-down search-file-chevron"></i>
+                        <i class="${getFileIcon(name)}"></i>
+                        <span class="search-file-name">${escapeHtml(name)}</span>
+                        <span class="search-file-dir">${escapeHtml(dir)}</span>
+                        ${editable ? `
+                        <button class="icon-btn" title="Replace All in File" onclick="event.stopPropagation(); replaceAllMatches(${fileIndex})">
+                            <i class="fas fa-exchange-alt"></i>
+                        </button>` : ''}
+                        <span class="search-count">${file.matches.length}</span>
+                    </div>
+                    ${file.matches.map((m, matchIndex) => `
+                        <div class="search-match" onclick="openSearchMatch(${fileIndex}, ${matchIndex})"><span class="search-match-line">${m.line}</span>${escapeHtml(m.preview.text.slice(0, m.preview.start))}<mark>${escapeHtml(m.preview.text.slice(m.preview.start, m.preview.end))}</mark>${escapeHtml(m.preview.text.slice(m.preview.end))}</div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('')}
+    `;
+}
+
+async function openSearchMatch(fileIndex, matchIndex) {
+    const file = state.searchResults.files[fileIndex];
+    const match = file.matches[matchIndex];
+    
+    await loadFile(file.filepath);
+    if (state.currentFile !== file.filepath) return;
+    
+    // Matches can span lines; select from the start to the matched length
+    const doc = editor.getSession().getDocument();
+    const start = { row: match.line - 1, column: match.column - 1 };
+    const end = doc.indexToPosition(doc.positionToIndex(start) + match.length);
+    const Range = ace.require('ace/range').Range;
+    editor.scrollToLine(start.row, true, true);
+    editor.selection.setRange(new Range(start.row, start.column, end.row, end.column));
+    editor.focus();
+}
+
+// Replace every match, or only those in one file of the results
+function replaceAllMatches(fileIndex) {
+    const result = state.searchResults;
+    if (!result || result.files.length === 0) return;
+    if (!canEditProject()) {
+        showNotification('You have view-only access to this project', 'warning');
+        return;
+    }
+    
+    const files = fileIndex === undefined ? null : [result.files[fileIndex].filepath];
+    const targets = files || result.files.map(f => f.filepath);
+    if (targets.some(filepath => state.modifiedFiles.has(filepath))) {
+        showNotification('Save your changes before replacing', 'warning');
+        return;
+    }
+    
+    const options = getSearchOptions();
+    const replacement = document.getElementById('replace-input').value;
+    const count = files ? result.files[fileIndex].matches.length : result.totalMatches;
+    const where = files ? files[0] : `${targets.length} file${targets.length === 1 ? '' : 's'}`;
+    
+    showDialog('Replace All', `Replace ${count} occurrence${count === 1 ? '' : 's'} in ${where} with "${replacement}"?`, 'confirm', '', async (confirmed) => {
+        if (!confirmed) return;
+        
+        const response = await API.replaceAll(state.currentProject, options, replacement, files);
+        if (response.error) {
+            showNotification(response.error, 'error');
+            return;
+        }
+        
+        // Re-read replaced files that are open
+        for (const { filepath } of response.files) {
+            delete state.fileContents[filepath];
+        }
+        if (state.currentFile && response.files.some(f => f.filepath === state.currentFile)) {
+            await loadFile(state.currentFile);
+            state.modifiedFiles.delete(state.currentFile);
+            updateFileTabs();
+        }
+        refreshPreview();
+        
+        showNotification(`Replaced ${response.total} occurrence${response.total === 1 ? '' : 's'} in ${response.files.length} file${response.files.length === 1 ? '' : 's'}`, 'success');
+        runSearch();
+    });
+}
+
+// =====================================================
+// Source Control
+// =====================================================
+const GIT_STATUS_LABELS = {
+    'M': 'Modified',
+    'A': 'Added',
+    'D': 'Deleted',
+    'R': 'Renamed',
+    'C': 'Copied',
+    'U': 'Conflict',
+    '?': 'Untracked'
+};
+
+function isGitPanelOpen() {
+    return document.getElementById('panel-git').classList.contains('active');
+}
+
+async function refreshGitPanel() {
+    const container = document.getElementById('git-container');
+    const project = state.currentProject;
+    if (!project) {
+        container.innerHTML = '<p class="muted-text">Open a project to use source control.</p>';
+        return;
+    }
+    
+    const status = await API.git(project, 'status');
+    if (state.currentProject !== project) return;
+    if (status.error) {
+        container.innerHTML = `<p class="muted-text">${escapeHtml(status.error)}</p>`;
+        return;
+    }
+    
+    if (!status.initialized) {
+        container.innerHTML = `
+            <p class="muted-text">This project is not a Git repository.</p>
+            ${canEditProject() ? '<button class="btn-action" onclick="gitInit()"><i class="fas fa-code-branch"></i> Initialize Repository</button>' : ''}
+        `;
+        return;
+    }
+    
+    const [branchData, logData] = await Promise.all([API.git(project, 'branches'), API.git(project, 'log')]);
+    if (state.currentProject !== project) return;
+    state.gitStatus = status;
+    
+    const staged = status.files.filter(f => f.staged);
+    const unstaged = status.files.filter(f => f.unstaged);
+    const editable = canEditProject();
+    const branches = branchData.branches || [];
+    
+    container.innerHTML = `
+        <div class="git-branch">
+            <i class="fas fa-code-branch"></i>
+            <select id="git-branch-select" onchange="gitCheckout(this.value)" ${editable ? '' : 'disabled'}>
+                ${status.detached ? '<option selected>(detached HEAD)</option>' : ''}
+                ${branches.map(b => `<option value="${escapeHtml(b)}" ${b === branchData.current ? 'selected' : ''}>${escapeHtml(b)}</option>`).join('')}
+                ${editable ? '<option value="__new__">+ New branch...</option>' : ''}
+            </select>
+        </div>
+        ${editable ? `
+        <div class="git-commit-box">
+            <textarea id="git-commit-message" rows="2" placeholder="Commit message (Ctrl+Enter to commit)"></textarea>
+            <button class="btn-primary" onclick="gitCommit()"><i class="fas fa-check"></i> Commit</button>
+        </div>` : ''}
+        ${renderGitFileGroup('Staged Changes', staged, true, editable)}
+        ${renderGitFileGroup('Changes', unstaged, false, editable)}
+        <div class="git-section-title">Commits</div>
+        <div class="git-log">
+            ${(logData.commits || []).map(c => `
+                <div class="git-commit" title="${escapeHtml(c.hash)}\n${escapeHtml(c.author)}, ${new Date(c.date).toLocaleString()}">
+                    <span class="git-commit-hash">${escapeHtml(c.shortHash)}</span>
+                    <span class="git-commit-subject">${escapeHtml(c.subject)}</span>
+                </div>
+            `).join('') || '<p class="muted-text">No commits yet.</p>'}
+        </div>
+    `;
+    
+    const message = document.getElementById('git-commit-message');
+    if (message) {
+        message.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) gitCommit();
+        });
+    }
+}
+
+function renderGitFileGroup(title, files, staged, editable) {
+    if (files.length === 0 && staged) return '';
+    
+    const paths = JSON.stringify(files.map(f => f.path)).replace(/"/g, '&quot;');
+    const groupAction = editable && files.length
+        ? `<button class="icon-btn" title="${staged ? 'Unstage All' : 'Stage All'}" onclick="${staged ? 'gitUnstage' : 'gitStage'}(${paths})">
+               <i class="fas fa-${staged ? 'minus' : 'plus'}"></i>
+           </button>`
+        : '';
+    
+    return `
+        <div class="git-section-title">
+            <span>${title} (${files.length})</span>
+            ${groupAction}
+        </div>
+        ${files.map(f => {
+            const code = staged ? f.index : f.worktree;
+            const name = f.path.split('/').pop();
+            const dir = f.path.slice(0, f.path.length - name.length);
+            const arg = JSON.stringify(f.path).replace(/"/g, '&quot;');
+            return `
+                <div class="git-file" onclick="openGitDiff(${arg}, ${staged}, '${code}')" title="${escapeHtml(f.path)} - ${GIT_STATUS_LABELS[code] || code}">
+                    <i class="${getFileIcon(name)}"></i>
+                    <span class="git-file-name">${escapeHtml(name)}</span>
+                    <span class="git-file-dir">${escapeHtml(dir)}</span>
+                    <button class="icon-btn" title="View Changes" onclick="event.stopPropagation(); showGitDiff(${arg}, ${staged})">
+                        <i class="fas fa-exchange-alt"></i>
+                    </button>
+                    ${editable ? `
+                    <button class="icon-btn" title="${staged ? 'Unstage' : 'Stage'}" onclick="event.stopPropagation(); ${staged ? 'gitUnstage' : 'gitStage'}([${arg}])">
+                        <i class="fas fa-${staged ? 'minus' : 'plus'}"></i>
+                    </button>` : ''}
+                    <span class="git-status git-status-${code === '?' ? 'U' : code}">${code === '?' ? 'U' : code}</span>
+                </div>
+            `;
+        }).join('') || '<p class="muted-text git-empty">No changes.</p>'}
+    `;
+}
+
+async function runGitAction(action, body, successMessage) {
+    const result = await API.git(state.currentProject, action, body);
+    if (result.error) {
+        showNotification(result.error, 'error');
+    } else if (successMessage) {
+        showNotification(successMessage, 'success');
+    }
+    await refreshGitPanel();
+    return result;
+}
+
+function gitInit() {
+    return runGitAction('init', {}, 'Initialized Git repository');
+}
+
+function gitStage(paths) {
+    return runGitAction('stage', { paths });
+}
+
+function gitUnstage(paths) {
+    return runGitAction('unstage', { paths });
+}
+
+async function gitCommit() {
+    const input = document.getElementById('git-commit-message');
+    const message = input.value.trim();
+    if (!message) {
+        showNotification('Enter a commit message', 'warning');
+        return;
+    }
+    if (!state.gitStatus || !state.gitStatus.files.some(f => f.staged)) {
+        showNotification('Stage changes before committing', 'warning');
+        return;
+    }
+    
+    // Unsaved edits aren't in the workspace yet
+    if (state.modifiedFiles.size > 0) {
+        showNotification('Save your changes before committing', 'warning');
+        return;
+    }
+    
+    const result = await runGitAction('commit', { message });
+    if (!result.error) showNotification(`Committed ${result.hash}`, 'success');
+}
+
+async function gitCheckout(branch) {
+    if (branch === '__new__') {
+        showDialog('New Branch', 'Branch name:', 'input', '', async (name) => {
+            if (!name || !name.trim()) return refreshGitPanel();
+            const result = await runGitAction('branches', { name: name.trim() }, `Switched to new branch ${name.trim()}`);
+            if (result.changes) await applyWorkspaceChanges(result.changes);
+        });
+        return;
+    }
+    
+    if (state.modifiedFiles.size > 0) {
+        showNotification('Save your changes before switching branches', 'warning');
+        await refreshGitPanel();
+        return;
+    }
+    const result = await runGitAction('checkout', { branch }, `Switched to ${branch}`);
+    if (result.changes) await applyWorkspaceChanges(result.changes);
+    clearEditorDiff();
+}
+
+// Open a changed file with its changes against HEAD marked in the editor
+async function openGitDiff(filepath, staged, code) {
+    if (staged || code === 'D') {
+        return showGitDiff(filepath, staged);
+    }
+    
+    await loadFile(filepath);
+    const data = await API.git(state.currentProject, `diff?path=${encodeURIComponent(filepath)}`);
+    if (data.error) {
+        showNotification(data.error, 'error');
+        return;
+    }
+    if (state.currentFile === filepath) showEditorDiff(filepath, data.diff);
 }
 
-function updateBreadcrumb() {
-    const container = document.getElementById('breadcrumb-nav');
-    
-    if (!state.currentPath) {
-        container.innerHTML = '';
+async function showGitDiff(filepath, staged) {
+    const query = `diff?path=${encodeURIComponent(filepath)}${staged ? '&staged=1' : ''}`;
+    const data = await API.git(state.currentProject, query);
+    if (data.error) {
+        showNotification(data.error, 'error');
         return;
     }
     
-    const parts = state.currentPath.split('/');
-    let html = `
-        <button class="breadcrumb-btn" onclick="loadFolder('')" title="Root">
-            <i class="fas fa-home"></i>
-        </button>
+    document.getElementById('diff-modal-title').textContent = `${filepath} (${staged ? 'staged' : 'working tree'} vs HEAD)`;
+    document.getElementById('diff-modal-body').innerHTML = `
+        <div class="diff-summary"><span class="diff-add-count">+${data.diff.additions}</span> <span class="diff-del-count">-${data.diff.deletions}</span></div>
+        ${renderDiff(data.diff)}
     `;
-    
-    parts.forEach((part, idx) => {
-        const path = parts.slice(0, idx + 1).join('/');
-        html += `
-            <span class="breadcrumb-separator"><i class="fas fa-chevron-right"></i></span>
-            <button class="breadcrumb-btn" onclick="loadFolder('${path}')">${part}</button>
-        `;
-    });
-    
-    container.innerHTML = html;
+    document.getElementById('diff-modal').classList.add('active');
 }
 
-function updateEditorBreadcrumb() {
-    const container = document.getElementById('editor-breadcrumb');
+// Gutter and line markers for a diff whose new side is the open file.
+// They are cleared on the next edit, since rows no longer line up.
+function showEditorDiff(filepath, diff) {
+    clearEditorDiff();
+    const session = editor.getSession();
+    const Range = ace.require('ace/range').Range;
+    const markers = [];
+    const decorations = [];
+    const decorate = (row, className) => {
+        session.addGutterDecoration(row, className);
+        decorations.push({ row, className });
+    };
     
-    if (!state.currentFile) {
-        container.innerHTML = '<span class="breadcrumb-item">No file selected</span>';
-        return;
+    for (const hunk of diff.hunks) {
+        let row = Math.max(hunk.newStart - 1, 0);
+        for (let i = 0; i < hunk.lines.length; i++) {
+            const line = hunk.lines[i];
+            if (line.type === ' ') {
+                row++;
+            } else if (line.type === '+') {
+                // An addition right after removals is a modification
+                const modified = i > 0 && hunk.lines[i - 1].type !== ' ';
+                const className = modified ? 'diff-modified' : 'diff-added';
+                markers.push(session.addMarker(new Range(row, 0, row, 1), `${className}-line`, 'fullLine'));
+                decorate(row, `${className}-gutter`);
+                row++;
+            } else if (i + 1 >= hunk.lines.length || hunk.lines[i + 1].type === ' ') {
+                // Removed lines with nothing in their place
+                decorate(row, 'diff-removed-gutter');
+            }
+        }
     }
     
-    const parts = state.currentFile.split('/');
-    container.innerHTML = parts.map((part, idx) => {
-        return `<span class="breadcrumb-item">${part}</span>`;
-    }).join('<span class="breadcrumb-separator"><i class="fas fa-chevron-right"></i></span>');
-}
-
-function updateStatusBar() {
-    const lang = state.currentFile ? getLanguageName(state.currentFile) : 'Plain Text';
-    document.getElementById('status-language').textContent = lang;
+    state.editorDiff = { filepath, markers, decorations };
 }
 
-function updateAIContext() {
-    const contextFile = document.getElementById('ai-context-file');
-    contextFile.textContent = state.currentFile || 'No file selected';
+function clearEditorDiff() {
+    const current = state.editorDiff;
+    if (!current || !editor) return;
+    state.editorDiff = null;
+    const session = editor.getSession();
+    current.markers.forEach(id => session.removeMarker(id));
+    current.decorations.forEach(d => session.removeGutterDecoration(d.row, d.className));
 }
 
 async function updateProjectsList() {
     const data = await API.listProjects();
     const container = document.getElementById('projects-list');
     const modalList = document.getElementById('project-list');
+    state.projects = data.projects || [];
     
     if (!data.projects || data.projects.length === 0) {
         container.innerHTML = '<div class="muted-text" style="padding: 8px 10px; font-size: 12px;">No projects</div>';
@@ -634,23 +1883,50 @@ async function updateProjectsList() {
     
     // Sidebar projects list
     container.innerHTML = data.projects.map(p => `
-        <div class="tree-item ${state.currentProject === p ? 'active' : ''}" onclick="loadProject('${p}')">
-            <i class="fas fa-folder"></i>
-            <span class="tree-item-name">${p}</span>
+        <div class="tree-item ${state.currentProject === p.ref ? 'active' : ''}" data-ref="${encodeURIComponent(p.ref)}" title="${escapeHtml(`${p.ref} (${p.role})`)}">
+            <i class="fas ${p.ref === p.name ? 'fa-folder' : 'fa-user-friends'}"></i>
+            <span class="tree-item-name">${escapeHtml(p.name)}</span>
+            ${p.ref === p.name ? '' : `<span class="project-item-owner">${escapeHtml(p.owner)}</span>`}
         </div>
     `).join('');
+    container.querySelectorAll('.tree-item').forEach(item => {
+        item.addEventListener('click', () => loadProject(decodeURIComponent(item.dataset.ref)));
+    });
     
     // Modal projects list
     if (modalList) {
         modalList.innerHTML = data.projects.map(p => `
-            <div class="project-item ${state.currentProject === p ? 'active' : ''}" onclick="loadProject('${p}'); document.getElementById('project-modal').classList.remove('active');">
-                <i class="fas fa-folder"></i>
-                <span class="project-item-name">${p}</span>
-                <button class="project-item-delete" onclick="event.stopPropagation(); deleteProject('${p}')" title="Delete">
-                    <i class="fas fa-trash"></i>
+            <div class="project-item ${state.currentProject === p.ref ? 'active' : ''}" data-ref="${encodeURIComponent(p.ref)}">
+                <i class="fas ${p.ref === p.name ? 'fa-folder' : 'fa-user-friends'}"></i>
+                <span class="project-item-name">${escapeHtml(p.name)}</span>
+                ${p.ref === p.name ? '' : `<span class="project-item-owner">${escapeHtml(`${p.owner} · ${p.role}`)}</span>`}
+                <button class="project-item-action" title="Share">
+                    <i class="fas fa-user-plus"></i>
                 </button>
+                ${p.role === 'owner' ? `
+                <button class="project-item-delete" title="Delete">
+                    <i class="fas fa-trash"></i>
+                </button>` : ''}
             </div>
         `).join('');
+        modalList.querySelectorAll('.project-item').forEach(item => {
+            const ref = decodeURIComponent(item.dataset.ref);
+            item.addEventListener('click', () => {
+                loadProject(ref);
+                document.getElementById('project-modal').classList.remove('active');
+            });
+            item.querySelector('.project-item-action').addEventListener('click', (e) => {
+                e.stopPropagation();
+                showShareModal(ref);
+            });
+            const deleteBtn = item.querySelector('.project-item-delete');
+            if (deleteBtn) {
+                deleteBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    deleteProject(ref);
+                });
+            }
+        });
     }
 }
 
@@ -844,6 +2120,7 @@ function showDeleteDialog(filepath, isFolder = false) {
                 if (!isFolder && state.openFiles.includes(filepath)) {
                     performCloseTab(filepath);
                 }
+                refreshDiagnostics(isFolder ? null : [filepath]);
                 
                 await loadFolder(state.currentPath);
                 showNotification(`Deleted ${itemType} successfully`, 'success');
@@ -863,6 +2140,7 @@ function showRenameDialog(filepath, currentName) {
             const content = state.fileContents[filepath] || '';
             await API.writeFile(state.currentProject, newPath, content);
             await API.deleteFile(state.currentProject, filepath);
+            refreshDiagnostics([filepath, newPath]);
             
             // Update open files
             const idx = state.openFiles.indexOf(filepath);
@@ -896,9 +2174,742 @@ function showNotification(message, type = 'info') {
     }, 3000);
 }
 
+// =====================================================
+// AI Completion (ghost text)
+// =====================================================
+// After a pause in typing the text around the cursor goes to /api/ai/complete
+// and the reply is shown as ghost text that Tab accepts. A newer keystroke
+// aborts the request in flight.
+const COMPLETION_DELAY_MS = 500;
+const COMPLETION_CONTEXT_CHARS = 3000;
+const COMPLETION_TRIGGERS = ['insertstring', 'backspace', 'del'];
+
+function scheduleCompletion() {
+    cancelCompletion();
+    if (!state.userSettings.aiCompletions || !state.currentFile || !canEditProject()) return;
+    if (!editor.getSelection().isEmpty() || state.inlineEdit) return;
+    state.completion.timer = setTimeout(requestCompletion, COMPLETION_DELAY_MS);
+}
+
+function cancelCompletion() {
+    const completion = state.completion;
+    clearTimeout(completion.timer);
+    completion.timer = null;
+    if (completion.request) {
+        completion.request.abort();
+        completion.request = null;
+    }
+    if (completion.ghost) {
+        completion.ghost = null;
+        editor.removeGhostText();
+    }
+}
+
+async function requestCompletion() {
+    const completion = state.completion;
+    completion.timer = null;
+    
+    const pos = editor.getCursorPosition();
+    const text = editor.getValue();
+    const index = editor.getSession().getDocument().positionToIndex(pos);
+    const request = new AbortController();
+    completion.request = request;
+    
+    const result = await API.complete({
+        filename: state.currentFile,
+        prefix: text.slice(Math.max(0, index - COMPLETION_CONTEXT_CHARS), index),
+        suffix: text.slice(index, index + COMPLETION_CONTEXT_CHARS)
+    }, request.signal);
+    // Superseded by a newer keystroke
+    if (completion.request !== request) return;
+    completion.request = null;
+    
+    const now = editor.getCursorPosition();
+    if (!result.completion || now.row !== pos.row || now.column !== pos.column) return;
+    completion.ghost = { row: pos.row, column: pos.column, text: result.completion };
+    editor.setGhostText(result.completion, pos);
+}
+
+function acceptCompletion() {
+    const ghost = state.completion.ghost;
+    if (!ghost) return false;
+    cancelCompletion();
+    editor.insert(ghost.text);
+}
+
+function updateCompletionStatus() {
+    const item = document.getElementById('status-ai-complete');
+    item.style.display = state.user ? '' : 'none';
+    item.classList.toggle('off', !state.userSettings.aiCompletions);
+    item.title = `AI completions are ${state.userSettings.aiCompletions ? 'on' : 'off'} (click to turn ${state.userSettings.aiCompletions ? 'off' : 'on'})`;
+}
+
+async function toggleCompletions() {
+    const result = await API.userSettings({ aiCompletions: !state.userSettings.aiCompletions });
+    if (result.error) {
+        showNotification(result.error, 'error');
+        return;
+    }
+    state.userSettings = result;
+    if (!result.aiCompletions) cancelCompletion();
+    updateCompletionStatus();
+    showNotification(`AI completions turned ${result.aiCompletions ? 'on' : 'off'}`, 'info');
+}
+
+// =====================================================
+// Inline AI Edit (Ctrl+K)
+// =====================================================
+// The selection (or the cursor, to insert code) plus an instruction go to
+// /api/ai/inline-edit; the proposed replacement is shown as a diff under the
+// selection and goes into the editor only when accepted.
+function openInlineEdit() {
+    if (!state.currentFile) return;
+    if (!canEditProject()) {
+        showNotification('You have view-only access to this project', 'warning');
+        return;
+    }
+    closeInlineEdit();
+    cancelCompletion();
+    
+    const session = editor.getSession();
+    const range = editor.getSelectionRange();
+    state.inlineEdit = {
+        filepath: state.currentFile,
+        range,
+        original: session.getTextRange(range),
+        marker: session.addMarker(range, 'inline-edit-range', range.isEmpty() ? 'fullLine' : 'text'),
+        request: null,
+        replacement: null
+    };
+    
+    const widget = document.getElementById('inline-edit');
+    const input = document.getElementById('inline-edit-input');
+    input.placeholder = range.isEmpty() ? 'Describe the code to insert...' : 'Describe how to change the selection...';
+    input.value = '';
+    input.disabled = false;
+    setInlineEditStatus('Enter to submit, Esc to cancel');
+    document.getElementById('inline-edit-diff').innerHTML = '';
+    document.getElementById('inline-edit-actions').classList.add('hidden');
+    widget.classList.remove('hidden');
+    positionInlineEdit();
+    input.focus();
+}
+
+// Just below the selection, kept inside the editor area
+function positionInlineEdit() {
+    const widget = document.getElementById('inline-edit');
+    const area = document.getElementById('editor-area').getBoundingClientRect();
+    const row = state.inlineEdit.range.end.row + 1;
+    const coords = editor.renderer.textToScreenCoordinates(row, 0);
+    const top = Math.max(0, Math.min(coords.pageY - area.top, area.height - widget.offsetHeight - 8));
+    widget.style.top = `${top}px`;
+    widget.style.left = `${editor.renderer.gutterWidth + 8}px`;
+}
+
+function setInlineEditStatus(text) {
+    document.getElementById('inline-edit-status').textContent = text;
+}
+
+async function submitInlineEdit() {
+    const inline = state.inlineEdit;
+    const input = document.getElementById('inline-edit-input');
+    const instruction = input.value.trim();
+    if (!inline || !instruction || inline.request) return;
+    
+    inline.request = new AbortController();
+    inline.replacement = null;
+    input.disabled = true;
+    setInlineEditStatus('Generating...');
+    document.getElementById('inline-edit-actions').classList.add('hidden');
+    
+    const result = await API.inlineEdit({
+        code: editor.getValue(),
+        filename: inline.filepath,
+        selection: {
+            text: inline.original,
+            startLine: inline.range.start.row + 1,
+            endLine: inline.range.end.row + 1
+        },
+        instruction
+    }, inline.request.signal);
+    // Cancelled or replaced while waiting
+    if (state.inlineEdit !== inline || result.aborted) return;
+    
+    inline.request = null;
+    input.disabled = false;
+    if (result.error) {
+        setInlineEditStatus(result.error);
+        input.focus();
+        return;
+    }
+    
+    inline.replacement = result.replacement;
+    // Number the diff by the file's lines rather than the selection's
+    const offset = inline.range.start.row;
+    const hunks = result.diff.hunks.map(h => Object.assign({}, h, { oldStart: h.oldStart + offset, newStart: h.newStart + offset }));
+    document.getElementById('inline-edit-diff').innerHTML = renderDiff(Object.assign({}, result.diff, { hunks }));
+    document.getElementById('inline-edit-actions').classList.remove('hidden');
+    setInlineEditStatus('Ctrl+Enter to accept, Esc to reject, or refine the instruction');
+    positionInlineEdit();
+    input.focus();
+}
+
+function acceptInlineEdit() {
+    const inline = state.inlineEdit;
+    if (!inline || inline.replacement === null) return;
+    
+    // The edit was made for the text as it was when Ctrl+K was pressed
+    const session = editor.getSession();
+    if (state.currentFile !== inline.filepath || session.getTextRange(inline.range) !== inline.original) {
+        showNotification('The selected code changed; run the edit again', 'warning');
+        closeInlineEdit();
+        return;
+    }
+    
+    const Range = ace.require('ace/range').Range;
+    const end = session.replace(inline.range, inline.replacement);
+    closeInlineEdit();
+    // Select the new code, so it can be refined with another Ctrl+K
+    editor.selection.setRange(new Range(inline.range.start.row, inline.range.start.column, end.row, end.column));
+    editor.focus();
+}
+
+function closeInlineEdit() {
+    const inline = state.inlineEdit;
+    if (!inline) return;
+    state.inlineEdit = null;
+    if (inline.request) inline.request.abort();
+    editor.getSession().removeMarker(inline.marker);
+    document.getElementById('inline-edit').classList.add('hidden');
+}
+
+function handleInlineEditKey(e) {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        closeInlineEdit();
+        editor.focus();
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        acceptInlineEdit();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        submitInlineEdit();
+    }
+}
+
+// =====================================================
+// AI Change Review
+// =====================================================
+// AI file edits arrive as proposals ({ filepath, original, content, diff }).
+// Each hunk is accepted or rejected, and only accepted hunks are written.
+function openChangeReview(changes) {
+    const files = changes
+        .filter(change => change.diff.hunks.length > 0)
+        .map(change => Object.assign({}, change, { decisions: change.diff.hunks.map(() => 'pending') }));
+    if (files.length === 0) {
+        showNotification('The AI proposed no changes', 'info');
+        return;
+    }
+    
+    // A newer proposal for a file replaces the one still under review
+    const previous = state.review ? state.review.files.filter(f => !files.some(n => n.filepath === f.filepath)) : [];
+    state.review = { files: previous.concat(files), index: previous.length };
+    renderChangeReview();
+}
+
+function closeChangeReview() {
+    state.review = null;
+    document.getElementById('ai-review').classList.add('hidden');
+}
+
+function selectReviewFile(index) {
+    state.review.index = index;
+    renderChangeReview();
+}
+
+// decision: 'accepted' | 'rejected'; hunk omitted for the whole file
+function decideHunk(fileIndex, hunkIndex, decision) {
+    const file = state.review.files[fileIndex];
+    file.decisions = file.decisions.map((d, i) => (hunkIndex === undefined || i === hunkIndex) ? decision : d);
+    renderChangeReview();
+}
+
+function acceptAllChanges() {
+    for (const file of state.review.files) {
+        file.decisions = file.decisions.map(() => 'accepted');
+    }
+    renderChangeReview();
+}
+
+// Pair each run of removed lines with the added lines that follow it
+function sideBySideRows(hunk) {
+    const rows = [];
+    let oldLine = hunk.oldStart || 1;
+    let newLine = hunk.newStart || 1;
+    const lines = hunk.lines;
+    
+    for (let i = 0; i < lines.length;) {
+        if (lines[i].type === ' ') {
+            rows.push({ left: { no: oldLine++, text: lines[i].text }, right: { no: newLine++, text: lines[i].text }, changed: false });
+            i++;
+            continue;
+        }
+        const removed = [];
+        const added = [];
+        while (i < lines.length && lines[i].type === '-') removed.push(lines[i++].text);
+        while (i < lines.length && lines[i].type === '+') added.push(lines[i++].text);
+        for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+            rows.push({
+                left: j < removed.length ? { no: oldLine++, text: removed[j] } : null,
+                right: j < added.length ? { no: newLine++, text: added[j] } : null,
+                changed: true
+            });
+        }
+    }
+    return rows;
+}
+
+function renderReviewSide(side, changedClass) {
+    if (!side) return '<td class="diff-gutter"></td><td class="ai-review-text ai-review-blank"></td>';
+    return `<td class="diff-gutter">${side.no}</td><td class="ai-review-text ${changedClass}">${escapeHtml(side.text)}</td>`;
+}
+
+function renderChangeReview() {
+    const review = state.review;
+    const overlay = document.getElementById('ai-review');
+    if (!review) {
+        overlay.classList.add('hidden');
+        return;
+    }
+    overlay.classList.remove('hidden');
+    
+    document.getElementById('ai-review-files').innerHTML = review.files.map((file, i) => {
+        const accepted = file.decisions.filter(d => d === 'accepted').length;
+        return `
+            <div class="ai-review-file ${i === review.index ? 'active' : ''}" onclick="selectReviewFile(${i})" title="${escapeHtml(file.filepath)}">
+                <i class="${getFileIcon(file.filepath.split('/').pop())}"></i>
+                <span>${escapeHtml(file.filepath)}</span>
+                ${file.original === null ? '<span class="ai-review-new">new</span>' : ''}
+                <span class="ai-review-count">${accepted}/${file.decisions.length}</span>
+            </div>
+        `;
+    }).join('');
+    
+    const fileIndex = review.index;
+    const file = review.files[fileIndex];
+    const hunks = file.diff.hunks.map((hunk, h) => {
+        const decision = file.decisions[h];
+        const rows = sideBySideRows(hunk).map(row => `
+            <tr>${renderReviewSide(row.left, row.changed ? 'diff-del' : '')}${renderReviewSide(row.right, row.changed ? 'diff-add' : '')}</tr>
+        `).join('');
+        return `
+            <div class="ai-review-hunk ${decision}">
+                <div class="ai-review-hunk-header">
+                    <span>@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</span>
+                    <button class="icon-btn ${decision === 'accepted' ? 'active' : ''}" title="Accept Change" onclick="decideHunk(${fileIndex}, ${h}, 'accepted')"><i class="fas fa-check"></i></button>
+                    <button class="icon-btn ${decision === 'rejected' ? 'active' : ''}" title="Reject Change" onclick="decideHunk(${fileIndex}, ${h}, 'rejected')"><i class="fas fa-times"></i></button>
+                </div>
+                <table class="ai-review-table">${rows}</table>
+            </div>
+        `;
+    }).join('');
+    
+    document.getElementById('ai-review-body').innerHTML = `
+        <div class="diff-summary">
+            ${escapeHtml(file.filepath)}: <span class="diff-add-count">+${file.diff.additions}</span> <span class="diff-del-count">-${file.diff.deletions}</span>
+            <button class="icon-btn" title="Accept File" onclick="decideHunk(${fileIndex}, undefined, 'accepted')"><i class="fas fa-check-double"></i></button>
+            <button class="icon-btn" title="Reject File" onclick="decideHunk(${fileIndex}, undefined, 'rejected')"><i class="fas fa-ban"></i></button>
+        </div>
+        ${hunks}
+    `;
+    
+    const pending = review.files.some(f => f.decisions.includes('pending'));
+    document.getElementById('ai-review-status').textContent = pending ? 'Undecided changes are left as they are' : '';
+}
+
+// The original text with accepted hunks applied and rejected ones left out
+function reviewedContent(file) {
+    const original = file.original || '';
+    const eol = original.includes('\r\n') ? '\r\n' : '\n';
+    const oldLines = original ? original.replace(/\r\n?/g, '\n').split('\n') : [];
+    if (oldLines[oldLines.length - 1] === '') oldLines.pop();
+    // New files end with a newline; existing ones keep what they had
+    const trailingEol = original ? /[\r\n]$/.test(original) : true;
+    
+    const lines = [];
+    let next = 0;
+    file.diff.hunks.forEach((hunk, h) => {
+        const start = hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1;
+        while (next < start) lines.push(oldLines[next++]);
+        const accepted = file.decisions[h] === 'accepted';
+        for (const line of hunk.lines) {
+            if (line.type === ' ' || (line.type === '+') === accepted) lines.push(line.text);
+        }
+        next = start + hunk.oldLines;
+    });
+    while (next < oldLines.length) lines.push(oldLines[next++]);
+    
+    return lines.length ? lines.join(eol) + (trailingEol ? eol : '') : '';
+}
+
+function normalizeEol(text) {
+    return typeof text === 'string' ? text.replace(/\r\n?/g, '\n') : text;
+}
+
+// What the file holds now: the open buffer, else the saved file (null if missing)
+async function currentFileText(filepath) {
+    if (state.fileContents[filepath] !== undefined) return state.fileContents[filepath];
+    const data = await API.readFile(state.currentProject, filepath);
+    return data.error ? null : data.content;
+}
+
+async function applyReviewedChanges() {
+    const review = state.review;
+    if (!review) return;
+    
+    const written = [];
+    const conflicts = [];
+    for (const file of review.files) {
+        if (!file.decisions.includes('accepted')) continue;
+        
+        // Don't overwrite edits made since the AI read the file
+        if (normalizeEol(await currentFileText(file.filepath)) !== normalizeEol(file.original)) {
+            conflicts.push(file.filepath);
+            continue;
+        }
+        
+        const content = reviewedContent(file);
+        const result = await API.writeFile(state.currentProject, file.filepath, content, 'ai-chat');
+        if (!result) continue;
+        if (result.error) {
+            showNotification(`${file.filepath}: ${result.error}`, 'error');
+            continue;
+        }
+        
+        if (state.currentFile === file.filepath) {
+            editor.setValue(content, -1);
+        }
+        if (state.fileContents[file.filepath] !== undefined) {
+            // Set after the editor, whose change handler marks the file modified
+            state.fileContents[file.filepath] = content;
+            state.modifiedFiles.delete(file.filepath);
+        }
+        written.push(file.filepath);
+    }
+    
+    closeChangeReview();
+    if (written.length > 0) {
+        refreshDiagnostics(written);
+        await loadFolder(state.currentPath);
+        if (!written.includes(state.currentFile)) await loadFile(written[0]);
+        updateFileTabs();
+        refreshPreview();
+        if (isGitPanelOpen()) refreshGitPanel();
+        showNotification(`Applied changes to ${written.length} file(s)`, 'success');
+    } else if (conflicts.length === 0) {
+        showNotification('No changes applied', 'info');
+    }
+    if (conflicts.length > 0) {
+        showNotification(`Not applied, changed since the AI read them: ${conflicts.join(', ')}`, 'warning');
+    }
+}
+
+// =====================================================
+// AI Settings
+// =====================================================
+const EMPTY_AI_SETTINGS = { provider: null, model: null, temperature: null, maxTokens: null, instructions: null };
+
+async function loadAIProviders() {
+    const data = await API.listModels();
+    if (data.error) return;
+    state.aiProviders = data;
+    renderAISelects();
+}
+
+async function loadAISettings() {
+    const project = state.currentProject;
+    const result = await API.getAISettings(project);
+    if (state.currentProject !== project) return;
+    state.aiSettings = result.settings || Object.assign({}, EMPTY_AI_SETTINGS);
+    renderAISelects();
+}
+
+// The provider the project's requests go to
+function currentAIProvider() {
+    const data = state.aiProviders;
+    if (!data) return null;
+    return data.providers.find(p => p.id === (state.aiSettings.provider || data.default)) || null;
+}
+
+function renderAISelects() {
+    const data = state.aiProviders;
+    if (!data) return;
+    const disabled = !state.currentProject || !canEditProject();
+    
+    const providerSelect = document.getElementById('ai-provider-select');
+    const fallback = data.providers.find(p => p.id === data.default);
+    providerSelect.innerHTML = `<option value="">Default${fallback ? ` (${escapeHtml(fallback.label)})` : ''}</option>` +
+        data.providers.map(p => `
+            <option value="${p.id}" ${p.configured ? '' : 'disabled'}>${escapeHtml(p.label)}${p.configured ? '' : ' (not configured)'}</option>
+        `).join('');
+    providerSelect.value = state.aiSettings.provider || '';
+    providerSelect.disabled = disabled;
+    
+    const modelSelect = document.getElementById('ai-model-select');
+    const provider = currentAIProvider();
+    const models = provider ? provider.models.slice() : [];
+    // Keep a saved model the provider no longer lists
+    if (state.aiSettings.model && !models.includes(state.aiSettings.model)) models.push(state.aiSettings.model);
+    modelSelect.innerHTML = `<option value="">${provider && provider.defaultModel ? `Default (${escapeHtml(shortModelName(provider.defaultModel))})` : 'Default model'}</option>` +
+        models.map(m => `<option value="${escapeHtml(m)}" title="${escapeHtml(m)}">${escapeHtml(shortModelName(m))}</option>`).join('');
+    modelSelect.value = state.aiSettings.model || '';
+    modelSelect.disabled = disabled || !provider;
+}
+
+// "deepseek-ai/DeepSeek-V3" -> "DeepSeek-V3"
+function shortModelName(model) {
+    return model.split('/').pop();
+}
+
+async function updateAISettings(changes, message) {
+    const result = await API.saveAISettings(state.currentProject, changes);
+    if (result.error) {
+        showNotification(result.error, 'error');
+    } else {
+        state.aiSettings = result.settings;
+        if (message) showNotification(message, 'success');
+    }
+    renderAISelects();
+    return result;
+}
+
+function showAISettings() {
+    if (!state.currentProject) {
+        showNotification('Open a project first', 'warning');
+        return;
+    }
+    
+    const settings = state.aiSettings;
+    const editable = canEditProject();
+    document.getElementById('ai-settings-project').textContent = state.currentProject;
+    document.getElementById('ai-settings-temperature').value = settings.temperature ?? '';
+    document.getElementById('ai-settings-max-tokens').value = settings.maxTokens ?? '';
+    document.getElementById('ai-settings-instructions').value = settings.instructions || '';
+    document.getElementById('ai-settings-error').textContent = '';
+    document.querySelectorAll('#ai-settings-modal input, #ai-settings-modal textarea').forEach(el => {
+        el.disabled = !editable;
+    });
+    document.getElementById('btn-save-ai-settings').style.display = editable ? '' : 'none';
+    document.getElementById('ai-settings-modal').classList.add('active');
+}
+
+async function saveAISettingsForm() {
+    const result = await updateAISettings({
+        temperature: document.getElementById('ai-settings-temperature').value,
+        maxTokens: document.getElementById('ai-settings-max-tokens').value,
+        instructions: document.getElementById('ai-settings-instructions').value
+    }, 'AI settings saved');
+    
+    if (result.error) {
+        document.getElementById('ai-settings-error').textContent = result.error;
+    } else {
+        document.getElementById('ai-settings-modal').classList.remove('active');
+    }
+}
+
+// =====================================================
+// Run Configurations
+// =====================================================
+async function loadRunConfigurations() {
+    const project = state.currentProject;
+    const result = await API.listRunConfigurations(project);
+    if (state.currentProject !== project) return;
+    state.runConfigs.configurations = result.configurations || [];
+    state.runConfigs.selectedId = result.selectedId || null;
+    state.runConfigs.suggested = result.suggested || {};
+    renderRunConfigSelect();
+}
+
+function selectedRunConfig() {
+    const { configurations, selectedId } = state.runConfigs;
+    return configurations.find(c => c.id === selectedId) || null;
+}
+
+function renderRunConfigSelect() {
+    const select = document.getElementById('run-config-select');
+    const { configurations, selectedId } = state.runConfigs;
+    select.innerHTML = configurations.length === 0
+        ? '<option value="">No run configuration</option>'
+        : (selectedId ? '' : '<option value="">No configuration selected</option>') +
+            configurations.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
+    select.value = selectedId ? String(selectedId) : '';
+    
+    const editable = !!state.currentProject && canEditProject();
+    select.disabled = !editable || configurations.length === 0;
+    document.getElementById('btn-run').disabled = !editable;
+    const config = selectedRunConfig();
+    document.getElementById('btn-run-tests').disabled = !editable || !config || !config.testCommand;
+    document.getElementById('btn-auto-fix').disabled = !editable;
+}
+
+async function selectRunConfig(id) {
+    const result = await API.selectRunConfiguration(state.currentProject, id);
+    if (result.error) {
+        showNotification(result.error, 'error');
+    } else {
+        state.runConfigs.selectedId = result.selectedId;
+    }
+    renderRunConfigSelect();
+}
+
+// Editor changes go to the server first, since commands run on what it has
+async function saveModifiedFiles() {
+    for (const filepath of Array.from(state.modifiedFiles)) {
+        const content = state.fileContents[filepath].replace(/\r\n?/g, '\n');
+        const result = await API.writeFile(state.currentProject, filepath, content);
+        if (!result || result.error) {
+            showNotification(`Could not save ${filepath}: ${result ? result.error : 'unknown error'}`, 'error');
+            return false;
+        }
+        state.modifiedFiles.delete(filepath);
+        refreshDiagnostics([filepath]);
+    }
+    updateFileTabs();
+    return true;
+}
+
+// Ctrl+F5: run the selected configuration (or its tests) in the terminal
+async function runProject(test = false) {
+    if (!state.currentProject) {
+        showNotification('Open a project first', 'warning');
+        return;
+    }
+    if (!canEditProject()) {
+        showNotification('You have view-only access to this project', 'warning');
+        return;
+    }
+    if (!selectedRunConfig()) {
+        showNotification('Add a run configuration to run this project', 'warning');
+        showRunConfigs();
+        return;
+    }
+    if (!await saveModifiedFiles()) return;
+    
+    if (!state.bottomPanelVisible) toggleBottomPanel();
+    switchBottomTab('terminal');
+    if (!await connectTerminal()) return;
+    const result = await API.runProject(state.currentProject, test);
+    if (result.error) showNotification(result.error, 'error');
+}
+
+function showRunConfigs() {
+    if (!state.currentProject) {
+        showNotification('Open a project first', 'warning');
+        return;
+    }
+    document.getElementById('run-configs-project').textContent = state.currentProject;
+    editRunConfig(state.runConfigs.selectedId || (state.runConfigs.configurations[0] || {}).id || null);
+    document.getElementById('run-configs-modal').classList.add('active');
+}
+
+// Fill the form with a configuration, or a new one started from what the
+// server guessed about the project
+function editRunConfig(id) {
+    const { configurations, suggested } = state.runConfigs;
+    const config = configurations.find(c => c.id === id) || null;
+    state.runConfigs.editingId = config ? config.id : null;
+    
+    const list = document.getElementById('run-configs-list');
+    list.innerHTML = configurations.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('') +
+        '<option value="">New configuration…</option>';
+    list.value = config ? String(config.id) : '';
+    
+    document.getElementById('run-config-name').value = config ? config.name : (configurations.length ? '' : 'Default');
+    document.getElementById('run-config-command').value = config ? config.command : (suggested.command || '');
+    document.getElementById('run-config-cwd').value = config ? config.cwd : '';
+    document.getElementById('run-config-env').value = config
+        ? Object.entries(config.env).map(([name, value]) => `${name}=${value}`).join('\n')
+        : '';
+    document.getElementById('run-config-test').value = config ? (config.testCommand || '') : (suggested.testCommand || '');
+    document.getElementById('run-configs-error').textContent = '';
+    
+    const editable = canEditProject();
+    document.querySelectorAll('#run-configs-modal .ai-settings-form input, #run-configs-modal .ai-settings-form textarea').forEach(el => {
+        el.disabled = !editable;
+    });
+    document.getElementById('btn-save-run-config').style.display = editable ? '' : 'none';
+    document.getElementById('btn-delete-run-config').style.display = editable && config ? '' : 'none';
+}
+
+// "NAME=value" lines as { NAME: value }; throws on a line without a name
+function parseEnvLines(text) {
+    const env = {};
+    for (const line of text.split('\n')) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+        const eq = line.indexOf('=');
+        const name = eq > 0 ? line.slice(0, eq).trim() : '';
+        if (!name) throw new Error(`Expected NAME=value: ${line.trim()}`);
+        env[name] = line.slice(eq + 1);
+    }
+    return env;
+}
+
+async function saveRunConfig() {
+    const error = document.getElementById('run-configs-error');
+    let env;
+    try {
+        env = parseEnvLines(document.getElementById('run-config-env').value);
+    } catch (e) {
+        error.textContent = e.message;
+        return;
+    }
+    
+    const result = await API.saveRunConfiguration(state.currentProject, state.runConfigs.editingId, {
+        name: document.getElementById('run-config-name').value,
+        command: document.getElementById('run-config-command').value,
+        cwd: document.getElementById('run-config-cwd').value,
+        env,
+        testCommand: document.getElementById('run-config-test').value
+    });
+    if (result.error) {
+        error.textContent = result.error;
+        return;
+    }
+    await loadRunConfigurations();
+    editRunConfig(result.configuration.id);
+    showNotification(`Saved ${result.configuration.name}`, 'success');
+}
+
+function deleteRunConfig() {
+    const config = state.runConfigs.configurations.find(c => c.id === state.runConfigs.editingId);
+    if (!config) return;
+    showDialog('Delete Run Configuration', `Delete "${config.name}"?`, 'confirm', '', async (confirmed) => {
+        if (!confirmed) return;
+        const result = await API.deleteRunConfiguration(state.currentProject, config.id);
+        if (result.error) {
+            showNotification(result.error, 'error');
+            return;
+        }
+        await loadRunConfigurations();
+        editRunConfig(state.runConfigs.selectedId || (state.runConfigs.configurations[0] || {}).id || null);
+    });
+}
+
 // =====================================================
 // AI Chat Functions
 // =====================================================
+
+// Replies are markdown that can carry any HTML, and threads are shared,
+// so marked's output is sanitized; without the libraries it shows as text
+function renderMarkdown(text) {
+    try {
+        return DOMPurify.sanitize(marked.parse(text));
+    } catch (e) {
+        return escapeHtml(text);
+    }
+}
+
 function addChatMessage(message, isUser = false) {
     const container = document.getElementById('ai-chat-area');
     const messageDiv = document.createElement('div');
@@ -907,21 +2918,26 @@ function addChatMessage(message, isUser = false) {
     if (isUser) {
         messageDiv.innerHTML = `<div class="message-content">${escapeHtml(message)}</div>`;
     } else {
-        // Parse markdown for AI messages
-        let formatted = message;
-        try {
-            formatted = marked.parse(message);
-        } catch (e) {
-            formatted = escapeHtml(message);
-        }
         messageDiv.innerHTML = `
             <div class="ai-avatar"><i class="fas fa-robot"></i></div>
-            <div class="message-content">${formatted}</div>
+            <div class="message-content">${renderMarkdown(message)}</div>
         `;
     }
     
     container.appendChild(messageDiv);
     container.scrollTop = container.scrollHeight;
+    return messageDiv;
+}
+
+// Re-render an assistant message as more of it arrives
+function updateChatMessage(messageDiv, message) {
+    const container = document.getElementById('ai-chat-area');
+    const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+    
+    messageDiv.querySelector('.message-content').innerHTML = renderMarkdown(message);
+    
+    // Follow the reply unless the user scrolled up to read
+    if (atBottom) container.scrollTop = container.scrollHeight;
 }
 
 function addTypingIndicator() {
@@ -947,6 +2963,12 @@ function removeTypingIndicator() {
 }
 
 async function sendAIMessage() {
+    // While a reply is streaming the send button stops it
+    if (state.aiRequest) {
+        state.aiRequest.abort();
+        return;
+    }
+    
     const input = document.getElementById('ai-input');
     const message = input.value.trim();
     
@@ -957,6 +2979,16 @@ async function sendAIMessage() {
         return;
     }
     
+    if (state.aiMode !== 'chat' && !canEditProject()) {
+        addChatMessage('⚠️ You have view-only access to this project; ask about it in Chat mode.', false);
+        return;
+    }
+    
+    if (state.aiMode === 'edit' && !state.currentFile) {
+        addChatMessage('⚠️ Open the file you want to change; Edit mode works on the open file.', false);
+        return;
+    }
+    
     // Display user message (with image indicator if attached)
     let userMessage = message;
     if (state.attachedImage) {
@@ -968,8 +3000,29 @@ async function sendAIMessage() {
     input.style.height = 'auto';
     
     addTypingIndicator();
+    setAIRequest(new AbortController());
     
-    const result = await API.chat(message);
+    // The typing indicator gives way to the reply once text arrives
+    let reply = null;
+    let pending = null;
+    const result = await API.chat(message, {
+        signal: state.aiRequest.signal,
+        onToken: (text) => {
+            if (!reply) {
+                removeTypingIndicator();
+                reply = addChatMessage('', false);
+            }
+            // Render at most once per frame
+            if (pending === null) {
+                requestAnimationFrame(() => {
+                    if (pending !== null) updateChatMessage(reply, pending);
+                    pending = null;
+                });
+            }
+            pending = text;
+        }
+    });
+    setAIRequest(null);
     
     // Clear attached image after sending
     if (state.attachedImage) {
@@ -977,34 +3030,165 @@ async function sendAIMessage() {
     }
     
     removeTypingIndicator();
+    const finalText = result.response || (result.error ? `⚠️ ${result.error}` : 'Sorry, I encountered an error. Please try again.');
+    if (reply) {
+        pending = null;
+        updateChatMessage(reply, finalText);
+    } else {
+        reply = addChatMessage(finalText, false);
+    }
+    if (result.sources && result.sources.length > 0) {
+        addChatSources(reply, result.sources);
+    }
+    // The thread list is ordered by activity, and a new chat is named after its first message
+    loadChatThreads();
+}
+
+// Run the project and let the agent fix what fails, toward the goal typed
+// in the chat input if there is one
+async function startAutoFix() {
+    if (state.aiRequest) {
+        showNotification('Wait for the current AI request to finish', 'warning');
+        return;
+    }
+    if (!state.currentProject) {
+        showNotification('Please create or select a project first', 'warning');
+        return;
+    }
+    
+    if (!await saveModifiedFiles()) return;
+    
+    const input = document.getElementById('ai-input');
+    const goal = input.value.trim();
+    input.value = '';
+    input.style.height = 'auto';
+    if (!state.aiPanelVisible) toggleAIPanel();
+    addChatMessage(goal ? `🔧 Auto-fix: ${goal}` : '🔧 Auto-fix', true);
+    setAIRequest(new AbortController());
+    const result = await API.autoFix(goal, { signal: state.aiRequest.signal, onStep: addAgentStep });
+    setAIRequest(null);
     addChatMessage(result.response || 'Sorry, I encountered an error. Please try again.', false);
 }
 
-async function clearChat() {
+const AGENT_TOOL_ICONS = {
+    run_command: 'terminal',
+    run_tests: 'vial',
+    list_files: 'folder-open',
+    read_file: 'file-alt',
+    search: 'search',
+    write_file: 'file-medical',
+    patch_file: 'pen',
+    finish: 'flag-checkered'
+};
+
+// "read_file app.py:10-40", "run_command npm test", ...
+function agentStepLabel(step) {
+    const args = step.args || {};
+    switch (step.tool) {
+        case 'run_command': return args.command || '';
+        case 'read_file': return args.path + (args.startLine ? `:${args.startLine}-${args.endLine || ''}` : '');
+        case 'list_files': return args.path || '/';
+        case 'search': return `"${args.query}"`;
+        case 'write_file':
+        case 'patch_file': return (args.files || []).join(', ');
+        default: return '';
+    }
+}
+
+// One auto-fix step in the chat: what the agent did and why, with the result folded away
+function addAgentStep(step) {
+    const messageDiv = addChatMessage('', false);
+    messageDiv.classList.add('agent-step');
+    const content = messageDiv.querySelector('.message-content');
+    content.innerHTML = `
+        <div class="agent-step-header ${step.ok ? 'ok' : 'failed'}">
+            <i class="fas fa-${AGENT_TOOL_ICONS[step.tool] || 'question'}"></i>
+            <strong>${step.step === 0 ? 'Run' : `Step ${step.step}`}</strong>
+            <span class="agent-step-tool">${escapeHtml(step.tool || 'no action')}</span>
+            <code></code>
+        </div>
+        ${step.thought ? `<p>${escapeHtml(step.thought)}</p>` : ''}
+        <details>
+            <summary>Result</summary>
+            <pre></pre>
+        </details>
+    `;
+    content.querySelector('code').textContent = agentStepLabel(step);
+    content.querySelector('pre').textContent = step.output;
+    return messageDiv;
+}
+
+// The project code retrieved for a reply, each opening the file at its lines
+function addChatSources(messageDiv, sources) {
+    const list = document.createElement('div');
+    list.className = 'chat-sources';
+    list.innerHTML = '<span class="chat-sources-label">Sources:</span>';
+    for (const source of sources) {
+        const label = `${source.filepath}:${source.startLine}-${source.endLine}`;
+        const button = document.createElement('button');
+        button.className = 'chat-source';
+        button.title = `Open ${label}`;
+        button.innerHTML = `<i class="${getFileIcon(source.filepath.split('/').pop())}"></i> ${escapeHtml(label)}`;
+        button.addEventListener('click', () => openChatSource(source));
+        list.appendChild(button);
+    }
+    messageDiv.querySelector('.message-content').appendChild(list);
+}
+
+async function openChatSource(source) {
+    await loadFile(source.filepath);
+    if (state.currentFile !== source.filepath) return;
+    const Range = ace.require('ace/range').Range;
+    editor.scrollToLine(source.startLine - 1, true, true);
+    const endRow = Math.min(source.endLine, editor.getSession().getLength()) - 1;
+    editor.selection.setRange(new Range(source.startLine - 1, 0, endRow, editor.getSession().getLine(endRow).length));
+    editor.focus();
+}
+
+function setAIRequest(controller) {
+    state.aiRequest = controller;
+    const button = document.getElementById('btn-send-ai');
+    button.classList.toggle('stop', !!controller);
+    button.title = controller ? 'Stop generating' : 'Send';
+    button.innerHTML = `<i class="fas fa-${controller ? 'stop' : 'paper-plane'}"></i>`;
+    renderChatThreads();
+}
+
+function showChatWelcome(text) {
     const container = document.getElementById('ai-chat-area');
-    container.innerHTML = `
+    container.insertAdjacentHTML('beforeend', `
         <div class="ai-welcome-message">
             <div class="ai-avatar"><i class="fas fa-robot"></i></div>
             <div class="ai-message-content">
                 <strong>AI Assistant</strong>
-                <p>Chat cleared. How can I help you?</p>
+                <p>${escapeHtml(text)}</p>
             </div>
         </div>
-    `;
+    `);
+}
+
+// Clears the open thread's messages; the thread itself stays
+async function clearChat() {
+    const container = document.getElementById('ai-chat-area');
+    container.innerHTML = '';
+    showChatWelcome('Chat cleared. How can I help you?');
+    state.chat.oldestId = null;
+    state.chat.hasMore = false;
     
     // Delete backend chat history
-    if (state.currentProject) {
-        const result = await API.deleteChatHistory(state.currentProject);
+    if (state.currentProject && state.chat.threadId) {
+        const result = await API.deleteChatHistory(state.currentProject, state.chat.threadId);
         if (result.success) {
             console.log('Chat history deleted from backend');
         }
     }
 }
 
+// Safe in element content and in quoted attribute values
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 function removeAttachedImage() {
@@ -1030,42 +3214,200 @@ function addTerminalOutput(text, type = 'normal') {
     
     output.appendChild(line);
     output.scrollTop = output.scrollHeight;
+    state.terminalStreamLine = null;
+}
+
+// Append raw shell output, keeping partial lines (prompts) open for the next chunk
+function writeTerminalStream(text) {
+    const output = document.getElementById('terminal-output');
+    const clean = text
+        .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')   // OSC sequences (window title)
+        .replace(/\x1b\[[0-9;?]*[ -\/]*[@-~]/g, '')           // CSI sequences (colors, cursor)
+        .replace(/\x1b[()][0-9A-Za-z]|\x1b[=>78]/g, '');
+
+    let line = state.terminalStreamLine;
+    let buffer = line ? line.textContent : '';
+    const flush = () => {
+        if (!line) {
+            line = document.createElement('div');
+            line.className = 'terminal-line';
+            output.appendChild(line);
+        }
+        line.textContent = buffer;
+    };
+
+    for (let i = 0; i < clean.length; i++) {
+        const ch = clean[i];
+        if (ch === '\r') {
+            // A lone carriage return rewrites the line (progress bars)
+            if (clean[i + 1] !== '\n' && i < clean.length - 1) buffer = '';
+        } else if (ch === '\n') {
+            flush();
+            line = null;
+            buffer = '';
+        } else if (ch === '\b') {
+            buffer = buffer.slice(0, -1);
+        } else if (ch >= ' ' || ch === '\t') {
+            buffer += ch;
+        }
+    }
+    if (buffer) flush();
+
+    state.terminalStreamLine = line;
+    output.scrollTop = output.scrollHeight;
+}
+
+// Rows/columns that fit in the terminal output area
+function getTerminalSize() {
+    const output = document.getElementById('terminal-output');
+    const probe = document.createElement('span');
+    probe.className = 'terminal-line';
+    probe.style.visibility = 'hidden';
+    probe.style.position = 'absolute';
+    probe.textContent = 'W'.repeat(10);
+    output.appendChild(probe);
+    const charWidth = probe.getBoundingClientRect().width / 10 || 8;
+    const lineHeight = probe.getBoundingClientRect().height || 18;
+    probe.remove();
+
+    return {
+        cols: Math.max(20, Math.floor(output.clientWidth / charWidth)),
+        rows: Math.max(5, Math.floor(output.clientHeight / lineHeight))
+    };
+}
+
+// Open (or reattach to) the project's shell session and stream its output
+async function connectTerminal() {
+    const project = state.currentProject;
+    if (!project) return null;
+
+    const current = state.terminalSession;
+    if (current && current.project === project && current.source.readyState !== EventSource.CLOSED) {
+        return current;
+    }
+    disconnectTerminal();
+
+    const { cols, rows } = getTerminalSize();
+    const result = await API.openTerminalSession(cols, rows);
+    if (!result.id) {
+        addTerminalOutput('Error: ' + (result.error || 'Could not start terminal session'), 'error');
+        return null;
+    }
+    if (state.currentProject !== project) return null;
+
+    const source = new EventSource(`/api/terminal/sessions/${result.id}/stream`);
+    const session = { id: result.id, project, pty: result.pty, source };
+    state.terminalSession = session;
+
+    source.addEventListener('output', (e) => writeTerminalStream(JSON.parse(e.data)));
+    source.addEventListener('changes', (e) => applyWorkspaceChanges(JSON.parse(e.data)));
+    source.addEventListener('exit', (e) => {
+        const { code } = JSON.parse(e.data);
+        addTerminalOutput(`Shell exited${code !== null && code !== undefined ? ` with code ${code}` : ''}. Press Enter to start a new one.`, 'normal');
+        source.close();
+        if (state.terminalSession === session) state.terminalSession = null;
+    });
+    source.onerror = () => {
+        // EventSource retries on its own; a closed stream means the session is gone
+        if (source.readyState === EventSource.CLOSED && state.terminalSession === session) {
+            state.terminalSession = null;
+            setTimeout(() => {
+                if (state.currentProject === project && !state.terminalSession) connectTerminal();
+            }, 2000);
+        }
+    };
+
+    return session;
+}
+
+function disconnectTerminal() {
+    if (state.terminalSession) {
+        state.terminalSession.source.close();
+        state.terminalSession = null;
+    }
+    state.terminalStreamLine = null;
+}
+
+let terminalResizeTimer = null;
+function resizeTerminal() {
+    clearTimeout(terminalResizeTimer);
+    terminalResizeTimer = setTimeout(() => {
+        const session = state.terminalSession;
+        if (!session) return;
+        const { cols, rows } = getTerminalSize();
+        API.resizeTerminal(session.id, cols, rows);
+    }, 200);
+}
+
+async function sendTerminalInput(data) {
+    const session = await connectTerminal();
+    if (!session) return;
+    const result = await API.sendTerminalInput(session.id, data);
+    if (result.error) {
+        addTerminalOutput('Error: ' + result.error, 'error');
+    }
 }
 
 async function runTerminalCommand() {
     const input = document.getElementById('terminal-input');
-    const command = input.value.trim();
-    if (!command) return;
+    const raw = input.value;
+    const command = raw.trim();
+    input.value = '';
+
+    if (command) {
+        // Add to history
+        state.terminalHistory.push(command);
+        state.terminalHistoryIndex = state.terminalHistory.length;
+    }
+
+    if (command && await runBuiltinCommand(command)) return;
+
+    if (!state.currentProject) {
+        addTerminalOutput(command, 'command');
+        addTerminalOutput('Error: No project selected', 'error');
+        return;
+    }
+
+    // Everything else goes to the project's shell; with a pty the shell echoes it
+    const session = await connectTerminal();
+    if (!session) return;
+    if (!session.pty && command) addTerminalOutput(command, 'command');
+    await sendTerminalInput(raw + '\r');
+}
 
-    // Add to history
-    state.terminalHistory.push(command);
-    state.terminalHistoryIndex = state.terminalHistory.length;
+// Commands handled by the IDE itself rather than the shell
+async function runBuiltinCommand(command) {
+    const builtins = ['clear', 'cls', 'help', 'stop-server', 'stop', 'ps', 'processes', 'serve', 'preview'];
+    if (!builtins.includes(command) && !command.startsWith('kill ') && !command.startsWith('logs ') && !command.startsWith('host')) {
+        return false;
+    }
 
     addTerminalOutput(command, 'command');
-    input.value = '';
 
-    // Handle built-in commands
     if (command === 'clear' || command === 'cls') {
         document.getElementById('terminal-output').innerHTML = '';
-        return;
+        state.terminalStreamLine = null;
+        return true;
     }
 
     if (command === 'help') {
         addTerminalOutput('Available commands:', 'success');
         addTerminalOutput('  clear/cls     - Clear terminal');
-        addTerminalOutput('  host [port]   - Start built-in web server (default port: 8000)');
+        addTerminalOutput('  host/serve    - Serve the project\'s files at a private preview URL');
         addTerminalOutput('  stop-server   - Stop the preview server');
         addTerminalOutput('  kill <pid>    - Kill a process by PID');
-        addTerminalOutput('  ps            - List running processes');
+        addTerminalOutput('  logs <pid>    - Show the output of a process');
+        addTerminalOutput('  ps            - List your processes');
         addTerminalOutput('  help          - Show this help');
-        addTerminalOutput('  Any other command will be executed on the server');
-        return;
+        addTerminalOutput('  Ctrl+C        - Interrupt the running program');
+        addTerminalOutput('  Any other input goes to the project shell; file changes are saved to the project');
+        return true;
     }
 
     if (command === 'stop-server' || command === 'stop') {
         if (!state.currentProject) {
             addTerminalOutput('Error: No project selected', 'error');
-            return;
+            return true;
         }
         addTerminalOutput('Stopping preview server...', 'normal');
         const result = await API.stopServer();
@@ -1074,14 +3416,14 @@ async function runTerminalCommand() {
         } else {
             addTerminalOutput(result.message || 'No server to stop', 'normal');
         }
-        return;
+        return true;
     }
 
     if (command.startsWith('kill ')) {
         const pid = command.split(' ')[1];
         if (!pid || isNaN(pid)) {
             addTerminalOutput('Usage: kill <pid>', 'error');
-            return;
+            return true;
         }
         addTerminalOutput(`Killing process ${pid}...`, 'normal');
         const result = await API.killProcess(pid);
@@ -1090,7 +3432,23 @@ async function runTerminalCommand() {
         } else {
             addTerminalOutput('Error: ' + (result.error || 'Could not kill process'), 'error');
         }
-        return;
+        return true;
+    }
+
+    if (command.startsWith('logs ')) {
+        const pid = command.split(' ')[1];
+        if (!pid || isNaN(pid)) {
+            addTerminalOutput('Usage: logs <pid>', 'error');
+            return true;
+        }
+        const result = await API.processLogs(pid);
+        if (result.error) {
+            addTerminalOutput('Error: ' + result.error, 'error');
+            return true;
+        }
+        addTerminalOutput(result.log || '(no output yet)', 'normal');
+        addTerminalOutput(result.running ? `PID ${pid} is still running` : `PID ${pid} ${result.status}`, 'success');
+        return true;
     }
 
     if (command === 'ps' || command === 'processes') {
@@ -1104,23 +3462,19 @@ async function runTerminalCommand() {
         } else {
             addTerminalOutput('No tracked processes running', 'normal');
         }
-        return;
+        return true;
     }
 
     if (command.startsWith('host') || command === 'serve' || command === 'preview') {
         if (!state.currentProject) {
             addTerminalOutput('Error: No project selected', 'error');
-            return;
+            return true;
         }
         
-        // Extract port if provided
-        const portMatch = command.match(/\d{4,5}/);
-        const port = portMatch ? parseInt(portMatch[0]) : 8000;
-        
-        addTerminalOutput(`Starting built-in web server on port ${port}...`, 'normal');
-        const result = await API.hostProject(port);
+        addTerminalOutput('Starting preview server...', 'normal');
+        const result = await API.hostProject();
         if (result.url) {
-            addTerminalOutput(`✅ Server started successfully!`, 'success');
+            addTerminalOutput(`✅ ${result.message}`, 'success');
             addTerminalOutput(`📡 Access at: ${result.url}`, 'success');
             addTerminalOutput(``, 'normal');
             addTerminalOutput(`Open your browser and navigate to the URL above`, 'normal');
@@ -1130,19 +3484,43 @@ async function runTerminalCommand() {
             addTerminalOutput(result.message || 'Server started', 'success');
             if (result.url) addTerminalOutput(`URL: ${result.url}`, 'success');
         }
-        return;
+        return true;
     }
 
-    // Run command on server
-    const result = await API.runCommand(command);
-    if (result.output) {
-        addTerminalOutput(result.output, result.error ? 'error' : 'normal');
-    } else if (result.error) {
-        addTerminalOutput('Error: ' + result.error, 'error');
+    return false;
+}
+
+// Reflect files the terminal created/modified/deleted in the explorer and editor
+async function applyWorkspaceChanges(changes) {
+    const changed = [...changes.created, ...changes.modified, ...changes.deleted];
+    if (changed.length === 0) return;
+
+    if (changes.created.length) addTerminalOutput(`Created: ${changes.created.join(', ')}`, 'success');
+    if (changes.modified.length) addTerminalOutput(`Modified: ${changes.modified.join(', ')}`, 'success');
+    if (changes.deleted.length) addTerminalOutput(`Deleted: ${changes.deleted.join(', ')}`, 'success');
+
+    for (const filepath of changes.deleted) {
+        if (state.openFiles.includes(filepath)) performCloseTab(filepath);
     }
+
+    // Drop cached content of unmodified open files so they are re-read
+    for (const filepath of changes.modified) {
+        if (!state.modifiedFiles.has(filepath)) delete state.fileContents[filepath];
+    }
+    if (state.currentFile && changes.modified.includes(state.currentFile) && !state.modifiedFiles.has(state.currentFile)) {
+        await loadFile(state.currentFile);
+        state.modifiedFiles.delete(state.currentFile);
+        updateFileTabs();
+    }
+
+    await loadFolder(state.currentPath);
+    refreshPreview();
+    refreshDiagnostics(changed);
+    if (isGitPanelOpen()) refreshGitPanel();
 }
 
 function clearTerminal() {
+    state.terminalStreamLine = null;
     document.getElementById('terminal-output').innerHTML = `
         <div class="terminal-welcome">
             <span class="terminal-green">NOS Code Terminal</span> - Type 'help' for commands
@@ -1206,6 +3584,101 @@ function switchBottomTab(tabName) {
     document.getElementById(`${tabName}-panel`).classList.add('active');
 }
 
+// =====================================================
+// Problems
+// =====================================================
+let diagnosticsRequest = 0;
+
+// Re-check the given files, or all of the project's without them
+async function refreshDiagnostics(filepaths) {
+    if (!state.currentProject) return;
+    const project = state.currentProject;
+    const request = ++diagnosticsRequest;
+    const results = filepaths
+        ? await Promise.all(filepaths.map(filepath => API.getDiagnostics(project, filepath)))
+        : [await API.getDiagnostics(project)];
+    // A project switch, or a newer full refresh, makes these stale
+    if (project !== state.currentProject || (!filepaths && request !== diagnosticsRequest)) return;
+
+    if (!filepaths) state.problems = {};
+    for (const result of results) {
+        if (result.error) continue;
+        for (const file of result.files) {
+            if (file.diagnostics.length > 0) state.problems[file.filepath] = file.diagnostics;
+            else delete state.problems[file.filepath];
+        }
+    }
+    renderProblems();
+    updateEditorAnnotations();
+}
+
+function renderProblems() {
+    const area = document.getElementById('problems-area');
+    const files = Object.keys(state.problems).sort();
+    const all = files.flatMap(filepath => state.problems[filepath]);
+    const errors = all.filter(p => p.severity === 'error').length;
+
+    document.getElementById('status-errors').textContent = errors;
+    document.getElementById('status-warnings').textContent = all.length - errors;
+    document.getElementById('problems-count').textContent = all.length || '';
+
+    if (all.length === 0) {
+        area.innerHTML = '<p class="muted-text">No problems detected</p>';
+        return;
+    }
+    area.innerHTML = files.map(filepath => `
+        <div class="problems-file">
+            <i class="${getFileIcon(filepath.split('/').pop())}"></i>
+            <span>${escapeHtml(filepath)}</span>
+            <span class="problems-file-count">${state.problems[filepath].length}</span>
+        </div>
+        ${state.problems[filepath].map((problem, index) => `
+            <div class="problem-item" data-filepath="${encodeURIComponent(filepath)}" data-index="${index}">
+                <i class="fas ${problem.severity === 'error' ? 'fa-times-circle problem-error' : 'fa-exclamation-triangle problem-warning'}"></i>
+                <span class="problem-message">${escapeHtml(problem.message)}</span>
+                <span class="problem-source">${escapeHtml(problem.source)}</span>
+                <span class="problem-position">[Ln ${problem.line}, Col ${problem.column}]</span>
+            </div>
+        `).join('')}
+    `).join('');
+
+    area.querySelectorAll('.problem-item').forEach(item => {
+        item.addEventListener('click', () => {
+            const filepath = decodeURIComponent(item.dataset.filepath);
+            goToProblem(filepath, state.problems[filepath][item.dataset.index]);
+        });
+    });
+}
+
+async function goToProblem(filepath, problem) {
+    if (!problem) return;
+    if (state.currentFile !== filepath) await loadFile(filepath);
+    if (state.currentFile !== filepath) return;
+    const row = problem.line - 1;
+    const column = problem.column - 1;
+    editor.scrollToLine(row, true, true);
+    editor.moveCursorTo(row, column);
+    editor.clearSelection();
+    editor.focus();
+}
+
+// Show the current file's problems in the editor gutter
+function updateEditorAnnotations() {
+    if (!editor) return;
+    const problems = (state.currentFile && state.problems[state.currentFile]) || [];
+    editor.getSession().setAnnotations(problems.map(problem => ({
+        row: problem.line - 1,
+        column: problem.column - 1,
+        text: `${problem.message} (${problem.source})`,
+        type: problem.severity === 'error' ? 'error' : 'warning'
+    })));
+}
+
+function showProblems() {
+    if (!state.bottomPanelVisible) toggleBottomPanel();
+    switchBottomTab('problems');
+}
+
 // =====================================================
 // Quick Actions
 // =====================================================
@@ -1215,20 +3688,34 @@ async function executeQuickAction(action) {
         return;
     }
     
-    const prompts = {
-        'explain': 'Explain this code in detail',
-        'optimize': 'Optimize this code for better performance',
-        'fix': 'Find and fix any bugs in this code',
-        'document': 'Add comprehensive documentation and comments to this code'
+    // [mode, prompt]
+    const actions = {
+        'explain': ['chat', 'Explain this code in detail'],
+        'optimize': ['edit', 'Optimize this code for better performance'],
+        'fix': ['edit', 'Find and fix any bugs in this code'],
+        'document': ['edit', 'Add comprehensive documentation and comments to this code']
     };
     
-    const prompt = prompts[action];
-    if (prompt) {
+    if (actions[action] && !state.aiRequest) {
+        const [mode, prompt] = actions[action];
+        setAIMode(mode);
         document.getElementById('ai-input').value = prompt;
         sendAIMessage();
     }
 }
 
+const AI_MODE_PLACEHOLDERS = {
+    chat: 'Ask about your code or project...',
+    edit: 'Describe a change to the open file (or the selected lines)...',
+    generate: 'Describe the files to create...'
+};
+
+function setAIMode(mode) {
+    state.aiMode = mode;
+    document.querySelectorAll('.ai-mode-tab').forEach(t => t.classList.toggle('active', t.dataset.mode === mode));
+    document.getElementById('ai-input').placeholder = AI_MODE_PLACEHOLDERS[mode];
+}
+
 // =====================================================
 // Project Management
 // =====================================================
@@ -1241,7 +3728,11 @@ async function createProject() {
         return;
     }
     
-    await API.createProject(name);
+    const result = await API.createProject(name);
+    if (!result || result.error) {
+        showNotification(result ? result.error : 'Could not create project', 'error');
+        return;
+    }
     input.value = '';
     await loadProject(name);
     document.getElementById('project-modal').classList.remove('active');
@@ -1256,9 +3747,15 @@ async function deleteProject(name) {
         '',
         async (confirmed) => {
             if (confirmed) {
-                await API.deleteProject(name);
+                const result = await API.deleteProject(name);
+                if (!result || result.error) {
+                    showNotification(result ? result.error : 'Could not delete project', 'error');
+                    return;
+                }
                 
                 if (state.currentProject === name) {
+                    disconnectTerminal();
+                    hidePreview();
                     state.currentProject = null;
                     state.currentFile = null;
                     state.openFiles = [];
@@ -1278,6 +3775,91 @@ async function deleteProject(name) {
     );
 }
 
+// =====================================================
+// Project Sharing
+// =====================================================
+async function showShareModal(project) {
+    state.sharingProject = project;
+    document.getElementById('share-project-name').textContent = project;
+    document.getElementById('share-error').textContent = '';
+    document.getElementById('share-username').value = '';
+    document.getElementById('share-modal').classList.add('active');
+    await renderShareMembers();
+}
+
+async function renderShareMembers() {
+    const project = state.sharingProject;
+    const list = document.getElementById('share-members');
+    const data = await API.listMembers(project);
+    if (data.error) {
+        list.innerHTML = `<div class="muted-text">${escapeHtml(data.error)}</div>`;
+        return;
+    }
+    
+    const isOwner = data.role === 'owner';
+    const me = state.user ? state.user.username : null;
+    document.getElementById('share-form').style.display = isOwner ? '' : 'none';
+    
+    list.innerHTML = data.members.map((m, i) => {
+        // The first entry is the project's creator, whose role is fixed
+        const roleControl = isOwner && i > 0
+            ? `<select class="share-role" onchange="changeMemberRole('${m.username}', this.value)">
+                ${['viewer', 'editor', 'owner'].map(r => `<option value="${r}" ${r === m.role ? 'selected' : ''}>${r}</option>`).join('')}
+               </select>`
+            : `<span class="share-role-label">${m.role}</span>`;
+        const canRemove = i > 0 && (isOwner || m.username === me);
+        return `
+            <div class="share-member">
+                <i class="fas fa-user"></i>
+                <span class="share-member-name">${escapeHtml(m.username)}${m.username === me ? ' (you)' : ''}</span>
+                ${roleControl}
+                ${canRemove ? `<button class="project-item-delete" onclick="removeMember('${m.username}')" title="${m.username === me ? 'Leave project' : 'Remove'}"><i class="fas fa-user-minus"></i></button>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+async function shareProject() {
+    const username = document.getElementById('share-username').value.trim();
+    const role = document.getElementById('share-role').value;
+    const errorEl = document.getElementById('share-error');
+    if (!username) return;
+    
+    const result = await API.shareProject(state.sharingProject, username, role);
+    if (result.error) {
+        errorEl.textContent = result.error;
+        return;
+    }
+    errorEl.textContent = '';
+    document.getElementById('share-username').value = '';
+    await renderShareMembers();
+    showNotification(`Shared with ${username} as ${role}`, 'success');
+}
+
+async function changeMemberRole(username, role) {
+    const result = await API.shareProject(state.sharingProject, username, role);
+    if (result.error) showNotification(result.error, 'error');
+    await renderShareMembers();
+}
+
+async function removeMember(username) {
+    const project = state.sharingProject;
+    const result = await API.removeMember(project, username);
+    if (result.error) {
+        showNotification(result.error, 'error');
+        return;
+    }
+    
+    // Leaving a shared project removes it from your list
+    if (state.user && username === state.user.username) {
+        document.getElementById('share-modal').classList.remove('active');
+        if (state.currentProject === project) location.reload();
+        await updateProjectsList();
+        return;
+    }
+    await renderShareMembers();
+}
+
 async function createNewFile() {
     if (!state.currentProject) {
         showNotification('Please create or select a project first', 'warning');
@@ -1398,7 +3980,10 @@ function initResizeHandlers() {
         
         // Resize editor after panel changes
         if (editor) editor.resize();
+        resizeTerminal();
     });
+    
+    window.addEventListener('resize', resizeTerminal);
 }
 
 // =====================================================
@@ -1408,7 +3993,21 @@ function initEventListeners() {
     // Activity bar
     document.getElementById('activity-explorer').addEventListener('click', () => toggleSidebarPanel('explorer'));
     document.getElementById('activity-search').addEventListener('click', () => toggleSidebarPanel('search'));
-    document.getElementById('activity-git').addEventListener('click', () => toggleSidebarPanel('git'));
+    document.getElementById('search-input').addEventListener('input', scheduleSearch);
+    document.getElementById('search-include').addEventListener('input', scheduleSearch);
+    document.getElementById('search-exclude').addEventListener('input', scheduleSearch);
+    document.getElementById('search-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') runSearch();
+    });
+    document.querySelectorAll('.search-flag').forEach(btn => {
+        btn.addEventListener('click', () => toggleSearchFlag(btn.dataset.flag));
+    });
+    document.getElementById('btn-replace-all').addEventListener('click', () => replaceAllMatches());
+    document.getElementById('activity-git').addEventListener('click', () => {
+        toggleSidebarPanel('git');
+        if (isGitPanelOpen()) refreshGitPanel();
+    });
+    document.getElementById('btn-git-refresh').addEventListener('click', refreshGitPanel);
     document.getElementById('activity-ai').addEventListener('click', toggleAIPanel);
     
     // Sidebar buttons
@@ -1436,6 +4035,15 @@ function initEventListeners() {
         }
     });
     
+    // Preview pane
+    document.getElementById('btn-split-editor').addEventListener('click', togglePreview);
+    document.getElementById('btn-reload-preview').addEventListener('click', refreshPreview);
+    document.getElementById('btn-close-preview').addEventListener('click', hidePreview);
+    document.getElementById('btn-open-preview').addEventListener('click', () => {
+        const frame = document.getElementById('preview-frame');
+        if (frame.src && frame.src !== 'about:blank') window.open(frame.src, '_blank');
+    });
+    
     document.getElementById('btn-open-project').addEventListener('click', () => {
         document.getElementById('project-modal').classList.add('active');
         loadProjectList();
@@ -1447,6 +4055,19 @@ function initEventListeners() {
         if (e.key === 'Enter') createProject();
     });
     
+    // File history
+    document.getElementById('btn-file-history').addEventListener('click', showFileHistory);
+    document.getElementById('btn-restore-revision').addEventListener('click', restoreSelectedRevision);
+    document.getElementById('history-compare-current').addEventListener('change', () => {
+        if (state.history && state.history.selected) selectRevision(state.history.selected);
+    });
+    
+    // Share modal
+    document.getElementById('btn-share-add').addEventListener('click', shareProject);
+    document.getElementById('share-username').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') shareProject();
+    });
+    
     // File modal
     document.getElementById('btn-create-file').addEventListener('click', createNewFile);
     document.getElementById('file-name-input').addEventListener('keydown', (e) => {
@@ -1461,10 +4082,33 @@ function initEventListeners() {
     
     // AI Panel
     document.getElementById('btn-send-ai').addEventListener('click', sendAIMessage);
+    document.getElementById('ai-provider-select').addEventListener('change', (e) => {
+        updateAISettings({ provider: e.target.value || null }, 'AI provider updated for this project');
+    });
+    document.getElementById('ai-model-select').addEventListener('change', (e) => {
+        updateAISettings({ model: e.target.value || null }, 'AI model updated for this project');
+    });
+    document.getElementById('btn-ai-settings').addEventListener('click', showAISettings);
+    document.getElementById('btn-save-ai-settings').addEventListener('click', saveAISettingsForm);
+    
+    // Run configurations
+    document.getElementById('btn-run').addEventListener('click', () => runProject());
+    document.getElementById('btn-run-tests').addEventListener('click', () => runProject(true));
+    document.getElementById('btn-auto-fix').addEventListener('click', startAutoFix);
+    document.getElementById('btn-run-configs').addEventListener('click', showRunConfigs);
+    document.getElementById('run-config-select').addEventListener('change', (e) => {
+        selectRunConfig(e.target.value ? parseInt(e.target.value, 10) : null);
+    });
+    document.getElementById('run-configs-list').addEventListener('change', (e) => {
+        editRunConfig(e.target.value ? parseInt(e.target.value, 10) : null);
+    });
+    document.getElementById('btn-save-run-config').addEventListener('click', saveRunConfig);
+    document.getElementById('btn-delete-run-config').addEventListener('click', deleteRunConfig);
     document.getElementById('ai-input').addEventListener('keydown', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
-            sendAIMessage();
+            // Enter never stops a reply; that takes the Stop button
+            if (!state.aiRequest) sendAIMessage();
         }
     });
     
@@ -1475,6 +4119,12 @@ function initEventListeners() {
     });
     
     document.getElementById('btn-clear-chat').addEventListener('click', clearChat);
+    document.getElementById('ai-thread-select').addEventListener('change', (e) => {
+        if (e.target.value) loadChatHistory(parseInt(e.target.value, 10));
+    });
+    document.getElementById('btn-new-chat').addEventListener('click', newChatThread);
+    document.getElementById('btn-rename-chat').addEventListener('click', renameChatThread);
+    document.getElementById('btn-delete-chat').addEventListener('click', deleteChatThread);
     document.getElementById('btn-toggle-ai-panel').addEventListener('click', toggleAIPanel);
     
     // Quick actions
@@ -1484,12 +4134,12 @@ function initEventListeners() {
         });
     });
     
+    // Inline AI edit (Ctrl+K)
+    document.getElementById('inline-edit-input').addEventListener('keydown', handleInlineEditKey);
+    
     // AI mode tabs
     document.querySelectorAll('.ai-mode-tab').forEach(tab => {
-        tab.addEventListener('click', () => {
-            document.querySelectorAll('.ai-mode-tab').forEach(t => t.classList.remove('active'));
-            tab.classList.add('active');
-        });
+        tab.addEventListener('click', () => setAIMode(tab.dataset.mode));
     });
     
     // Bottom panel
@@ -1504,6 +4154,7 @@ function initEventListeners() {
         state.bottomPanelMaximized = !state.bottomPanelMaximized;
         panel.classList.toggle('maximized');
         if (editor) editor.resize();
+        resizeTerminal();
     });
     
     // AI image attachment handlers
@@ -1530,6 +4181,11 @@ function initEventListeners() {
     document.getElementById('terminal-input').addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
             runTerminalCommand();
+        } else if (e.ctrlKey && (e.key === 'c' || e.key === 'd') && !window.getSelection().toString()) {
+            // Ctrl+C interrupts, Ctrl+D sends end-of-input to the running program
+            e.preventDefault();
+            e.target.value = '';
+            sendTerminalInput(e.key === 'c' ? '\x03' : '\x04');
         } else if (e.key === 'ArrowUp') {
             e.preventDefault();
             if (state.terminalHistoryIndex > 0) {
@@ -1551,7 +4207,7 @@ function initEventListeners() {
     // Modal close on background click
     document.querySelectorAll('.modal').forEach(modal => {
         modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
+            if (e.target === modal && !modal.classList.contains('auth-modal')) {
                 modal.classList.remove('active');
             }
         });
@@ -1568,6 +4224,12 @@ function initEventListeners() {
             saveFile();
         }
         
+        // Ctrl+F5 - Run the selected configuration
+        if ((e.ctrlKey || e.metaKey) && e.key === 'F5') {
+            e.preventDefault();
+            runProject();
+        }
+        
         // Ctrl+` - Toggle terminal
         if ((e.ctrlKey || e.metaKey) && e.key === '`') {
             e.preventDefault();
@@ -1584,17 +4246,105 @@ function initEventListeners() {
         if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'F') {
             e.preventDefault();
             toggleSidebarPanel('search');
-            document.getElementById('search-input').focus();
+            const input = document.getElementById('search-input');
+            // Start from the selected text, like most editors
+            const selected = editor ? editor.getSelectedText() : '';
+            if (selected && !selected.includes('\n')) {
+                input.value = selected;
+                runSearch();
+            }
+            input.focus();
+            input.select();
         }
         
         // Escape - Close modals
         if (e.key === 'Escape') {
-            document.querySelectorAll('.modal.active').forEach(m => m.classList.remove('active'));
+            document.querySelectorAll('.modal.active:not(.auth-modal)').forEach(m => m.classList.remove('active'));
             hideDialog();
         }
     });
 }
 
+// =====================================================
+// Accounts
+// =====================================================
+let authMode = 'login';
+
+async function initAuth() {
+    const form = document.getElementById('auth-form');
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitAuth();
+    });
+    document.getElementById('auth-switch-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        setAuthMode(authMode === 'login' ? 'signup' : 'login');
+    });
+    document.getElementById('status-user').addEventListener('click', logout);
+
+    const { user } = await API.me();
+    if (user) {
+        setUser(user);
+    } else {
+        showAuthModal();
+    }
+}
+
+function setAuthMode(mode) {
+    authMode = mode;
+    const signup = mode === 'signup';
+    document.getElementById('auth-title').textContent = signup ? 'Sign Up' : 'Log In';
+    document.getElementById('auth-submit-label').textContent = signup ? 'Create Account' : 'Log In';
+    document.getElementById('auth-switch-text').textContent = signup ? 'Already have an account?' : 'No account yet?';
+    document.getElementById('auth-switch-link').textContent = signup ? 'Log in' : 'Sign up';
+    document.getElementById('auth-password').autocomplete = signup ? 'new-password' : 'current-password';
+    document.getElementById('auth-error').textContent = '';
+}
+
+function showAuthModal() {
+    document.getElementById('auth-modal').classList.add('active');
+    setTimeout(() => document.getElementById('auth-username').focus(), 100);
+}
+
+async function submitAuth() {
+    const username = document.getElementById('auth-username').value.trim();
+    const password = document.getElementById('auth-password').value;
+    const errorEl = document.getElementById('auth-error');
+
+    const result = await API.login(username, password, authMode === 'signup');
+    if (!result.user) {
+        errorEl.textContent = result.error || 'Something went wrong';
+        return;
+    }
+
+    document.getElementById('auth-password').value = '';
+    document.getElementById('auth-modal').classList.remove('active');
+    setUser(result.user);
+}
+
+function setUser(user) {
+    state.user = user;
+    document.getElementById('status-username').textContent = user.username;
+    document.getElementById('status-user').style.display = '';
+    updateProjectsList();
+    loadUserSettings();
+}
+
+async function loadUserSettings() {
+    const settings = await API.userSettings();
+    if (!settings.error) state.userSettings = settings;
+    updateCompletionStatus();
+}
+
+function logout() {
+    showDialog('Log Out', `Log out of ${state.user ? state.user.username : 'your account'}?`, 'confirm', '', async (confirmed) => {
+        if (!confirmed) return;
+        await API.logout();
+        // Start from a clean slate so nothing from the previous account lingers
+        window.location.reload();
+    });
+}
+
 // Load project list helper
 async function loadProjectList() {
     await updateProjectsList();
@@ -1607,8 +4357,9 @@ document.addEventListener('DOMContentLoaded', () => {
     initEditor();
     initEventListeners();
     initResizeHandlers();
-    updateProjectsList();
+    initAuth();
     initMobileHandlers();
+    loadAIProviders();
     
     // Focus editor when clicking on editor area
     document.getElementById('editor-area').addEventListener('click', () => {
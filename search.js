@@ -0,0 +1,273 @@
+// Project-wide search over file contents, with replace.
+// Options: { query, regex, caseSensitive, wholeWord, include, exclude }
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const MAX_MATCHES = 2000;
+const MAX_PREVIEW_LENGTH = 200;
+
+// Larger files are skipped; they're almost always generated or minified
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// A regex can backtrack for ever on the right input, so regex searches run
+// in a worker thread that is stopped after this long
+const REGEX_TIMEOUT = 5000;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile the search options into a global RegExp
+function buildMatcher({ query, regex = false, caseSensitive = false, wholeWord = false }) {
+    if (!query) {
+        const err = new Error('Search query required');
+        err.status = 400;
+        throw err;
+    }
+
+    let source = regex ? query : escapeRegExp(query);
+    if (wholeWord) source = `\\b(?:${source})\\b`;
+
+    try {
+        return new RegExp(source, 'gm' + (caseSensitive ? '' : 'i'));
+    } catch (e) {
+        const err = new Error(e.message);
+        err.status = 400;
+        throw err;
+    }
+}
+
+// Glob to RegExp: `*` and `?` stay within a folder, `**` crosses folders,
+// `{a,b}` is either. Globs without a "/" match at any depth, and a glob
+// naming a folder matches everything under it.
+function globToRegExp(glob) {
+    const pattern = glob.trim().replace(/^\.?\//, '');
+    const anchored = pattern.includes('/');
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${globSource(pattern)}(?:/.*)?$`);
+}
+
+function globSource(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                i++;
+                if (pattern[i + 1] === '/') {
+                    i++;
+                    source += '(?:.*/)?';
+                } else {
+                    source += '.*';
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+                continue;
+            }
+            const options = pattern.slice(i + 1, end).split(',').map(globSource);
+            source += `(?:${options.join('|')})`;
+            i = end;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return source;
+}
+
+// "a, b" -> [RegExp, RegExp]; commas inside braces belong to the glob
+function parseGlobs(list) {
+    return (list || '').split(/,(?![^{]*\})/).map(glob => glob.trim()).filter(Boolean).map(globToRegExp);
+}
+
+// The files a search looks at: those matching the include/exclude globs
+function searchableFiles(files, { include, exclude }) {
+    const includes = parseGlobs(include);
+    const excludes = parseGlobs(exclude);
+    return files.filter(file => file.content.length <= MAX_FILE_SIZE
+        && (includes.length === 0 || includes.some(re => re.test(file.filepath)))
+        && !excludes.some(re => re.test(file.filepath)));
+}
+
+// The line holding a match, shortened around it when long
+function linePreview(content, lineStart, index, length) {
+    let lineEnd = content.indexOf('\n', lineStart);
+    if (lineEnd === -1) lineEnd = content.length;
+    let text = content.slice(lineStart, lineEnd).replace(/\r$/, '');
+    let start = index - lineStart;
+    const end = Math.min(start + length, text.length);
+
+    if (text.length > MAX_PREVIEW_LENGTH) {
+        const from = Math.max(0, start - 40);
+        text = (from > 0 ? '…' : '') + text.slice(from, from + MAX_PREVIEW_LENGTH);
+        start -= from - (from > 0 ? 1 : 0);
+        return { text, start, end: Math.min(start + length, text.length) };
+    }
+    return { text, start, end };
+}
+
+// Matches in one file as [{ line, column, length, preview }] (1-based line and column)
+function findMatches(content, matcher, limit) {
+    const matches = [];
+    let line = 1;
+    let lineStart = 0;
+    let scanned = 0;
+    matcher.lastIndex = 0;
+
+    let match;
+    while (matches.length < limit && (match = matcher.exec(content)) !== null) {
+        if (match[0].length === 0) {
+            // Empty matches (e.g. `^`) would never advance
+            matcher.lastIndex++;
+            continue;
+        }
+
+        for (; scanned < match.index; scanned++) {
+            if (content.charCodeAt(scanned) === 10) {
+                line++;
+                lineStart = scanned + 1;
+            }
+        }
+        matches.push({
+            line,
+            column: match.index - lineStart + 1,
+            length: match[0].length,
+            preview: linePreview(content, lineStart, match.index, match[0].length)
+        });
+    }
+    return matches;
+}
+
+function findInFiles(files, options) {
+    const matcher = buildMatcher(options);
+    const results = [];
+    let totalMatches = 0;
+    let truncated = false;
+
+    for (const file of searchableFiles(files, options)) {
+        if (totalMatches >= MAX_MATCHES) {
+            truncated = true;
+            break;
+        }
+
+        const matches = findMatches(file.content, matcher, MAX_MATCHES - totalMatches);
+        if (matches.length === 0) continue;
+        totalMatches += matches.length;
+        results.push({ filepath: file.filepath, matches });
+    }
+
+    return { files: results, totalMatches, truncated };
+}
+
+// files: [{ filepath, content }] -> { files: [{ filepath, matches }], totalMatches, truncated }
+function searchFiles(files, options) {
+    return runSearch('search', files, options);
+}
+
+// Expand $&, $1, $<name>, $$ etc. in a regex replacement, as String#replace does
+function expandReplacement(template, match, input) {
+    return template.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, spec, name) => {
+        if (spec === '$') return '$';
+        if (spec === '&') return match[0];
+        if (spec === '`') return input.slice(0, match.index);
+        if (spec === "'") return input.slice(match.index + match[0].length);
+        if (name !== undefined) return match.groups ? (match.groups[name] || '') : token;
+
+        const group = parseInt(spec, 10);
+        if (group >= 1 && group < match.length) return match[group] || '';
+        // "$12" with one group is "$1" then "2"
+        const single = parseInt(spec[0], 10);
+        if (spec.length === 2 && single >= 1 && single < match.length) return (match[single] || '') + spec[1];
+        return token;
+    });
+}
+
+// New content and replacement count for one file. In regex mode the
+// replacement can refer to groups ($1, $<name>); otherwise it's literal.
+function replaceInContent(content, options, replacement) {
+    const matcher = buildMatcher(options);
+    let result = '';
+    let last = 0;
+    let count = 0;
+
+    let match;
+    while ((match = matcher.exec(content)) !== null) {
+        if (match[0].length === 0) {
+            matcher.lastIndex++;
+            continue;
+        }
+        result += content.slice(last, match.index);
+        result += options.regex ? expandReplacement(replacement, match, content) : replacement;
+        last = match.index + match[0].length;
+        count++;
+    }
+
+    return { content: result + content.slice(last), count };
+}
+
+function replaceInFiles(files, options, replacement) {
+    const replaced = [];
+    for (const file of files) {
+        const result = replaceInContent(file.content, options, replacement);
+        if (result.count > 0) replaced.push({ filepath: file.filepath, content: result.content, count: result.count });
+    }
+    return replaced;
+}
+
+// files: [{ filepath, content }] -> [{ filepath, content, count }] for the files that changed
+function replaceFiles(files, options, replacement) {
+    return runSearch('replace', files, options, replacement);
+}
+
+const TASKS = { search: findInFiles, replace: replaceInFiles };
+
+// Run a task here when the pattern is plain text, in a worker with a time
+// limit when it's a user's regex
+async function runSearch(task, files, options, replacement) {
+    buildMatcher(options); // Bad patterns fail here, with a 400
+    if (!options.regex) return TASKS[task](files, options, replacement);
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { task, files, options, replacement } });
+        const timer = setTimeout(() => {
+            worker.terminate();
+            const err = new Error(`Search took longer than ${REGEX_TIMEOUT / 1000}s; try a simpler pattern`);
+            err.status = 400;
+            reject(err);
+        }, REGEX_TIMEOUT);
+
+        worker.once('message', ({ result, error }) => {
+            clearTimeout(timer);
+            if (!error) return resolve(result);
+            const err = new Error(error.message);
+            err.status = error.status;
+            reject(err);
+        });
+        worker.once('error', err => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+if (!isMainThread && workerData && TASKS[workerData.task]) {
+    const { task, files, options, replacement } = workerData;
+    try {
+        parentPort.postMessage({ result: TASKS[task](files, options, replacement) });
+    } catch (err) {
+        parentPort.postMessage({ error: { message: err.message, status: err.status } });
+    }
+}
+
+module.exports = {
+    buildMatcher,
+    searchableFiles,
+    searchFiles,
+    replaceFiles
+};
@@ -1,8 +1,21 @@
 require('dotenv').config();
 const express = require("express");
 const path = require("path");
-const { exec, spawn } = require('child_process');
+const crypto = require('crypto');
 const db = require('./database');
+const auth = require('./auth');
+const workspace = require('./workspace');
+const terminal = require('./terminal');
+const processes = require('./processes');
+const commandPolicy = require('./command-policy');
+const git = require('./git');
+const search = require('./search');
+const diagnostics = require('./diagnostics');
+const edits = require('./edits');
+const agent = require('./agent');
+const retrieval = require('./retrieval');
+const aiProviders = require('./ai-providers');
+const { diffText } = require('./diff');
 const app = express();
 const port = process.env.PORT || 8080;
 
@@ -31,6 +44,62 @@ async function ensureDbInitialized() {
     }
 }
 
+// Authentication middleware: every project route runs as the logged-in user
+async function requireAuth(req, res, next) {
+    try {
+        await ensureDbInitialized();
+        const user = await auth.getRequestUser(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Not logged in' });
+        }
+        req.user = user;
+        next();
+    } catch (err) {
+        console.error('Auth error:', err);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+}
+
+// Resolves the project named in the URL or request body ("name" or
+// "owner/name") and checks the user has at least `minRole` on it
+function requireProject(minRole) {
+    return async (req, res, next) => {
+        try {
+            const ref = req.params.project || (req.body || {}).project;
+            if (!ref) return next();
+            
+            const project = await db.getProjectAccess(ref, req.user);
+            if (!project) {
+                return res.status(404).json({ error: 'Project not found' });
+            }
+            if (!db.hasRole(project, minRole)) {
+                return res.status(403).json({ error: `You need ${minRole} access to this project` });
+            }
+            req.project = project;
+            next();
+        } catch (err) {
+            console.error('Project access error:', err);
+            res.status(500).json({ error: 'Could not check project access' });
+        }
+    };
+}
+
+// Server-Sent Events helpers
+function startEventStream(res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+}
+
+function sendEvent(res, type, data, id) {
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 app.get("/", (req, res) => {
     res.sendFile(path.join(__dirname, "index.html"));
 });
@@ -62,45 +131,247 @@ app.get("/api/health", async (req, res) => {
     }
 });
 
-app.post("/api/guest-chat", async (req, res) => {
-    const { message, model } = req.body;
-    const HF_TOKEN = process.env.HF_TOKEN;
-    if (!HF_TOKEN) return res.status(500).json({ response: "HF_TOKEN missing." });
-    if (!model) return res.status(400).json({ response: "Model is required." });
-    try {
-        const resp = await fetch("https://router.huggingface.co/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                Authorization: `Bearer ${HF_TOKEN}`,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify({
-                model,
-                messages: [{ role: "user", content: message }],
-                temperature: 0.7,
-                max_tokens: 2000
-            })
-        });
-        if (!resp.ok) {
-            const errorText = await resp.text();
-            return res.status(resp.status).json({
-                response: `Model failed. Status ${resp.status}. Error: ${errorText.substring(0, 200)}`
-            });
+// Accounts
+app.post('/api/signup', async (req, res) => {
+    try {
+        await ensureDbInitialized();
+        const { username, password } = req.body || {};
+        const invalid = auth.validateCredentials(username, password);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        const isFirstUser = await db.countUsers() === 0;
+        const user = await db.createUser(username, await auth.hashPassword(password));
+        if (!user) {
+            return res.status(409).json({ error: 'Username is already taken' });
+        }
+        
+        // The first account inherits projects created before accounts existed
+        if (isFirstUser) {
+            await db.claimUnownedProjects(user.id);
         }
-        const data = await resp.json();
-        let aiResponse = data?.choices?.[0]?.message?.content?.trim() || "No response generated.";
-        res.json({ response: aiResponse, model });
+        
+        await auth.startSession(res, user.id);
+        res.json({ user });
     } catch (err) {
-        console.error("Guest chat endpoint error:", err);
-        res.status(500).json({ response: "Server error. Check logs." });
+        console.error('Signup error:', err);
+        res.status(500).json({ error: 'Could not create account' });
     }
 });
 
-// List projects
-app.get('/api/projects', async (req, res) => {
+app.post('/api/login', async (req, res) => {
+    try {
+        await ensureDbInitialized();
+        const { username, password } = req.body || {};
+        const user = typeof username === 'string' ? await db.getUserByUsername(username) : null;
+        if (!user || typeof password !== 'string' || !await auth.verifyPassword(password, user.password_hash)) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        
+        await db.deleteExpiredSessions();
+        await auth.startSession(res, user.id);
+        res.json({ user: { id: user.id, username: user.username } });
+    } catch (err) {
+        console.error('Login error:', err);
+        res.status(500).json({ error: 'Could not log in' });
+    }
+});
+
+app.post('/api/logout', async (req, res) => {
     try {
         await ensureDbInitialized();
-        const projects = await db.listProjects();
+        await auth.endSession(req, res);
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ error: 'Could not log out' });
+    }
+});
+
+app.get('/api/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+});
+
+app.get('/api/me/settings', requireAuth, async (req, res) => {
+    try {
+        res.json(await db.getUserSettings(req.user.id));
+    } catch (err) {
+        console.error('Error loading user settings', err);
+        res.status(500).json({ error: 'Could not load settings' });
+    }
+});
+
+// Partial updates: only the settings present in the body change
+app.put('/api/me/settings', requireAuth, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const settings = await db.getUserSettings(req.user.id);
+        if (body.aiCompletions !== undefined) {
+            if (typeof body.aiCompletions !== 'boolean') {
+                return res.status(400).json({ error: 'aiCompletions must be true or false' });
+            }
+            settings.aiCompletions = body.aiCompletions;
+        }
+        res.json(await db.saveUserSettings(req.user.id, settings));
+    } catch (err) {
+        console.error('Error saving user settings', err);
+        res.status(500).json({ error: 'Could not save settings' });
+    }
+});
+
+// Free-form chats, outside any project. Each is a conversation kept with its
+// messages, so it can be listed, read back and continued:
+//   POST /api/chat/new              { userId?, model?, provider? } -> { chat, userId }
+//   GET  /api/chats/:userId         -> { chats }
+//   GET  /api/chat/:userId/:chatId  -> { chat, messages }
+//   POST /api/chat                  { message, userId?, chatId?, model?, provider?, stream? }
+//                                   -> { response, model, userId, chatId }
+// userId is the logged-in account's id, or for guests a "guest_..." id handed
+// out with their first chat. Without a chatId a message starts a new chat.
+
+// Sets req.chatOwner to { userId, owner } for the userId in the route or
+// body (see database.js: free-form chat operations). New chats without one
+// go to the logged-in account, else to a new guest.
+function requireChatOwner({ allowNew = false } = {}) {
+    return async (req, res, next) => {
+        try {
+            await ensureDbInitialized();
+            const userId = req.params.userId ?? (req.body || {}).userId;
+            if (auth.isGuestId(userId)) {
+                req.chatOwner = { userId, owner: { userId: null, guestHash: auth.hashGuestId(userId) } };
+                return next();
+            }
+            
+            const user = await auth.getRequestUser(req);
+            if (userId === undefined || userId === null || userId === '') {
+                if (!allowNew) return res.status(400).json({ error: 'userId required' });
+                const guestId = user ? null : auth.newGuestId();
+                req.chatOwner = user
+                    ? { userId: user.id, owner: { userId: user.id, guestHash: null } }
+                    : { userId: guestId, owner: { userId: null, guestHash: auth.hashGuestId(guestId) } };
+                return next();
+            }
+            if (!user) return res.status(401).json({ error: 'Log in to use these chats' });
+            if (String(user.id) !== String(userId)) return res.status(403).json({ error: 'These chats belong to another user' });
+            req.chatOwner = { userId: user.id, owner: { userId: user.id, guestHash: null } };
+            next();
+        } catch (err) {
+            console.error('Chat owner error:', err);
+            res.status(500).json({ error: 'Could not check chat access' });
+        }
+    };
+}
+
+// { provider, model } for a free-form chat request: the request's choice,
+// else the conversation's, else the provider's default model
+function conversationModel(body, chat) {
+    if (body.model !== undefined && body.model !== null && (typeof body.model !== 'string' || body.model.length > 255)) {
+        throw chatError('model must be a model id', 400);
+    }
+    const provider = aiProviders.getProvider(body.provider || (chat && chat.provider) || undefined);
+    const sameProvider = !chat || provider.id === chat.provider;
+    return {
+        provider: provider.id,
+        model: body.model || (sameProvider && chat && chat.model) || provider.defaultModel() || null
+    };
+}
+
+async function requestedConversation(owner, value) {
+    const chatId = Number(value);
+    const chat = Number.isInteger(chatId) && chatId > 0 ? await db.getConversation(owner, chatId) : null;
+    if (!chat) throw chatError('Chat not found', 404);
+    return chat;
+}
+
+app.post('/api/chat/new', requireChatOwner({ allowNew: true }), async (req, res) => {
+    try {
+        const choice = conversationModel(req.body || {}, null);
+        const chat = await db.createConversation(req.chatOwner.owner, choice);
+        res.json({ chat, userId: req.chatOwner.userId });
+    } catch (err) {
+        console.error('Create chat error:', err.message);
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Could not create chat' });
+    }
+});
+
+app.get('/api/chats/:userId', requireChatOwner(), async (req, res) => {
+    try {
+        res.json({ chats: await db.listConversations(req.chatOwner.owner) });
+    } catch (err) {
+        console.error('List chats error:', err.message);
+        res.status(500).json({ error: 'Could not list chats' });
+    }
+});
+
+app.get('/api/chat/:userId/:chatId', requireChatOwner(), async (req, res) => {
+    try {
+        const chat = await requestedConversation(req.chatOwner.owner, req.params.chatId);
+        res.json({ chat, messages: await db.getConversationMessages(chat.id) });
+    } catch (err) {
+        console.error('Load chat error:', err.message);
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Could not load chat' });
+    }
+});
+
+// Send a message, with the conversation so far, to the chat's model
+async function sendConversationMessage(req, res) {
+    const body = req.body || {};
+    const { message } = body;
+    if (typeof message !== 'string' || !message.trim()) return res.status(400).json({ response: 'Message is required.' });
+    
+    let chat;
+    let choice;
+    let turns;
+    try {
+        const { owner } = req.chatOwner;
+        chat = body.chatId !== undefined && body.chatId !== null ? await requestedConversation(owner, body.chatId) : null;
+        choice = conversationModel(body, chat);
+        if (!chat) chat = await db.createConversation(owner, choice);
+        turns = (await db.getConversationMessages(chat.id)).map(m => ({ role: m.role, content: m.content }));
+    } catch (err) {
+        console.error('Chat endpoint error:', err.message);
+        return res.status(err.status || 500).json({ response: err.status ? err.message : 'Could not load chat' });
+    }
+    
+    const extra = { provider: choice.provider, model: choice.model || undefined, history: recentTurns(turns) };
+    const finish = async response => {
+        await db.addConversationExchange(chat.id, { message, response, model: choice.model, provider: choice.provider });
+        return { response, model: choice.model, userId: req.chatOwner.userId, chatId: chat.id };
+    };
+    if (body.stream === true) {
+        return streamCompletion(req, res, message, extra, finish);
+    }
+    try {
+        res.json(await finish(await callAI(message, extra)));
+    } catch (err) {
+        console.error('Chat endpoint error:', err.message || err);
+        res.status(err.status || 500).json({ response: aiErrorMessage(err) });
+    }
+}
+
+app.post('/api/chat', requireChatOwner({ allowNew: true }), sendConversationMessage);
+
+// The original guest endpoint; its replies now include the userId and chatId to continue with
+app.post('/api/guest-chat', requireChatOwner({ allowNew: true }), sendConversationMessage);
+
+// Providers and their models, for the model picker
+app.get('/api/ai/models', async (req, res) => {
+    try {
+        res.json({
+            default: aiProviders.defaultProviderId(),
+            providers: await aiProviders.listProviders()
+        });
+    } catch (err) {
+        console.error('List models error', err);
+        res.status(500).json({ error: 'Could not list models' });
+    }
+});
+
+// List projects
+app.get('/api/projects', requireAuth, async (req, res) => {
+    try {
+        const projects = await db.listProjects(req.user);
         res.json({ projects });
     } catch (err) {
         console.error('Error listing projects', err);
@@ -109,24 +380,32 @@ app.get('/api/projects', async (req, res) => {
 });
 
 // Create project
-app.post('/api/projects/:name', async (req, res) => {
+app.post('/api/projects/:name', requireAuth, async (req, res) => {
     try {
-        await ensureDbInitialized();
-        const name = req.params.name;
-        await db.createProject(name);
-        res.json({ ok: true });
+        const name = req.params.name.trim();
+        if (!name || name.includes('/') || name.length > 255) {
+            return res.status(400).json({ error: 'Project names must be 1-255 characters and cannot contain "/"' });
+        }
+        const project = await db.createProject(name, req.user.id);
+        res.json({ ok: true, project });
     } catch (err) {
         console.error('Create project error:', err.message, err.stack);
-        res.status(500).json({ error: err.message || 'Could not create project' });
+        const status = err.message.includes('already exists') ? 409 : 500;
+        res.status(status).json({ error: err.message || 'Could not create project' });
     }
 });
 
 // Delete project
-app.delete('/api/projects/:name', async (req, res) => {
+app.delete('/api/projects/:project', requireAuth, requireProject('owner'), async (req, res) => {
     try {
-        await ensureDbInitialized();
-        const name = req.params.name;
-        await db.deleteProject(name);
+        const project = req.project;
+        for (const session of terminal.listSessions().filter(s => s.project.id === project.id)) {
+            terminal.closeSession(session.id);
+        }
+        processes.removeProject(project.id);
+        await workspace.removeWorkspace(project.id);
+        previewServers.delete(project.id);
+        await db.deleteProject(project);
         res.json({ ok: true });
     } catch (err) {
         console.error('Delete project error', err);
@@ -134,11 +413,279 @@ app.delete('/api/projects/:name', async (req, res) => {
     }
 });
 
+// Sharing: everyone on a project can see who else is, owners can change it
+app.get('/api/projects/:project/members', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        const members = await db.listProjectMembers(req.project);
+        res.json({ members, role: req.project.role });
+    } catch (err) {
+        console.error('List members error', err);
+        res.status(500).json({ error: 'Could not list project members' });
+    }
+});
+
+app.put('/api/projects/:project/members/:username', requireAuth, requireProject('owner'), async (req, res) => {
+    try {
+        const { role } = req.body || {};
+        await db.setProjectMember(req.project, req.params.username, role);
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Share project error:', err.message);
+        const status = err.message === 'User not found' ? 404 : err.status || 400;
+        res.status(status).json({ error: err.message });
+    }
+});
+
+app.delete('/api/projects/:project/members/:username', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        if (!await db.removeProjectMember(req.project, req.user, req.params.username)) {
+            return res.status(404).json({ error: 'Not a member of this project' });
+        }
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Remove member error:', err.message);
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// AI settings: the provider, model and sampling options for the project's AI
+// requests, plus instructions added to every prompt
+const AI_SETTINGS_LIMITS = {
+    temperature: [0, 2],
+    maxTokens: [1, 32768],
+    instructions: 4000
+};
+
+function settingsError(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+// Validate the settings present in `body` and merge them into `current`
+function mergeAISettings(current, body) {
+    const settings = Object.assign({}, current);
+    const number = (value) => (value === null || value === '' ? null : Number(value));
+    
+    if ('provider' in body) {
+        if (body.provider && !aiProviders.isProvider(body.provider)) {
+            throw settingsError(`Unknown AI provider: ${body.provider}`);
+        }
+        // Another provider's models don't carry over
+        if ((body.provider || null) !== current.provider && !('model' in body)) settings.model = null;
+        settings.provider = body.provider || null;
+    }
+    if ('model' in body) {
+        settings.model = typeof body.model === 'string' && body.model.trim() ? body.model.trim().slice(0, 255) : null;
+    }
+    if ('temperature' in body) {
+        const [min, max] = AI_SETTINGS_LIMITS.temperature;
+        const value = number(body.temperature);
+        if (value !== null && !(value >= min && value <= max)) {
+            throw settingsError(`Temperature must be between ${min} and ${max}`);
+        }
+        settings.temperature = value;
+    }
+    if ('maxTokens' in body) {
+        const [min, max] = AI_SETTINGS_LIMITS.maxTokens;
+        const value = number(body.maxTokens);
+        if (value !== null && !(Number.isInteger(value) && value >= min && value <= max)) {
+            throw settingsError(`Max tokens must be a whole number between ${min} and ${max}`);
+        }
+        settings.maxTokens = value;
+    }
+    if ('instructions' in body) {
+        const value = typeof body.instructions === 'string' ? body.instructions.trim() : '';
+        if (value.length > AI_SETTINGS_LIMITS.instructions) {
+            throw settingsError(`Instructions can be at most ${AI_SETTINGS_LIMITS.instructions} characters`);
+        }
+        settings.instructions = value || null;
+    }
+    return settings;
+}
+
+app.get('/api/projects/:project/ai-settings', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        res.json({ settings: await db.getAISettings(req.project) });
+    } catch (err) {
+        console.error('Load AI settings error', err);
+        res.status(500).json({ error: 'Could not load AI settings' });
+    }
+});
+
+app.put('/api/projects/:project/ai-settings', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const current = await db.getAISettings(req.project);
+        const settings = mergeAISettings(current, req.body || {});
+        res.json({ ok: true, settings: await db.saveAISettings(req.project, settings) });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Save AI settings error', err);
+        res.status(500).json({ error: 'Could not save AI settings' });
+    }
+});
+
+// Run configurations: named ways to run a project (command, folder, variables
+// and a test command). The selected one backs the Run button and auto-fix.
+const RUN_CONFIGURATION_LIMITS = {
+    name: 100,
+    command: 2000,
+    cwd: 1024,
+    envVars: 50,
+    envValue: 4000
+};
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// A configuration from a request body, validated
+function parseRunConfiguration(body) {
+    const text = (field, label, required) => {
+        const value = body[field] === undefined || body[field] === null ? '' : body[field];
+        if (typeof value !== 'string') throw settingsError(`${label} must be text`);
+        const trimmed = value.trim();
+        if (required && !trimmed) throw settingsError(`${label} is required`);
+        if (trimmed.length > RUN_CONFIGURATION_LIMITS[field === 'testCommand' ? 'command' : field]) {
+            throw settingsError(`${label} is too long`);
+        }
+        return trimmed;
+    };
+
+    const cwd = text('cwd', 'Working directory', false).replace(/\\/g, '/').replace(/^(\.\/)+|\/+$/g, '');
+    if (cwd.startsWith('/') || /^[A-Za-z]:/.test(cwd) || cwd.split('/').includes('..')) {
+        throw settingsError('Working directory must be a folder inside the project');
+    }
+
+    const env = body.env === undefined || body.env === null ? {} : body.env;
+    if (typeof env !== 'object' || Array.isArray(env)) {
+        throw settingsError('Environment variables must be an object of names and values');
+    }
+    const names = Object.keys(env);
+    if (names.length > RUN_CONFIGURATION_LIMITS.envVars) {
+        throw settingsError(`At most ${RUN_CONFIGURATION_LIMITS.envVars} environment variables`);
+    }
+    for (const name of names) {
+        if (!ENV_NAME_PATTERN.test(name)) throw settingsError(`Invalid environment variable name: ${name}`);
+        if (typeof env[name] !== 'string') throw settingsError(`The value of ${name} must be text`);
+        if (env[name].length > RUN_CONFIGURATION_LIMITS.envValue) throw settingsError(`The value of ${name} is too long`);
+    }
+
+    return {
+        name: text('name', 'Name', true),
+        command: text('command', 'Command', true),
+        cwd: cwd === '.' ? '' : cwd,
+        env,
+        testCommand: text('testCommand', 'Test command', false) || null
+    };
+}
+
+function runConfigurationId(value) {
+    const id = parseInt(value, 10);
+    if (!(id > 0)) throw settingsError('Invalid run configuration');
+    return id;
+}
+
+app.get('/api/projects/:project/run-configurations', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        const { configurations, selectedId } = await db.listRunConfigurations(req.project);
+        // What a new configuration starts from
+        const files = await db.getAllProjectFiles(req.project);
+        const suggested = {
+            command: agent.detectRunCommand(files),
+            testCommand: await agent.detectTestCommand(req.project, files)
+        };
+        res.json({ configurations, selectedId, suggested });
+    } catch (err) {
+        console.error('Load run configurations error', err);
+        res.status(err.status || 500).json({ error: 'Could not load run configurations' });
+    }
+});
+
+app.post('/api/projects/:project/run-configurations', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const configuration = await db.createRunConfiguration(req.project, parseRunConfiguration(req.body || {}));
+        res.json({ ok: true, configuration });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Create run configuration error', err);
+        res.status(500).json({ error: 'Could not save run configuration' });
+    }
+});
+
+// { id } selects a configuration, { id: null } none
+app.put('/api/projects/:project/run-configurations/selected', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const { id } = req.body || {};
+        const selectedId = id === null || id === undefined ? null : runConfigurationId(id);
+        if (!await db.selectRunConfiguration(req.project, selectedId)) {
+            return res.status(404).json({ error: 'Run configuration not found' });
+        }
+        res.json({ ok: true, selectedId });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Select run configuration error', err);
+        res.status(500).json({ error: 'Could not select run configuration' });
+    }
+});
+
+app.put('/api/projects/:project/run-configurations/:id', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const configuration = await db.updateRunConfiguration(
+            req.project,
+            runConfigurationId(req.params.id),
+            parseRunConfiguration(req.body || {})
+        );
+        if (!configuration) return res.status(404).json({ error: 'Run configuration not found' });
+        res.json({ ok: true, configuration });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Update run configuration error', err);
+        res.status(500).json({ error: 'Could not save run configuration' });
+    }
+});
+
+app.delete('/api/projects/:project/run-configurations/:id', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        if (!await db.deleteRunConfiguration(req.project, runConfigurationId(req.params.id))) {
+            return res.status(404).json({ error: 'Run configuration not found' });
+        }
+        res.json({ ok: true });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Delete run configuration error', err);
+        res.status(500).json({ error: 'Could not delete run configuration' });
+    }
+});
+
+// Run a configuration (the selected one without an id) in the project's
+// terminal session; { test: true } runs its test command instead
+app.post('/api/projects/:project/run', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const { id, test } = req.body || {};
+        const configuration = id === undefined || id === null
+            ? await db.getSelectedRunConfiguration(req.project)
+            : await db.getRunConfiguration(req.project, runConfigurationId(id));
+        if (!configuration) {
+            return res.status(404).json({ error: 'No run configuration selected' });
+        }
+        if (test === true && !configuration.testCommand) {
+            return res.status(400).json({ error: `${configuration.name} has no test command` });
+        }
+
+        await ensureDbInitialized();
+        const { session } = await terminal.openSession(req.project);
+        await terminal.runConfiguration(session, configuration, { test: test === true, userId: req.user.id });
+        res.json({ ok: true, sessionId: session.id, configuration });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Run configuration error', err);
+        res.status(500).json({ error: 'Could not run the project' });
+    }
+});
+
 // List files in project
-app.get('/api/files/:project', async (req, res) => {
+app.get('/api/files/:project', requireAuth, requireProject('viewer'), async (req, res) => {
     try {
         await ensureDbInitialized();
-        const project = req.params.project;
+        const project = req.project;
         const subpath = req.query.path || '';
         const files = await db.listFiles(project, subpath);
         res.json({ files, currentPath: subpath });
@@ -149,10 +696,10 @@ app.get('/api/files/:project', async (req, res) => {
 });
 
 // Read a file
-app.get('/api/file/:project', async (req, res) => {
+app.get('/api/file/:project', requireAuth, requireProject('viewer'), async (req, res) => {
     try {
         await ensureDbInitialized();
-        const project = req.params.project;
+        const project = req.project;
         const filepath = req.query.path || '';
         if (!filepath) return res.status(400).json({ error: 'path query parameter required' });
         
@@ -165,385 +712,634 @@ app.get('/api/file/:project', async (req, res) => {
 });
 
 // Write a file
-app.post('/api/file/:project', async (req, res) => {
+app.post('/api/file/:project', requireAuth, requireProject('editor'), async (req, res) => {
     try {
         await ensureDbInitialized();
-        const project = req.params.project;
+        const project = req.project;
         const filepath = req.query.path || '';
         if (!filepath) return res.status(400).json({ error: 'path query parameter required' });
         
         const body = req.body || {};
         const content = body.content || '';
         
-        await db.writeFile(project, filepath, content);
+        await db.writeFile(project, filepath, content, clientWriteSource(body.source));
         res.json({ ok: true });
     } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
         console.error('Write file error', err);
         res.status(500).json({ error: 'Could not write file: ' + err.message });
     }
 });
 
-// Get chat history for a project
-app.get('/api/chat-history/:project', async (req, res) => {
+// Chat threads: each project's chat is kept as named threads, with every
+// message retained and read back a page at a time
+const CHAT_PAGE_SIZE = 50;
+const CHAT_TITLE_MAX_LENGTH = 200;
+
+function chatError(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// A thread title from a request body; empty means "name it after the first message"
+function parseThreadTitle(title) {
+    if (title === undefined || title === null) return null;
+    if (typeof title !== 'string') throw chatError('title must be a string', 400);
+    const trimmed = title.trim();
+    if (trimmed.length > CHAT_TITLE_MAX_LENGTH) {
+        throw chatError(`title must be at most ${CHAT_TITLE_MAX_LENGTH} characters`, 400);
+    }
+    return trimmed || null;
+}
+
+// The thread named by a route or query parameter; 404 when it isn't the project's
+async function requestedThread(project, value) {
+    const threadId = Number(value);
+    const thread = Number.isInteger(threadId) && threadId > 0 ? await db.getChatThread(project, threadId) : null;
+    if (!thread) throw chatError('Chat thread not found', 404);
+    return thread;
+}
+
+app.get('/api/chat-history/:project/threads', requireAuth, requireProject('viewer'), async (req, res) => {
     try {
         await ensureDbInitialized();
-        const project = req.params.project;
-        const history = await db.loadChatHistory(project);
-        res.json({ history });
+        res.json({ threads: await db.listChatThreads(req.project) });
     } catch (err) {
-        console.error('Error loading chat history', err);
-        res.json({ history: [] });
+        console.error('Error listing chat threads', err);
+        res.status(err.status || 500).json({ error: 'Could not list chat threads' });
     }
 });
 
-// Delete chat history for a project
-app.delete('/api/chat-history/:project', async (req, res) => {
+app.post('/api/chat-history/:project/threads', requireAuth, requireProject('editor'), async (req, res) => {
     try {
         await ensureDbInitialized();
-        const project = req.params.project;
-        await db.deleteChatHistory(project);
+        const title = parseThreadTitle((req.body || {}).title);
+        res.json({ thread: await db.createChatThread(req.project, title) });
+    } catch (err) {
+        console.error('Error creating chat thread', err.message);
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Could not create chat thread' });
+    }
+});
+
+app.put('/api/chat-history/:project/threads/:threadId', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        await ensureDbInitialized();
+        const thread = await requestedThread(req.project, req.params.threadId);
+        const title = parseThreadTitle((req.body || {}).title);
+        await db.renameChatThread(req.project, thread.id, title);
+        res.json({ thread: await db.getChatThread(req.project, thread.id) });
+    } catch (err) {
+        console.error('Error renaming chat thread', err.message);
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Could not rename chat thread' });
+    }
+});
+
+app.delete('/api/chat-history/:project/threads/:threadId', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        await ensureDbInitialized();
+        const thread = await requestedThread(req.project, req.params.threadId);
+        await db.deleteChatThread(req.project, thread.id);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error deleting chat thread', err.message);
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Could not delete chat thread' });
+    }
+});
+
+// Get a page of a thread's chat history (?thread=id, else the latest thread;
+// ?before=messageId for older messages)
+app.get('/api/chat-history/:project', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        await ensureDbInitialized();
+        const project = req.project;
+        let thread;
+        if (req.query.thread !== undefined) {
+            thread = await requestedThread(project, req.query.thread);
+        } else {
+            thread = (await db.listChatThreads(project))[0];
+            if (!thread) return res.json({ thread: null, history: [], hasMore: false });
+        }
+        
+        const before = req.query.before !== undefined ? parseInt(req.query.before, 10) : null;
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : CHAT_PAGE_SIZE;
+        if (Number.isNaN(before) || !(limit >= 1 && limit <= 200)) {
+            return res.status(400).json({ error: 'before must be a message id and limit 1-200' });
+        }
+        
+        const page = await db.loadChatHistory(project, thread.id, { before, limit });
+        res.json({ thread, history: page.messages, hasMore: page.hasMore });
+    } catch (err) {
+        console.error('Error loading chat history', err.message);
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Could not load chat history', history: [] });
+    }
+});
+
+// Clear one thread's messages (?thread=id), or delete all of the project's chats
+app.delete('/api/chat-history/:project', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        await ensureDbInitialized();
+        const project = req.project;
+        const thread = req.query.thread !== undefined ? await requestedThread(project, req.query.thread) : null;
+        await db.deleteChatHistory(project, thread ? thread.id : null);
         res.json({ success: true, message: 'Chat history deleted' });
     } catch (err) {
-        console.error('Error deleting chat history', err);
-        res.status(500).json({ error: 'Could not delete chat history' });
+        console.error('Error deleting chat history', err.message);
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Could not delete chat history' });
     }
 });
 
-// Auto-fix endpoint - iteratively fixes errors by running commands and analyzing output
-app.post('/api/ai/auto-fix', async (req, res) => {
-    const { project, runCommand } = req.body;
+// The project's chunks most relevant to `query` (see retrieval.js),
+// optionally leaving out one file
+async function relevantChunks(project, query, { exclude, limit, maxChars } = {}) {
+    const terms = retrieval.tokenize(query);
+    const candidates = await db.findChunks(project, [...new Set(terms)]);
+    if (exclude) candidates.chunks = candidates.chunks.filter(c => c.filepath !== exclude);
+    return retrieval.rankChunks(terms, candidates, { limit, maxChars });
+}
+
+// Auto-fix: an agent (see agent.js) runs the project in its workspace, reads,
+// searches and edits its files and reruns it until it works or runs out of
+// steps. With stream: true each step is sent as a `step` event as it happens,
+// then `done` with the result.
+app.post('/api/ai/auto-fix', requireAuth, requireProject('editor'), async (req, res) => {
+    const { project, runCommand, goal, maxSteps } = req.body || {};
     if (!project) return res.status(400).json({ error: 'Project required' });
+    if (maxSteps !== undefined && !(Number.isInteger(maxSteps) && maxSteps >= 1 && maxSteps <= agent.MAX_STEPS)) {
+        return res.status(400).json({ error: `maxSteps must be 1-${agent.MAX_STEPS}` });
+    }
+    if (runCommand !== undefined && runCommand !== null && typeof runCommand !== 'string') {
+        return res.status(400).json({ error: 'runCommand must be a string' });
+    }
     
-    const maxAttempts = 5;
-    const fixes = [];
+    // When the client goes away (the Stop button) the agent stops
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    const streaming = req.body.stream === true;
+    if (streaming) startEventStream(res);
     
     try {
         await ensureDbInitialized();
-        const projectFiles = await db.getAllProjectFiles(project);
-        
-        // Determine run command if not provided
-        let command = runCommand;
-        if (!command) {
-            if (projectFiles.some(f => f.endsWith('.py'))) {
-                const mainFile = projectFiles.find(f => f.includes('main.py') || f.includes('app.py')) || projectFiles.find(f => f.endsWith('.py'));
-                command = `py ${mainFile}`;
-            } else if (projectFiles.some(f => f.endsWith('.go'))) {
-                command = 'go run .';
-            } else if (projectFiles.some(f => f.endsWith('.js') && f.includes('server'))) {
-                command = 'node server.js';
-            } else if (projectFiles.some(f => f.endsWith('.java'))) {
-                const mainFile = projectFiles.find(f => f.includes('Main.java'));
-                command = mainFile ? `javac ${mainFile} && java ${mainFile.replace('.java', '')}` : 'javac *.java && java Main';
-            }
+        const options = await aiOptions(req);
+        // A command from the request overrides the selected run configuration
+        const configuration = runCommand ? null : await db.getSelectedRunConfiguration(req.project);
+        const result = await agent.runAgent({
+            project: req.project,
+            userId: req.user.id,
+            configuration,
+            command: runCommand || null,
+            goal: typeof goal === 'string' ? goal : '',
+            maxSteps,
+            signal: controller.signal,
+            callAI: (prompt, extra) => callAI(prompt, Object.assign({}, options, extra)),
+            relatedCode: text => relevantChunks(req.project, text, { limit: 4, maxChars: 4000 }),
+            onStep: streaming ? step => sendEvent(res, 'step', step) : null
+        });
+        if (controller.signal.aborted) return;
+        if (!streaming) return res.json(result);
+        sendEvent(res, 'done', result);
+    } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Auto-fix error:', err.message || err);
+        if (!streaming) return res.status(err.status || 500).json({ error: aiErrorMessage(err) });
+        sendEvent(res, 'error', { response: aiErrorMessage(err) });
+    }
+    res.end();
+});
+
+// Delete a file
+app.delete('/api/file/:project', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        await ensureDbInitialized();
+        const project = req.project;
+        const filepath = req.query.path || '';
+        if (!filepath) return res.status(400).json({ error: 'path query parameter required' });
+        
+        await db.deleteFile(project, filepath, clientWriteSource(req.query.source));
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Delete error', err);
+        res.status(500).json({ error: 'Could not delete file/folder' });
+    }
+});
+
+// The browser writes files on the user's behalf and when applying AI chat edits
+function clientWriteSource(source) {
+    return source === 'ai-chat' ? 'ai-chat' : 'user';
+}
+
+// File history: every write is a revision (see db.writeFile)
+app.get('/api/revisions/:project', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        const filepath = req.query.path || '';
+        if (!filepath) return res.status(400).json({ error: 'path query parameter required' });
+        
+        const revisions = await db.listRevisions(req.project, filepath);
+        res.json({ revisions });
+    } catch (err) {
+        console.error('List revisions error', err);
+        res.status(500).json({ error: 'Could not load file history' });
+    }
+});
+
+// Diff two versions of a file. `from` and `to` are revision ids or "current";
+// an omitted `from` compares against an empty file.
+app.get('/api/revisions/:project/diff', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        const { from, to = 'current' } = req.query;
+        const refs = [from, to].filter(ref => ref && ref !== 'current');
+        if (refs.some(ref => !/^\d+$/.test(ref))) {
+            return res.status(400).json({ error: 'from and to must be revision ids or "current"' });
         }
         
-        if (!command) {
-            return res.json({
-                success: false,
-                message: 'Could not determine how to run your project. Please specify a run command.',
-                fixes: []
-            });
+        const revisions = new Map();
+        for (const ref of refs) {
+            const revision = await db.getRevision(req.project, parseInt(ref, 10));
+            if (!revision) return res.status(404).json({ error: `Revision ${ref} not found` });
+            revisions.set(ref, revision);
         }
         
-        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-            // Run the command
-            const output = await new Promise((resolve) => {
-                exec(command, { timeout: 15000, shell: true }, (error, stdout, stderr) => {
-                    resolve({
-                        success: !error,
-                        output: stdout || stderr || (error ? error.message : ''),
-                        error: !!error
-                    });
-                });
-            });
-            
-            if (output.success) {
-                fixes.push({
-                    attempt,
-                    action: 'success',
-                    message: `✅ Code runs successfully!`,
-                    output: output.output
-                });
-                
-                return res.json({
-                    success: true,
-                    message: `✅ **Success!** Your code runs without errors after ${attempt > 1 ? attempt - 1 + ' fix(es)' : 'no fixes needed'}.`,
-                    fixes,
-                    finalOutput: output.output
-                });
-            }
-            
-            // Analyze error and fix
-            const errorOutput = output.output;
-            fixes.push({
-                attempt,
-                action: 'error_detected',
-                message: `❌ Attempt ${attempt}: Error detected`,
-                error: errorOutput
-            });
-            
-            // Ask AI to fix the error
-            const fileContents = {};
-            for (const file of projectFiles.slice(0, 10)) { // Read up to 10 files
-                try {
-                    const content = await db.readFile(project, file);
-                    fileContents[file] = content;
-                } catch {}
-            }
-            
-            const fixPrompt = `You are a debugging expert. The code has an error. You MUST fix it.
-
-PROJECT FILES:
-${Object.entries(fileContents).map(([name, content]) => 
-    `FILE: ${name}\n\`\`\`\n${content.substring(0, 3000)}\n\`\`\`\n`
-).join('\n')}
+        const filepath = refs.length ? revisions.get(refs[0]).filepath : req.query.path;
+        if (!filepath) return res.status(400).json({ error: 'path query parameter required' });
+        
+        const side = async (ref) => {
+            if (!ref) return { id: null, content: '' };
+            if (ref === 'current') return { id: 'current', content: await readFileOrNull(req.project, filepath) };
+            return revisions.get(ref);
+        };
+        const [oldSide, newSide] = [await side(from), await side(to)];
+        
+        res.json({
+            filepath,
+            from: oldSide.id,
+            to: newSide.id,
+            diff: diffText(oldSide.content || '', newSide.content || '')
+        });
+    } catch (err) {
+        console.error('Diff revisions error', err);
+        res.status(500).json({ error: 'Could not diff revisions' });
+    }
+});
 
-RUN COMMAND: ${command}
+app.get('/api/revisions/:project/:id', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        const revision = await db.getRevision(req.project, parseInt(req.params.id, 10) || 0);
+        if (!revision) return res.status(404).json({ error: 'Revision not found' });
+        res.json({ revision });
+    } catch (err) {
+        console.error('Read revision error', err);
+        res.status(500).json({ error: 'Could not read revision' });
+    }
+});
 
-ERROR OUTPUT:
-\`\`\`
-${errorOutput}
-\`\`\`
+app.post('/api/revisions/:project/:id/restore', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const revision = await db.getRevision(req.project, parseInt(req.params.id, 10) || 0);
+        if (!revision) return res.status(404).json({ error: 'Revision not found' });
+        if (revision.content === null) {
+            return res.status(400).json({ error: 'That revision deleted the file; restore an earlier one' });
+        }
+        
+        await db.writeFile(req.project, revision.filepath, revision.content, 'restore');
+        res.json({ ok: true, filepath: revision.filepath, content: revision.content });
+    } catch (err) {
+        console.error('Restore revision error', err);
+        res.status(500).json({ error: 'Could not restore revision' });
+    }
+});
 
-YOUR TASK:
-1. Identify the error from the output
-2. Fix ONLY the broken file(s)
-3. Respond with the FIXED files using this format:
+// Project-wide search (see search.js)
+function searchOptions(source) {
+    const flag = value => value === true || value === '1' || value === 'true';
+    return {
+        query: typeof source.query === 'string' ? source.query : '',
+        regex: flag(source.regex),
+        caseSensitive: flag(source.caseSensitive),
+        wholeWord: flag(source.wholeWord),
+        include: typeof source.include === 'string' ? source.include : '',
+        exclude: typeof source.exclude === 'string' ? source.exclude : ''
+    };
+}
 
-EXPLANATION:
-Brief description of what you fixed and why
+app.get('/api/search/:project', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        const files = await db.getProjectFileContents(req.project);
+        res.json(await search.searchFiles(files, searchOptions(req.query)));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Search error', err);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
 
-FILE: filename.ext
-\`\`\`
-complete fixed file content
-\`\`\`
+// Replace every match, optionally only in `files`
+app.post('/api/search/:project/replace', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const options = searchOptions(body);
+        if (typeof body.replacement !== 'string') {
+            return res.status(400).json({ error: 'replacement required' });
+        }
+        search.buildMatcher(options);
+        
+        const only = Array.isArray(body.files) ? new Set(body.files) : null;
+        const files = search.searchableFiles(await db.getProjectFileContents(req.project), options)
+            .filter(file => !only || only.has(file.filepath));
+        
+        const replaced = [];
+        let total = 0;
+        for (const file of await search.replaceFiles(files, options, body.replacement)) {
+            await db.writeFile(req.project, file.filepath, file.content, 'replace');
+            replaced.push({ filepath: file.filepath, replacements: file.count });
+            total += file.count;
+        }
+        
+        res.json({ ok: true, files: replaced, total });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Replace error', err);
+        res.status(500).json({ error: 'Replace failed' });
+    }
+});
 
-Remember: Output ONLY the files that need fixing. Use the FILE: format.`;
+// Diagnostics (syntax errors and the like, see diagnostics.js) for the file
+// in ?path=, or every file of the project that can be checked:
+// { files: [{ filepath, diagnostics: [{ line, column, severity, message, source }] }] }
+const MAX_DIAGNOSTIC_FILES = 200;
 
-            const aiResponse = await callHF(fixPrompt);
-            
-            // Parse AI response for file fixes
-            const fileRegex = /FILE:\s*([^\n`]+)\s*\n\s*```[\w]*\s*\n([\s\S]*?)```/gi;
-            const fixedFiles = [];
-            let match;
-            let explanation = '';
-            
-            const explanationMatch = aiResponse.match(/EXPLANATION:\s*([\s\S]*?)(?=FILE:|$)/i);
-            if (explanationMatch) {
-                explanation = explanationMatch[1].trim();
-            }
-            
-            while ((match = fileRegex.exec(aiResponse)) !== null) {
-                const filepath = match[1].trim().replace(/^["']|["']$/g, '');
-                const content = match[2].trim();
-                if (filepath && content) {
-                    try {
-                        await db.writeFile(project, filepath, content);
-                        fixedFiles.push(filepath);
-                    } catch (err) {
-                        console.error('Error writing fix:', err);
-                    }
-                }
-            }
-            
-            if (fixedFiles.length > 0) {
-                fixes.push({
-                    attempt,
-                    action: 'applied_fix',
-                    message: `🔧 Applied fix to: ${fixedFiles.join(', ')}`,
-                    explanation: explanation || 'Fixed the error',
-                    files: fixedFiles
-                });
-            } else {
-                fixes.push({
-                    attempt,
-                    action: 'no_fix_found',
-                    message: `⚠️ AI couldn't generate a fix`,
-                    aiResponse: aiResponse.substring(0, 500)
-                });
-                break;
-            }
+app.get('/api/diagnostics/:project', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        const filepath = req.query.path || '';
+        let files;
+        if (filepath) {
+            const content = await readFileOrNull(req.project, filepath);
+            // A deleted file has no problems left
+            files = [{ filepath, content: content || '' }];
+        } else {
+            files = (await db.getProjectFileContents(req.project))
+                .filter(file => diagnostics.isCheckable(file.filepath))
+                .slice(0, MAX_DIAGNOSTIC_FILES);
         }
         
-        return res.json({
-            success: false,
-            message: `❌ Could not fix all errors after ${maxAttempts} attempts. Review the fixes and errors above.`,
-            fixes
-        });
+        // One at a time: checks start compilers and interpreters
+        const results = [];
+        for (const file of files) {
+            results.push({ filepath: file.filepath, diagnostics: await diagnostics.checkFile(file.filepath, file.content) });
+        }
+        res.json({ files: results });
+    } catch (err) {
+        console.error('Diagnostics error', err);
+        res.status(500).json({ error: 'Could not check files' });
+    }
+});
+
+// Source control: Git runs in the project's workspace (see git.js)
+function sendGitError(res, label, err) {
+    if (!err.status) console.error(`Git ${label} error:`, err);
+    res.status(err.status || 500).json({ error: err.message });
+}
+
+function gitPaths(body) {
+    const paths = (body || {}).paths;
+    return Array.isArray(paths) ? paths.filter(p => typeof p === 'string' && p) : [];
+}
+
+app.get('/api/git/:project/status', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        res.json(await git.status(req.project));
+    } catch (err) {
+        sendGitError(res, 'status', err);
+    }
+});
+
+app.post('/api/git/:project/init', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        res.json(await git.init(req.project));
+    } catch (err) {
+        sendGitError(res, 'init', err);
+    }
+});
+
+app.post('/api/git/:project/stage', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        res.json(await git.stage(req.project, gitPaths(req.body)));
+    } catch (err) {
+        sendGitError(res, 'stage', err);
+    }
+});
+
+app.post('/api/git/:project/unstage', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        res.json(await git.unstage(req.project, gitPaths(req.body)));
+    } catch (err) {
+        sendGitError(res, 'unstage', err);
+    }
+});
+
+app.post('/api/git/:project/commit', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const message = ((req.body || {}).message || '').trim();
+        if (!message) return res.status(400).json({ error: 'Commit message required' });
         
+        const result = await git.commit(req.project, req.user, message);
+        res.json(Object.assign(result, await git.status(req.project)));
     } catch (err) {
-        console.error('Auto-fix error:', err);
-        return res.status(500).json({ error: err.message, fixes });
+        sendGitError(res, 'commit', err);
     }
 });
 
-// Delete a file
-app.delete('/api/file/:project', async (req, res) => {
+app.get('/api/git/:project/log', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        res.json({ commits: await git.log(req.project) });
+    } catch (err) {
+        sendGitError(res, 'log', err);
+    }
+});
+
+app.get('/api/git/:project/branches', requireAuth, requireProject('viewer'), async (req, res) => {
+    try {
+        res.json(await git.branches(req.project));
+    } catch (err) {
+        sendGitError(res, 'branches', err);
+    }
+});
+
+// Create a branch and switch to it
+app.post('/api/git/:project/branches', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const name = ((req.body || {}).name || '').trim();
+        if (!name) return res.status(400).json({ error: 'Branch name required' });
+        
+        const changes = await git.createBranch(req.project, name);
+        res.json({ branch: name, changes });
+    } catch (err) {
+        sendGitError(res, 'branch', err);
+    }
+});
+
+// Switching branches rewrites project files; `changes` lists what changed
+app.post('/api/git/:project/checkout', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const branch = ((req.body || {}).branch || '').trim();
+        if (!branch) return res.status(400).json({ error: 'Branch required' });
+        
+        const changes = await git.checkout(req.project, branch);
+        res.json({ branch, changes });
+    } catch (err) {
+        sendGitError(res, 'checkout', err);
+    }
+});
+
+// Diff a file against HEAD: the working copy, or the staged copy with ?staged=1
+app.get('/api/git/:project/diff', requireAuth, requireProject('viewer'), async (req, res) => {
     try {
-        await ensureDbInitialized();
-        const project = req.params.project;
         const filepath = req.query.path || '';
         if (!filepath) return res.status(400).json({ error: 'path query parameter required' });
         
-        await db.deleteFile(project, filepath);
-        res.json({ ok: true });
+        const staged = req.query.staged === '1' || req.query.staged === 'true';
+        const { oldText, newText } = await git.fileVersions(req.project, filepath, staged);
+        res.json({ filepath, staged, diff: diffText(oldText, newText) });
     } catch (err) {
-        console.error('Delete error', err);
-        res.status(500).json({ error: 'Could not delete file/folder' });
+        sendGitError(res, 'diff', err);
     }
 });
 
-// AI endpoints (forward to Hugging Face chat completions)
-async function callHF(prompt, extra = {}) {
-    const HF_TOKEN = process.env.HF_TOKEN;
-    if (!HF_TOKEN) throw new Error('HF_TOKEN missing');
+// AI endpoints. `extra.provider` and `extra.model` pick the backend (see
+// ai-providers.js) and `temperature`, `maxTokens` and `instructions` come from
+// the project's AI settings; with `extra.onToken` the reply is streamed and each
+// piece of text is passed to it as it arrives; `extra.signal` aborts the request.
+async function callAI(prompt, extra = {}) {
+    const provider = aiProviders.getProvider(extra.provider);
+    const sampling = {
+        temperature: extra.temperature ?? 0.7,
+        max_tokens: extra.maxTokens ?? 2000
+    };
+    const system = extra.instructions ? [{ role: 'system', content: extra.instructions }] : [];
+    // Earlier turns of the conversation: [{ role: 'user' | 'assistant', content }]
+    const history = extra.history || [];
     
-    // If image is provided, use vision model
+    let body;
     if (extra.image) {
-        const body = {
-            model: 'meta-llama/Llama-3.2-11B-Vision-Instruct',
-            messages: [{
+        // If image is provided, use the provider's vision model
+        const visionModel = provider.visionModel();
+        if (!visionModel) {
+            const err = new Error(`${provider.label} has no model for images`);
+            err.status = 400;
+            throw err;
+        }
+        body = Object.assign({
+            model: visionModel,
+            messages: system.concat(history, {
                 role: 'user',
                 content: [
                     { type: 'text', text: prompt },
                     { type: 'image_url', image_url: { url: extra.image } }
                 ]
-            }],
-            temperature: 0.7,
-            max_tokens: 2000
-        };
-        
-        const resp = await fetch('https://router.huggingface.co/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                Authorization: `Bearer ${HF_TOKEN}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(body)
-        });
-        if (!resp.ok) {
-            const errorText = await resp.text();
-            throw new Error(`HF vision error ${resp.status}: ${errorText}`);
-        }
-        const data = await resp.json();
-        const aiResponse = data?.choices?.[0]?.message?.content?.trim() || data?.choices?.[0]?.text || 'No response.';
-        return aiResponse;
+            })
+        }, sampling);
+    } else {
+        // Text-only model
+        body = Object.assign({
+            model: extra.model || provider.defaultModel(),
+            messages: system.concat(history, { role: 'user', content: prompt })
+        }, sampling, extra.body || {});
     }
     
-    // Text-only model
-    const body = Object.assign({
-        model: extra.model || 'deepseek-ai/DeepSeek-V3',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.7,
-        max_tokens: 2000
-    }, extra.body || {});
-
-    const resp = await fetch('https://router.huggingface.co/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            Authorization: `Bearer ${HF_TOKEN}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(body)
-    });
-    if (!resp.ok) {
-        const errorText = await resp.text();
-        throw new Error(`HF error ${resp.status}: ${errorText}`);
+    return provider.complete(body, { onToken: extra.onToken, signal: extra.signal });
+}
+
+// callAI() options for a request: the project's AI settings, with the
+// provider and model overridable per request
+async function aiOptions(req) {
+    const body = req.body || {};
+    const settings = req.project ? await db.getAISettings(req.project) : {};
+    
+    // The project's model belongs to the project's provider
+    const sameProvider = !body.provider || body.provider === settings.provider;
+    return {
+        provider: body.provider || settings.provider || undefined,
+        model: body.model || (sameProvider && settings.model) || undefined,
+        temperature: settings.temperature ?? undefined,
+        maxTokens: settings.maxTokens ?? undefined,
+        instructions: settings.instructions || undefined
+    };
+}
+
+function aiErrorMessage(err) {
+    if ((err.message || '').includes('HF_TOKEN')) return 'HF_TOKEN missing. Set env variable.';
+    return 'AI error: ' + (err.message || 'Unknown error');
+}
+
+// Stream a completion to the client as SSE: `token` events while it is
+// generated, then `done` with finish(text), or `error`. When the client goes
+// away (the Stop button) the upstream request is aborted and nothing is saved.
+async function streamCompletion(req, res, prompt, extra, finish) {
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    
+    startEventStream(res);
+    try {
+        const text = await callAI(prompt, Object.assign({}, extra, {
+            signal: controller.signal,
+            onToken: (token) => sendEvent(res, 'token', { text: token })
+        }));
+        if (controller.signal.aborted) return;
+        sendEvent(res, 'done', await finish(text));
+    } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('AI stream error', err.message || err);
+        sendEvent(res, 'error', { response: aiErrorMessage(err) });
     }
-    const data = await resp.json();
-    const aiResponse = data?.choices?.[0]?.message?.content?.trim() || data?.choices?.[0]?.text || 'No response.';
-    return aiResponse;
+    res.end();
 }
 
-app.post('/api/ai/chat', async (req, res) => {
+// How much of the open file the chat model sees; longer files can only be
+// changed with EDIT/PATCH blocks
+const OPEN_FILE_CONTEXT_CHARS = 5000;
+
+// The chat panel's mode tabs: 'chat' answers and never changes files, 'edit'
+// changes the open file (or its selected lines), 'generate' creates files
+const AI_MODES = ['chat', 'edit', 'generate'];
+
+// Viewers can ask about a project; proposing changes to it takes an editor
+app.post('/api/ai/chat', requireAuth, requireProject('viewer'), async (req, res) => {
     try {
         await ensureDbInitialized();
-        const { prompt, code, filename, project, image } = req.body || {};
+        const { prompt, code, filename, project, image, selection } = req.body || {};
+        const mode = req.body.mode || 'chat';
         if (!prompt) return res.status(400).json({ response: 'Prompt required' });
-        
-        // Check if user has a project
-        if (!project) {
-            if (prompt.toLowerCase().includes('create') || prompt.toLowerCase().includes('file') || prompt.toLowerCase().includes('edit')) {
-                return res.json({ 
-                    response: '⚠️ Please create or select a project first before I can create or edit files. Use the **Project** button in the sidebar to get started.' 
-                });
-            }
+        if (!AI_MODES.includes(mode)) return res.status(400).json({ response: `Unknown AI mode: ${mode}` });
+        if (mode !== 'chat' && req.project && !db.hasRole(req.project, 'editor')) {
+            return res.status(403).json({ response: 'You need editor access to this project to change its files' });
         }
         
-        const lowerPrompt = prompt.toLowerCase();
-        
-        // Check if user wants to delete a file
-        const deleteMatch = prompt.match(/delete\s+(?:the\s+)?(?:file\s+)?["\']?([^\s"']+\.\w+)["\']?/i);
-        if (deleteMatch) {
-            const filepath = deleteMatch[1];
-            return res.json({
-                response: `🗑️ Deleted \`${filepath}\`.`,
-                action: 'delete_file',
-                filepath: filepath
+        // Check if user has a project
+        if (!project && mode !== 'chat') {
+            return res.json({ 
+                response: '⚠️ Please create or select a project first before I can create or edit files. Use the **Project** button in the sidebar to get started.' 
             });
         }
-        
-        // Check if user wants to read a file
-        const readMatch = prompt.match(/(?:read|show|open|view|display)\s+(?:the\s+)?(?:contents?\s+(?:of\s+)?)?(?:file\s+)?["\']?([^\s"']+\.\w+)["\']?/i);
-        if (readMatch) {
-            const filepath = readMatch[1];
-            return res.json({
-                response: `📄 Reading \`${filepath}\`...`,
-                action: 'read_file',
-                filepath: filepath
-            });
+        if (mode === 'edit' && !(filename && typeof code === 'string')) {
+            return res.json({ response: '⚠️ Open the file you want to change; Edit mode works on the open file.' });
         }
         
-        // Check if this is a fix command request with auto-execution
-        const isFixCommand = lowerPrompt.includes('fix') && (
-            lowerPrompt.includes('error') ||
-            lowerPrompt.includes('run') ||
-            lowerPrompt.includes('execute') ||
-            lowerPrompt.includes('test') ||
-            lowerPrompt.includes('console')
-        );
-        
-        if (isFixCommand && project) {
-            return res.json({
-                response: '🔧 Starting auto-fix mode. I will run your code, analyze errors, fix them, and retry until it works...',
-                action: 'auto_fix',
-                project: project
-            });
+        // The conversation continues in the given thread, else a new one.
+        // Threads are the project's: a viewer's questions use one but aren't kept.
+        let thread = null;
+        const keepHistory = db.hasRole(req.project, 'editor');
+        if (req.project) {
+            thread = req.body.threadId !== undefined && req.body.threadId !== null
+                ? await requestedThread(req.project, req.body.threadId)
+                : keepHistory ? await db.createChatThread(req.project) : null;
         }
         
-        // Detect if this is a file operation request
-        const isFileOperation = 
-            lowerPrompt.includes('create') ||
-            lowerPrompt.includes('make') ||
-            lowerPrompt.includes('write') ||
-            lowerPrompt.includes('edit') ||
-            lowerPrompt.includes('modify') ||
-            lowerPrompt.includes('update') ||
-            lowerPrompt.includes('add') ||
-            lowerPrompt.includes('change') ||
-            lowerPrompt.includes('fix') ||
-            lowerPrompt.includes('implement') ||
-            lowerPrompt.includes('build') ||
-            lowerPrompt.includes('setup') ||
-            lowerPrompt.includes('generate');
-        
         // Build context for the AI - gather project info
         let contextInfo = '';
         let projectFiles = [];
         
-        // Load conversation history
-        const chatHistory = await db.loadChatHistory(project);
-        if (chatHistory.length > 0) {
-            const recentHistory = chatHistory.slice(-5); // Last 5 exchanges
-            const historyText = recentHistory.map(h => 
-                `User: ${h.user}\nAI: ${h.ai.substring(0, 500)}${h.ai.length > 500 ? '...' : ''}`
-            ).join('\n\n');
-            contextInfo += `\n\nRecent conversation history:\n${historyText}`;
-        }
-        
         if (project) {
             try {
-                projectFiles = await db.getAllProjectFiles(project);
+                projectFiles = await db.getAllProjectFiles(req.project);
                 const fileList = projectFiles.length > 0 ? projectFiles.slice(0, 30).join('\n  ') : 'No files found';
                 contextInfo += `\n\nProject: ${project}\nFiles in project:\n  ${fileList}${projectFiles.length > 30 ? '\n  ... and more' : ''}`;
             } catch (err) {
@@ -552,36 +1348,94 @@ app.post('/api/ai/chat', async (req, res) => {
         }
         
         if (code && filename) {
-            contextInfo += `\n\nCurrently open file: ${filename}\nFile content:\n\`\`\`\n${code.substring(0, 5000)}\n\`\`\``;
+            const shown = code.length > OPEN_FILE_CONTEXT_CHARS
+                ? `the first ${OPEN_FILE_CONTEXT_CHARS} of ${code.length} characters; change it with EDIT blocks only`
+                : 'complete';
+            contextInfo += `\n\nCurrently open file: ${filename} (${shown})\nFile content:\n\`\`\`\n${code.substring(0, OPEN_FILE_CONTEXT_CHARS)}\n\`\`\``;
         }
         
-        // Different prompts for file operations vs general questions
+        const hasSelection = mode === 'edit' && selection && typeof selection.text === 'string' && selection.text.trim() !== '';
+        if (hasSelection) {
+            contextInfo += `\n\nSelected lines ${selection.startLine}-${selection.endLine}:\n\`\`\`\n${selection.text}\n\`\`\``;
+        }
+        
+        // The most relevant code from across the project, returned as the reply's sources
+        let sources = [];
+        if (project) {
+            try {
+                const openFileShown = code && filename && code.length <= OPEN_FILE_CONTEXT_CHARS;
+                const query = hasSelection ? `${prompt}\n${selection.text}` : prompt;
+                const chunks = await relevantChunks(req.project, query, { exclude: openFileShown ? filename : null });
+                if (chunks.length > 0) {
+                    contextInfo += `\n\nRelevant code from the project (cite what you use as path:lines):\n${retrieval.formatSnippets(chunks)}`;
+                    sources = chunks.map(c => ({ filepath: c.filepath, startLine: c.startLine, endLine: c.endLine }));
+                }
+            } catch (err) {
+                console.log('Could not retrieve project context:', err.message);
+            }
+        }
+        
+        // Different prompts for each mode
         let systemPrompt;
-        if (isFileOperation) {
+        if (mode === 'edit') {
+            systemPrompt = `You are editing ${filename}. Apply the user's request to it.
+
+RULES:
+1. Change ONLY ${filename}; never create or change other files
+2. ${hasSelection ? `Change only the selected lines (${selection.startLine}-${selection.endLine}) unless the request cannot be done without touching others` : 'Change only what the request needs; leave the rest of the file as it is'}
+3. SEARCH sections must copy the current lines EXACTLY, with enough lines to be unique
+4. ONLY OUTPUT: EXPLANATION + one EDIT block
+
+REQUIRED FORMAT:
+
+EXPLANATION:
+One sentence
+
+EDIT: ${filename}
+\`\`\`
+<<<<<<< SEARCH
+lines copied exactly from the file
+=======
+the lines to put in their place
+>>>>>>> REPLACE
+\`\`\`
+
+An EDIT block may hold several SEARCH/REPLACE sections, applied in order.
+
+User: "${prompt}"${contextInfo}`;
+        } else if (mode === 'generate') {
             systemPrompt = `YOU ARE A FILE CREATOR. NOT AN INSTRUCTOR. NEVER EXPLAIN STEPS.
 
 STRICT RULES - YOU WILL BE PUNISHED IF YOU BREAK THESE:
 1. DO NOT WRITE "Step 1", "Step 2", "First", "Then", "Next", etc.
 2. DO NOT SAY "create a file" or "you should" or "make sure to"
 3. DO NOT GIVE INSTRUCTIONS OR ADVICE
-4. ONLY OUTPUT: EXPLANATION + FILE blocks (see format below)
-5. WRITE COMPLETE FILES - NO PLACEHOLDERS
+4. ONLY OUTPUT: EXPLANATION + FILE or EDIT blocks (see format below)
+5. NEW FILES MUST BE COMPLETE - NO PLACEHOLDERS
+6. TO CHANGE AN EXISTING FILE, USE EDIT BLOCKS - DO NOT REWRITE IT
 
 REQUIRED FORMAT:
 
 EXPLANATION:
 One sentence
 
-FILE: filename.ext
+FILE: new-file.ext
 \`\`\`
 complete code
 \`\`\`
 
-FILE: another.ext
+EDIT: existing-file.ext
 \`\`\`
-complete code
+<<<<<<< SEARCH
+lines copied EXACTLY from the current file, enough to be unique
+=======
+the lines to put in their place
+>>>>>>> REPLACE
 \`\`\`
 
+An EDIT block may hold several SEARCH/REPLACE sections, applied in order.
+A unified diff also works: PATCH: existing-file.ext followed by a \`\`\`diff block with @@ hunks.
+
 EXAMPLE (CORRECT - DO THIS):
 User: "flask headset tracker"
 You respond:
@@ -663,120 +1517,193 @@ User question: "${prompt}"${contextInfo}`;
         }
         
         // Pass image to AI if provided
-        const extraOptions = {};
+        const extraOptions = await aiOptions(req);
+        if (thread) extraOptions.history = await chatTurns(req.project, thread.id);
         if (image) {
             extraOptions.image = image;
             // For image analysis, use a more conversational system prompt
-            if (!isCreateRequest) {
+            if (mode === 'chat') {
                 systemPrompt = `You are a helpful AI assistant with vision capabilities. Analyze the image provided and answer the user's question.
 
 User: "${prompt}"${contextInfo}`;
             }
         }
         
-        const aiResponse = await callHF(systemPrompt, extraOptions);
-        
-        // Parse the response for file operations
-        const files = [];
-        let explanation = '';
-        
-        // Extract EXPLANATION section
-        const explanationMatch = aiResponse.match(/EXPLANATION:\s*([\s\S]*?)(?=FILE:|$)/i);
-        if (explanationMatch) {
-            explanation = explanationMatch[1].trim();
+        const finish = async aiResponse => {
+            const result = await chatResult(req.project, prompt, aiResponse, mode, { code, filename });
+            if (thread && keepHistory) await db.saveChatHistory(req.project, thread.id, prompt, result.response);
+            return Object.assign(result, { sources, threadId: thread ? thread.id : null });
+        };
+        if (req.body.stream === true) {
+            return streamCompletion(req, res, systemPrompt, extraOptions, finish);
         }
         
-        // Extract all FILE: blocks - improved regex to handle various formats
-        const fileRegex = /FILE:\s*([^\n`]+)\s*\n\s*```[\w]*\s*\n([\s\S]*?)```/gi;
-        let match;
-        while ((match = fileRegex.exec(aiResponse)) !== null) {
-            const filepath = match[1].trim().replace(/^["']|["']$/g, '');
+        const aiResponse = await callAI(systemPrompt, extraOptions);
+        res.json(await finish(aiResponse));
+    } catch (err) {
+        console.error('AI chat error', err.message || err);
+        res.status(err.status || 500).json({ response: aiErrorMessage(err) });
+    }
+});
+
+// How much of a thread's earlier conversation goes to the model, newest first
+const CHAT_HISTORY_CHARS = 12000;
+
+// The latest of a conversation's turns ([{ role, content }], oldest first)
+// within CHAT_HISTORY_CHARS, starting with a user turn
+function recentTurns(turns) {
+    let start = turns.length;
+    let chars = 0;
+    while (start > 0 && chars + turns[start - 1].content.length <= CHAT_HISTORY_CHARS) {
+        chars += turns[start - 1].content.length;
+        start--;
+    }
+    while (start < turns.length && turns[start].role !== 'user') start++;
+    return turns.slice(start);
+}
+
+// A thread's latest exchanges as chat messages
+async function chatTurns(project, threadId) {
+    const { messages } = await db.loadChatHistory(project, threadId);
+    return recentTurns(messages.flatMap(m => [
+        { role: 'user', content: m.user },
+        { role: 'assistant', content: m.ai }
+    ]));
+}
+
+// What the AI saw of a file: the open editor buffer, else the saved file
+// (null for new files)
+async function originalText(project, filepath, openFile) {
+    return openFile.filename === filepath && typeof openFile.code === 'string'
+        ? openFile.code
+        : readFileOrNull(project, filepath);
+}
+
+// AI file edits are proposals: each comes with a diff against the original
+// and the client writes only the hunks the user accepts
+async function proposeChanges(project, files, openFile) {
+    return Promise.all(files.map(async ({ filepath, content }) => {
+        const original = await originalText(project, filepath, openFile);
+        return { filepath, original, content, diff: diffText(original || '', content) };
+    }));
+}
+
+// Turn a completed chat reply into the response payload: in Edit and Generate
+// modes FILE:, EDIT: and PATCH: blocks (see edits.js) become proposed changes
+// for the client to review
+async function chatResult(project, prompt, aiResponse, mode, openFile = {}) {
+    if (mode === 'chat') {
+        return { response: aiResponse };
+    }
+    
+    let explanation = '';
+    
+    // Extract EXPLANATION section
+    const explanationMatch = aiResponse.match(/EXPLANATION:\s*([\s\S]*?)(?=(?:FILE|EDIT|PATCH):|$)/i);
+    if (explanationMatch) {
+        explanation = explanationMatch[1].trim();
+    }
+    
+    // Edits are applied to what the model was shown; ones that don't match are reported
+    const truncated = typeof openFile.code === 'string' && openFile.code.length > OPEN_FILE_CONTEXT_CHARS ? [openFile.filename] : [];
+    let blocks = edits.parseEditBlocks(aiResponse);
+    const outside = [];
+    if (mode === 'edit') {
+        // Edit mode only ever touches the open file
+        outside.push(...blocks.filter(b => b.filepath !== openFile.filename));
+        blocks = blocks.filter(b => b.filepath === openFile.filename);
+    }
+    const { files, conflicts } = await edits.applyEditBlocks(blocks,
+        filepath => originalText(project, filepath, openFile), { truncated });
+    for (const filepath of new Set(outside.map(b => b.filepath))) {
+        conflicts.push({ filepath, message: `Edit mode only changes the open file (${openFile.filename})` });
+    }
+    const conflictText = conflicts.length > 0 ? `\n\n${edits.formatConflicts(conflicts)}` : '';
+    let match;
+    
+    // If no files found with FILE: format, try alternate patterns
+    if (files.length === 0 && conflicts.length === 0 && mode === 'generate') {
+        // Pattern 1: filename.ext\n```code```
+        const altRegex1 = /(?:^|\n)([a-zA-Z0-9_\-\/\.]+\.[a-zA-Z0-9]+)\s*\n```[\w]*\n([\s\S]*?)```/gi;
+        while ((match = altRegex1.exec(aiResponse)) !== null) {
+            const filepath = match[1].trim();
             const content = match[2].trim();
-            if (filepath && content) {
+            if (filepath && content && !filepath.includes(' ') && filepath.includes('.')) {
                 files.push({ filepath, content });
             }
         }
-        
-        // If no files found with FILE: format, try alternate patterns
-        if (files.length === 0 && isFileOperation) {
-            // Pattern 1: filename.ext\n```code```
-            const altRegex1 = /(?:^|\n)([a-zA-Z0-9_\-\/\.]+\.[a-zA-Z0-9]+)\s*\n```[\w]*\n([\s\S]*?)```/gi;
-            while ((match = altRegex1.exec(aiResponse)) !== null) {
-                const filepath = match[1].trim();
-                const content = match[2].trim();
-                if (filepath && content && !filepath.includes(' ') && filepath.includes('.')) {
-                    files.push({ filepath, content });
-                }
-            }
-        }
-        
-        // Pattern 2: Look for code blocks after "create" or "update" mentions
-        if (files.length === 0 && isFileOperation) {
-            const createRegex = /(?:create|update|write|make)\s+(?:a\s+)?(?:file\s+)?(?:called\s+)?["\']?([a-zA-Z0-9_\-\/\.]+\.[a-zA-Z0-9]+)["\']?\s*[:\n]+\s*```[\w]*\n([\s\S]*?)```/gi;
-            while ((match = createRegex.exec(aiResponse)) !== null) {
-                const filepath = match[1].trim();
-                const content = match[2].trim();
-                if (filepath && content) {
-                    files.push({ filepath, content });
-                }
+    }
+    
+    // Pattern 2: Look for code blocks after "create" or "update" mentions
+    if (files.length === 0 && conflicts.length === 0 && mode === 'generate') {
+        const createRegex = /(?:create|update|write|make)\s+(?:a\s+)?(?:file\s+)?(?:called\s+)?["\']?([a-zA-Z0-9_\-\/\.]+\.[a-zA-Z0-9]+)["\']?\s*[:\n]+\s*```[\w]*\n([\s\S]*?)```/gi;
+        while ((match = createRegex.exec(aiResponse)) !== null) {
+            const filepath = match[1].trim();
+            const content = match[2].trim();
+            if (filepath && content) {
+                files.push({ filepath, content });
             }
         }
+    }
+    
+    // If we found files to write
+    if (files.length > 0) {
+        const filesList = files.map(f => `\`${f.filepath}\``).join(', ');
+        let responseText;
         
-        // If we found files to write
-        if (files.length > 0) {
-            const filesList = files.map(f => `\`${f.filepath}\``).join(', ');
-            let responseText;
-            
-            if (explanation) {
-                responseText = `${explanation}\n\n✅ **Created/Updated ${files.length} file(s):** ${filesList}`;
-            } else {
-                responseText = `✅ **Created/Updated ${files.length} file(s):** ${filesList}\n\nThe files have been written to your project.`;
-            }
-            
-            if (files.length === 1) {
-                await db.saveChatHistory(project, prompt, responseText);
-                return res.json({
-                    response: responseText,
-                    action: 'write_file',
-                    filepath: files[0].filepath,
-                    content: files[0].content
-                });
-            } else {
-                await db.saveChatHistory(project, prompt, responseText);
-                return res.json({
-                    response: responseText,
-                    action: 'write_multiple_files',
-                    files: files
-                });
-            }
+        if (explanation) {
+            responseText = `${explanation}\n\n📝 **Proposed changes to ${files.length} file(s):** ${filesList}${conflictText}`;
+        } else {
+            responseText = `📝 **Proposed changes to ${files.length} file(s):** ${filesList}\n\nReview them in the editor; nothing is saved until you accept.${conflictText}`;
         }
         
-        // Check for simple file creation with template
-        const simpleCreateMatch = prompt.match(/create\s+(?:a\s+)?(?:an\s+)?(?:new\s+)?(?:file\s+)?(?:called\s+)?(?:named\s+)?["\']?([a-zA-Z0-9_\-\.\/]+\.(html|htm|js|jsx|ts|tsx|css|scss|py|java|json|md|txt|xml|yml|yaml))["\']?/i);
-        if (simpleCreateMatch && !aiResponse.includes('```')) {
-            const filepath = simpleCreateMatch[1];
-            const ext = filepath.split('.').pop().toLowerCase();
-            const content = generateFileTemplate(filepath, ext, prompt);
-            
-            const templateResponse = `✅ Created \`${filepath}\` with a starter template. The file is now open in the editor.`;
-            await db.saveChatHistory(project, prompt, templateResponse);
-            return res.json({
-                response: templateResponse,
+        const changes = await proposeChanges(project, files, openFile);
+        if (files.length === 1) {
+            return {
+                response: responseText,
                 action: 'write_file',
-                filepath: filepath,
-                content: content
-            });
+                filepath: files[0].filepath,
+                content: files[0].content,
+                changes,
+                conflicts
+            };
+        } else {
+            return {
+                response: responseText,
+                action: 'write_multiple_files',
+                files: files,
+                changes,
+                conflicts
+            };
         }
+    }
+    
+    // Every edit conflicted: say so instead of showing the raw blocks
+    if (conflicts.length > 0) {
+        const conflictResponse = `${explanation ? explanation + '\n\n' : ''}${edits.formatConflicts(conflicts)}\n\nNo files were changed.`;
+        return { response: conflictResponse, conflicts };
+    }
+    
+    // Check for simple file creation with template
+    const simpleCreateMatch = mode === 'generate' && prompt.match(/create\s+(?:a\s+)?(?:an\s+)?(?:new\s+)?(?:file\s+)?(?:called\s+)?(?:named\s+)?["\']?([a-zA-Z0-9_\-\.\/]+\.(html|htm|js|jsx|ts|tsx|css|scss|py|java|json|md|txt|xml|yml|yaml))["\']?/i);
+    if (simpleCreateMatch && !aiResponse.includes('```')) {
+        const filepath = simpleCreateMatch[1];
+        const ext = filepath.split('.').pop().toLowerCase();
+        const content = generateFileTemplate(filepath, ext, prompt);
         
-        // Return as chat response if no files to write
-        await db.saveChatHistory(project, prompt, aiResponse);
-        return res.json({ response: aiResponse });
-    } catch (err) {
-        console.error('AI chat error', err.message || err);
-        if ((err.message || '').includes('HF_TOKEN')) return res.status(500).json({ response: 'HF_TOKEN missing. Set env variable.' });
-        res.status(500).json({ response: 'AI error: ' + (err.message || 'Unknown error') });
+        const templateResponse = `📝 Proposed \`${filepath}\` with a starter template. Review it in the editor.`;
+        return {
+            response: templateResponse,
+            action: 'write_file',
+            filepath: filepath,
+            content: content,
+            changes: await proposeChanges(project, [{ filepath, content }], openFile)
+        };
     }
-});
+    
+    // Return as chat response if no files to write
+    return { response: aiResponse };
+}
 
 // Helper function to generate file templates
 function generateFileTemplate(filepath, ext, prompt = '') {
@@ -952,11 +1879,11 @@ version: 1.0.0
     return `// ${titleCase}\n// Created with NOS Code AI Assistant\n`;
 }
 
-app.post('/api/ai/analyze', async (req, res) => {
+app.post('/api/ai/analyze', requireAuth, requireProject('viewer'), async (req, res) => {
     try {
         const { code, filename } = req.body || {};
         const prompt = `Analyze this code (${filename || 'file'}). Provide issues and suggestions:\n\n${code}`;
-        const reply = await callHF(prompt);
+        const reply = await callAI(prompt, await aiOptions(req));
         res.json({ analysis: reply });
     } catch (err) {
         console.error('AI analyze error', err);
@@ -964,11 +1891,11 @@ app.post('/api/ai/analyze', async (req, res) => {
     }
 });
 
-app.post('/api/ai/explain', async (req, res) => {
+app.post('/api/ai/explain', requireAuth, requireProject('viewer'), async (req, res) => {
     try {
         const { code, filename } = req.body || {};
         const prompt = `Explain this code (${filename || 'file'}) in plain language:\n\n${code}`;
-        const reply = await callHF(prompt);
+        const reply = await callAI(prompt, await aiOptions(req));
         res.json({ explanation: reply });
     } catch (err) {
         console.error('AI explain error', err);
@@ -976,266 +1903,353 @@ app.post('/api/ai/explain', async (req, res) => {
     }
 });
 
-app.post('/api/ai/generate', async (req, res) => {
+app.post('/api/ai/generate', requireAuth, requireProject('viewer'), async (req, res) => {
     try {
         const { prompt } = req.body || {};
-        const reply = await callHF(`Generate code: ${prompt}`);
+        const reply = await callAI(`Generate code: ${prompt}`, await aiOptions(req));
         res.json({ suggestion: reply });
     } catch (err) {
         console.error('AI generate error', err);
         res.status(500).json({ suggestion: 'AI generate error' });
     }
 });
-const API_URL = "http://localhost:8080"; // Change if deployed elsewhere
 
-// --- User Auth ---
-async function signup(username, password) {
-    const res = await fetch(`${API_URL}/api/signup`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ username, password })
-    });
-    return await res.json();
+// Text around the cursor sent for a ghost-text completion
+const COMPLETION_PREFIX_CHARS = 3000;
+const COMPLETION_SUFFIX_CHARS = 1000;
+
+// Tidy a completion for insertion at the cursor: no fences, and no repeat of
+// the line already typed
+function cleanCompletion(reply, before) {
+    let text = reply === 'No response.' ? '' : reply;
+    const fenced = text.match(/```[\w+-]*[^\S\n]*\n([\s\S]*?)```/);
+    if (fenced) text = fenced[1];
+    text = text.replace(/\s+$/, '');
+    
+    const line = before.slice(before.lastIndexOf('\n') + 1);
+    if (line.trim() && text.startsWith(line)) text = text.slice(line.length);
+    return text;
 }
 
-async function login(username, password) {
-    const res = await fetch(`${API_URL}/api/login`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ username, password })
-    });
-    return await res.json();
-}
+// Ghost-text completion at the cursor. The editor cancels stale requests by
+// aborting them, which aborts the model call too.
+app.post('/api/ai/complete', requireAuth, requireProject('editor'), async (req, res) => {
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    
+    try {
+        const { filename, prefix, suffix } = req.body || {};
+        if (typeof prefix !== 'string') return res.status(400).json({ error: 'prefix required' });
+        const before = prefix.slice(-COMPLETION_PREFIX_CHARS);
+        const after = typeof suffix === 'string' ? suffix.slice(0, COMPLETION_SUFFIX_CHARS) : '';
+        
+        const prompt = `You are a code completion engine. Continue the code in ${filename || 'this file'} at <CURSOR>.
+Reply with ONLY the text to insert at <CURSOR>: no explanation, no code fences, and nothing that is already before or after it.
+Prefer finishing the current line or block. Reply with nothing if no completion makes sense.
 
-// --- Chat Management ---
-async function createChat(userId, model) {
-    const res = await fetch(`${API_URL}/api/chat/new`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ userId, model })
-    });
-    return await res.json();
-}
+${before}<CURSOR>${after}`;
+        
+        // Completions are short and should be predictable, whatever the project's sampling settings
+        const options = Object.assign(await aiOptions(req), {
+            temperature: 0.2,
+            maxTokens: 128,
+            instructions: undefined,
+            signal: controller.signal
+        });
+        const reply = await callAI(prompt, options);
+        res.json({ completion: cleanCompletion(reply, before) });
+    } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('AI completion error', err.message || err);
+        res.status(err.status || 500).json({ error: aiErrorMessage(err) });
+    }
+});
 
-async function getChats(userId) {
-    const res = await fetch(`${API_URL}/api/chats/${userId}`);
-    return await res.json();
-}
+// Lines of the file shown on each side of an inline edit
+const INLINE_EDIT_CONTEXT_LINES = 40;
 
-async function getChatMessages(userId, chatId) {
-    const res = await fetch(`${API_URL}/api/chat/${userId}/${chatId}`);
-    return await res.json();
-}
+// Ctrl+K in the editor: rewrite the selection (or write code at the cursor
+// when nothing is selected) following an instruction. Only the replacement
+// comes back, with its diff; the editor applies it if the user accepts.
+app.post('/api/ai/inline-edit', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const { code, filename, selection, instruction } = req.body || {};
+        if (!instruction || !instruction.trim()) return res.status(400).json({ error: 'Instruction required' });
+        if (typeof code !== 'string' || !selection || typeof selection.text !== 'string'
+            || !Number.isInteger(selection.startLine) || !Number.isInteger(selection.endLine)) {
+            return res.status(400).json({ error: 'Selection required' });
+        }
+        
+        const lines = code.split('\n');
+        const before = lines.slice(Math.max(0, selection.startLine - 1 - INLINE_EDIT_CONTEXT_LINES), selection.startLine - 1).join('\n');
+        const after = lines.slice(selection.endLine, selection.endLine + INLINE_EDIT_CONTEXT_LINES).join('\n');
+        const inserting = selection.text === '';
+        
+        const prompt = `You are editing ${filename || 'a file'}. ${inserting
+            ? `Write the code to insert at line ${selection.startLine}`
+            : `Rewrite the SELECTED CODE (lines ${selection.startLine}-${selection.endLine})`} following the instruction.
 
-// --- Send a Chat Message ---
-async function sendChatMessage({ message, model, userId, chatId }) {
-    const res = await fetch(`${API_URL}/api/chat`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ message, model, userId, chatId })
-    });
-    return await res.json();
-}
+Reply with ONLY the ${inserting ? 'code to insert' : 'replacement for the selected code'} in one fenced code block.
+No explanation. Match the indentation and style of the surrounding code.
+
+CODE BEFORE:
+\`\`\`
+${before}
+\`\`\`
+${inserting ? '' : `
+SELECTED CODE:
+\`\`\`
+${selection.text}
+\`\`\`
+`}
+CODE AFTER:
+\`\`\`
+${after}
+\`\`\`
 
-// --- Example Usage ---
-// 1. User signs up or logs in
-// const user = await signup("myuser", "mypassword");
-// const user = await login("myuser", "mypassword");
-// const userId = user.user.id;
-
-// 2. Create a new chat (or get existing chatId from getChats)
-// const chat = await createChat(userId, "meta-llama/Meta-Llama-3-8B-Instruct:novita");
-// const chatId = chat.chat.id;
-
-// 3. Send a message
-// const reply = await sendChatMessage({
-//     message: "What is the capital of France?",
-//     model: "meta-llama/Meta-Llama-3-8B-Instruct:novita",
-//     userId,
-//     chatId
-// });
-// console.log("Response:", reply.response);
+INSTRUCTION: ${instruction.trim()}`;
+        
+        const reply = await callAI(prompt, await aiOptions(req));
+        const fenced = reply.match(/```[\w+-]*[^\S\n]*\n([\s\S]*?)```/);
+        let replacement = (fenced ? fenced[1] : reply).replace(/\s+$/, '');
+        // Whole-line selections keep their final line break
+        if (selection.text.endsWith('\n')) replacement += '\n';
+        
+        res.json({ replacement, diff: diffText(selection.text, replacement) });
+    } catch (err) {
+        console.error('AI inline edit error', err.message || err);
+        res.status(err.status || 500).json({ error: aiErrorMessage(err) });
+    }
+});
 
 // Terminal endpoints
-// NOTE: Terminal execution has limited functionality with database storage
-// Commands run in server context, not within project directories
+// Commands run inside the project's workspace (see workspace.js); files the
+// command creates, modifies or deletes are synced back to the database.
 const previewServers = new Map();
-const runningProcesses = new Map();
 
-app.post('/api/terminal/run', async (req, res) => {
+// Sync workspace changes back to the database without failing the request
+async function syncWorkspaceSafe(project) {
+    try {
+        return await workspace.syncWorkspace(project);
+    } catch (err) {
+        console.error('Workspace sync error:', err);
+        return { created: [], modified: [], deleted: [], error: err.message };
+    }
+}
+
+// Servers are left running (within their own time limit, see
+// command-policy.js) once they've had SERVER_STARTUP_WAIT to print where they listen
+const SERVER_STARTUP_WAIT = 2000;
+
+function isServerCommand(command) {
+    return command.includes('http.server') ||
+        command.includes('serve') ||
+        (command.includes('run') && command.includes('app.py'));
+}
+
+
+app.post('/api/terminal/run', requireAuth, requireProject('editor'), async (req, res) => {
     try {
         const { command, project } = req.body;
-        const cwd = __dirname; // Run in server directory (no filesystem projects)
+        if (!command || typeof command !== 'string') {
+            return res.status(400).json({ error: 'Command required' });
+        }
+        if (!project) {
+            return res.status(400).json({ error: 'Project required' });
+        }
         
-        // Check if this is a long-running server command
-        const isServerCommand = command.includes('http.server') || 
-                                command.includes('serve') || 
-                                (command.includes('run') && command.includes('app.py'));
+        await ensureDbInitialized();
+        const server = isServerCommand(command);
+        const limits = commandPolicy.LIMITS;
+        const timeout = server ? limits.serverTimeout : limits.timeout;
+        // Checked against the policy and audited by processes.start
+        const entry = await processes.start(req.project, command, {
+            userId: req.user.id,
+            timeout,
+            maxOutput: limits.maxOutput
+        });
         
-        if (isServerCommand) {
-            // Handle long-running processes with spawn
-            let cmd = command;
-            
-            // Fix Python command for Windows
-            if (command.includes('python')) {
-                cmd = command.replace(/^python/, 'py');
-            }
-            
-            // Extract port from command
+        if (server && !await processes.wait(entry, SERVER_STARTUP_WAIT)) {
             const portMatch = command.match(/\d{4,5}$/);
             const port = portMatch ? portMatch[0] : '8000';
-            
-            // Use exec for server commands instead of spawn - keeps them alive longer
-            const child = exec(cmd, {
-                cwd,
-                shell: true,
-                windowsHide: false,
-                maxBuffer: 1024 * 1024 * 5
-            });
-            
-            let output = '';
-            let hasOutput = false;
-            
-            if (child.stdout) {
-                child.stdout.on('data', (data) => {
-                    output += data.toString();
-                    hasOutput = true;
-                    console.log('Server output:', data.toString());
-                });
-            }
-            
-            if (child.stderr) {
-                child.stderr.on('data', (data) => {
-                    output += data.toString();
-                    hasOutput = true;
-                    console.log('Server stderr:', data.toString());
-                });
-            }
-            
-            // Wait longer to capture server startup message
-            setTimeout(() => {
-                if (child.pid) {
-                    runningProcesses.set(project || 'default', child);
-                    
-                    const serverMsg = `✅ Server started successfully!\n\n` +
-                                    `📡 Access your server at:\n` +
-                                    `   • http://127.0.0.1:${port}\n` +
-                                    `   • http://localhost:${port}\n\n` +
-                                    `🔄 Server is running with PID: ${child.pid}\n` +
-                                    `⚠️  Keep this terminal window open to keep the server running\n\n` +
-                                    (hasOutput ? `Server output:\n${output}` : '');
-                    
-                    res.json({ 
-                        output: serverMsg,
-                        background: true,
-                        url: `http://localhost:${port}`
-                    });
-                } else {
-                    res.json({ output: output || 'Command failed to start', error: true });
-                }
-            }, 2000); // Wait 2 seconds for output
-            
-            child.on('error', (err) => {
-                console.error('Server error:', err);
-                if (!res.headersSent) {
-                    res.json({ output: `Error starting server: ${err.message}`, error: true });
-                }
-            });
-            
-            child.on('exit', (code) => {
-                console.log('Server exited with code:', code);
-                runningProcesses.delete(project || 'default');
-            });
-        } else {
-            // Regular commands with exec
-            let cmd = command;
-            
-            // Fix Python command for Windows
-            if (command.startsWith('python ')) {
-                cmd = command.replace(/^python/, 'py');
-            }
-            
-            exec(cmd, { 
-                cwd, 
-                timeout: 30000,
-                shell: true,
-                windowsHide: true,
-                maxBuffer: 1024 * 1024 * 5
-            }, (error, stdout, stderr) => {
-                if (error) {
-                    const output = stderr || stdout || error.message;
-                    return res.json({ output, error: true });
-                }
-                res.json({ output: stdout || stderr || 'Command executed successfully' });
+            const changes = await syncWorkspaceSafe(req.project);
+            const serverMsg = `✅ Server started successfully!\n\n` +
+                            `📡 Access your server at:\n` +
+                            `   • http://127.0.0.1:${port}\n` +
+                            `   • http://localhost:${port}\n\n` +
+                            `🔄 Server is running with PID: ${entry.pid} (stop it with "kill ${entry.pid}", see its output with "logs ${entry.pid}")\n\n` +
+                            (entry.log ? `Server output:\n${entry.log}` : '');
+            return res.json({
+                output: serverMsg,
+                background: true,
+                pid: entry.pid,
+                url: `http://localhost:${port}`,
+                changes
             });
         }
+        
+        await entry.done;
+        const note = entry.limit ? `\n${commandPolicy.limitMessage(entry.limit, timeout)}` : '';
+        const failed = !!entry.limit || entry.exitCode !== 0;
+        res.json({
+            output: (entry.log || (failed ? '' : 'Command executed successfully')) + note,
+            error: failed,
+            exitCode: entry.exitCode,
+            limit: entry.limit,
+            pid: entry.pid,
+            changes: entry.changes
+        });
     } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/api/terminal/host', async (req, res) => {
+// Commands run in the project - in the terminal, with Run or by auto-fix:
+// who ran what, when, and how it ended
+app.get('/api/projects/:project/terminal-audit', requireAuth, requireProject('owner'), async (req, res) => {
+    try {
+        res.json({ entries: await db.listTerminalAudit(req.project) });
+    } catch (err) {
+        console.error('Load terminal audit error', err);
+        res.status(500).json({ error: 'Could not load the terminal audit log' });
+    }
+});
+
+// Interactive terminal sessions: one shell per project, output streamed over SSE
+app.post('/api/terminal/sessions', requireAuth, requireProject('editor'), async (req, res) => {
     try {
-        const { project, port: requestedPort } = req.body;
+        const { project, cols, rows } = req.body || {};
         if (!project) {
             return res.status(400).json({ error: 'Project required' });
         }
         
-        // NOTE: Preview server is not available with database storage
-        // Files need to be on disk to serve them
-        return res.json({
-            success: false,
-            message: '⚠️ Preview server is not available with database storage. Deploy to Vercel to host your project.'
+        await ensureDbInitialized();
+        const { session, reused } = await terminal.openSession(req.project, {
+            cols: clampTerminalSize(cols, 80),
+            rows: clampTerminalSize(rows, 24)
         });
+        res.json({ id: session.id, pid: session.process.pid, pty: session.pty, reused });
+    } catch (err) {
+        console.error('Terminal session error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Loads the terminal session in the URL if the user can edit its project
+async function requireTerminalSession(req, res, next) {
+    try {
+        const session = terminal.getSession(req.params.id);
+        const role = session && await db.getProjectRole(session.project.id, req.user.id);
+        if (!db.hasRole({ role }, 'editor')) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        req.terminalSession = session;
+        next();
+    } catch (err) {
+        console.error('Terminal session access error:', err);
+        res.status(500).json({ error: 'Could not check session access' });
+    }
+}
+
+app.get('/api/terminal/sessions/:id/stream', requireAuth, requireTerminalSession, (req, res) => {
+    const session = req.terminalSession;
+    
+    // EventSource sends Last-Event-ID when it reconnects
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.since || '0', 10) || 0;
+    
+    startEventStream(res);
+    const detach = terminal.attach(session, (event) => {
+        sendEvent(res, event.type, event.data, event.id);
+    }, lastEventId);
+    
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        detach();
+    });
+});
+
+app.post('/api/terminal/sessions/:id/input', requireAuth, requireTerminalSession, async (req, res) => {
+    const session = req.terminalSession;
+    if (session.exited) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const { data } = req.body || {};
+    if (typeof data !== 'string') {
+        return res.status(400).json({ error: 'Input data required' });
+    }
+    
+    try {
+        await terminal.writeInput(session, data, { userId: req.user.id });
+        res.json({ ok: true });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Terminal input error:', err);
+        res.status(500).json({ error: 'Could not send input' });
+    }
+});
+
+app.post('/api/terminal/sessions/:id/resize', requireAuth, requireTerminalSession, (req, res) => {
+    const session = req.terminalSession;
+    const { cols, rows } = req.body || {};
+    terminal.resize(session, clampTerminalSize(cols, 80), clampTerminalSize(rows, 24));
+    res.json({ ok: true });
+});
+
+app.delete('/api/terminal/sessions/:id', requireAuth, requireTerminalSession, (req, res) => {
+    terminal.closeSession(req.terminalSession.id);
+    res.json({ ok: true });
+});
+
+function clampTerminalSize(value, fallback) {
+    const size = parseInt(value, 10);
+    if (!size || size < 10) return fallback;
+    return Math.min(size, 500);
+}
+
+app.post('/api/terminal/host', requireAuth, requireProject('editor'), async (req, res) => {
+    try {
+        const { project } = req.body;
+        if (!project) {
+            return res.status(400).json({ error: 'Project required' });
+        }
         
-        /* Original implementation commented out - requires filesystem
-        const projectPath = safeProjectPath(project);
-        const previewPort = requestedPort || (3000 + Math.floor(Math.random() * 1000));
-        
-        // Check if already hosting on this port
-        if (previewServers.has(project)) {
-            const existingPort = previewServers.get(project);
+        if (previewServers.has(req.project.id)) {
             return res.json({ 
                 message: 'Preview server already running',
-                url: `http://localhost:${existingPort}`
+                url: previewServers.get(req.project.id).url
             });
         }
         
-        // Create a simple static file server for the project
-        const express2 = require('express');
-        const previewApp = express2();
-        previewApp.use(express2.static(projectPath));
-        
-        const server = previewApp.listen(previewPort, () => {
-            console.log(`Preview server for ${project} on port ${previewPort}`);
-        });
-        
-        previewServers.set(project, { port: previewPort, server });
-        
+        // Previews are served by this server from the files table (see /preview below).
+        // Keyed by project id, so collaborators share the host's URL.
+        const token = crypto.randomBytes(18).toString('base64url');
+        const url = `${req.protocol}://${req.get('host')}${previewPath(project, token)}`;
+        previewServers.set(req.project.id, { url, token, project: req.project, startedAt: new Date().toISOString() });
         res.json({ 
-            message: `Preview server started on port ${previewPort}`,
-            url: `http://localhost:${previewPort}`
+            message: `Preview server started for ${project}`,
+            url
         });
-        */
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/api/terminal/stop', async (req, res) => {
+app.post('/api/terminal/stop', requireAuth, requireProject('editor'), async (req, res) => {
     try {
         const { project } = req.body;
         if (!project) {
             return res.status(400).json({ error: 'Project required' });
         }
         
-        if (previewServers.has(project)) {
-            const { server, port } = previewServers.get(project);
-            server.close();
-            previewServers.delete(project);
+        if (previewServers.has(req.project.id)) {
+            const { url } = previewServers.get(req.project.id);
+            previewServers.delete(req.project.id);
             res.json({ 
                 success: true,
-                message: `Preview server stopped (was on port ${port})`
+                message: `Preview server stopped (was at ${url})`
             });
         } else {
             res.json({ 
@@ -1248,68 +2262,181 @@ app.post('/api/terminal/stop', async (req, res) => {
     }
 });
 
-app.post('/api/terminal/kill', async (req, res) => {
+function previewPath(project, token) {
+    return `/preview/${encodeURIComponent(project)}/${token}/`;
+}
+
+// Previews run in a sandbox with an origin of their own, so their scripts
+// can't use the IDE's session; the token in the URL stands in for it
+const PREVIEW_CSP = 'sandbox allow-scripts allow-forms allow-modals';
+
+function findPreview(token) {
+    for (const preview of previewServers.values()) {
+        if (preview.token === token) return preview;
+    }
+    return null;
+}
+
+// The preview's files are read as its host, who must still be able to edit
+// the project; a host who has lost that stops the preview
+async function previewAccess(preview) {
+    const { project } = preview;
+    const role = await db.getProjectRole(project.id, project.userId);
+    if (!db.hasRole({ role }, 'editor')) {
+        if (previewServers.get(project.id) === preview) previewServers.delete(project.id);
+        return null;
+    }
+    return { ...project, role };
+}
+
+// Serve a hosted project's static files straight from the database
+app.get('/preview/:project/:token/{*filepath}', async (req, res) => {
+    res.set('Content-Security-Policy', PREVIEW_CSP);
+    const preview = findPreview(req.params.token);
+    if (!preview) {
+        return res.status(404).type('text/plain').send(`No preview server running for ${req.params.project}. Run "host" in the terminal to start one.`);
+    }
+    
+    try {
+        await ensureDbInitialized();
+        const project = await previewAccess(preview);
+        if (!project) {
+            return res.status(404).type('text/plain').send(`No preview server running for ${req.params.project}. Run "host" in the terminal to start one.`);
+        }
+        const requested = (req.params.filepath || []).filter(Boolean).join('/');
+        const trailingSlash = req.path.endsWith('/');
+        
+        // Resolve "" and "folder/" to their index.html
+        const candidates = !requested || trailingSlash
+            ? [requested ? `${requested}/index.html` : 'index.html']
+            : [requested];
+        
+        for (const filepath of candidates) {
+            const content = await readFileOrNull(project, filepath);
+            if (content !== null) {
+                res.set('Cache-Control', 'no-store');
+                res.type(path.extname(filepath) || 'text/plain');
+                return res.send(content);
+            }
+        }
+        
+        // A folder requested without its trailing slash - redirect so relative links resolve
+        if (!trailingSlash && requested && await readFileOrNull(project, `${requested}/index.html`) !== null) {
+            return res.redirect(`${previewPath(req.params.project, preview.token)}${requested.split('/').map(encodeURIComponent).join('/')}/`);
+        }
+        
+        res.status(404).type('text/plain').send(`File not found: ${requested || 'index.html'}`);
+    } catch (err) {
+        console.error('Preview error:', err);
+        res.status(500).type('text/plain').send('Could not load preview');
+    }
+});
+
+// Registered after the file route: non-strict routing also matches "/preview/:project/:token/" here
+app.get('/preview/:project/:token', (req, res) => {
+    res.redirect(previewPath(req.params.project, req.params.token));
+});
+
+async function readFileOrNull(project, filepath) {
     try {
-        const { pid } = req.body;
+        return await db.readFile(project, filepath);
+    } catch {
+        return null;
+    }
+}
+
+app.post('/api/terminal/kill', requireAuth, async (req, res) => {
+    try {
+        const pid = parseInt(req.body.pid, 10);
         if (!pid) {
             return res.status(400).json({ error: 'PID required' });
         }
         
-        // Try to kill the process
-        exec(`taskkill /F /PID ${pid}`, (error, stdout, stderr) => {
-            if (error) {
-                return res.json({ 
-                    success: false, 
-                    error: `Could not kill process: ${stderr || error.message}` 
-                });
+        // Commands the user started
+        const entry = processes.find(pid, req.user.id);
+        if (entry) {
+            if (!processes.kill(entry)) {
+                return res.json({ success: false, error: `Process ${pid} has already exited` });
             }
-            
-            // Also remove from tracked processes
-            for (const [key, process] of runningProcesses.entries()) {
-                if (process.pid === pid) {
-                    process.kill();
-                    runningProcesses.delete(key);
-                }
-            }
-            
-            res.json({ 
+            return res.json({ success: true, message: `Process ${pid} killed` });
+        }
+        
+        // Terminal sessions are shared by everyone who can edit the project
+        const editable = new Set((await db.listProjects(req.user))
+            .filter(p => db.hasRole(p, 'editor'))
+            .map(p => p.id));
+        const session = terminal.listSessions().find(s => s.process.pid === pid && editable.has(s.project.id));
+        if (session) {
+            terminal.closeSession(session.id);
+            return res.json({ 
                 success: true, 
-                message: `Process ${pid} killed` 
+                message: `Terminal session ${pid} closed` 
             });
-        });
+        }
+        
+        res.status(404).json({ success: false, error: `No process ${pid} of yours` });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.get('/api/terminal/processes', async (req, res) => {
+// "running", "exited with code 1", "exited with SIGKILL"; how commands typed
+// into a terminal session exit isn't known
+function processStatus(info) {
+    if (info.running) return 'running';
+    if (info.signal) return `exited with ${info.signal}`;
+    return info.exitCode === null ? 'exited' : `exited with code ${info.exitCode}`;
+}
+
+app.get('/api/terminal/processes', requireAuth, async (req, res) => {
     try {
-        const processes = [];
+        const list = [];
+        const projects = new Map((await db.listProjects(req.user)).map(p => [p.id, p]));
         
-        // Add tracked running processes
-        for (const [key, process] of runningProcesses.entries()) {
-            if (process.pid) {
-                processes.push({
-                    pid: process.pid,
-                    name: `Background process (${key})`
-                });
-            }
+        // Commands the user started - in the terminal, with Run or through
+        // auto-fix - including recently exited ones
+        for (const entry of processes.list(req.user.id)) {
+            const info = processes.info(entry);
+            list.push(Object.assign(info, {
+                name: `${info.command} (${info.project}, ${info.source}, ${processStatus(info)}, started ${new Date(info.startedAt).toLocaleTimeString()})`
+            }));
+        }
+        
+        // Add interactive terminal sessions of projects the user can edit
+        for (const session of terminal.listSessions()) {
+            const project = projects.get(session.project.id);
+            if (!project || !db.hasRole(project, 'editor')) continue;
+            list.push({
+                pid: session.process.pid,
+                name: `Terminal session (${project.ref})`
+            });
         }
         
-        // Add preview servers
-        for (const [project, { port }] of previewServers.entries()) {
-            processes.push({
+        // Add preview servers (served in-process; stopped with "stop-server")
+        for (const [projectId, { url, startedAt }] of previewServers.entries()) {
+            if (!projects.has(projectId)) continue;
+            list.push({
                 pid: 'N/A',
-                name: `Preview server: ${project} (port ${port})`
+                name: `Preview server: ${projects.get(projectId).ref} at ${url} (since ${new Date(startedAt).toLocaleTimeString()})`
             });
         }
         
-        res.json({ processes });
+        res.json({ processes: list });
     } catch (err) {
         res.status(500).json({ error: err.message, processes: [] });
     }
 });
 
+// The output a command the user started has printed so far (the end of it)
+app.get('/api/terminal/processes/:pid/logs', requireAuth, (req, res) => {
+    const entry = processes.find(parseInt(req.params.pid, 10), req.user.id);
+    if (!entry) {
+        return res.status(404).json({ error: `No process ${req.params.pid} of yours` });
+    }
+    const info = processes.info(entry);
+    res.json(Object.assign(info, { log: entry.log, status: processStatus(info) }));
+});
+
 // Export for Vercel serverless
 module.exports = app;
 
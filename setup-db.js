@@ -17,9 +17,21 @@ async function setupDatabase() {
         
         console.log('\n✅ Database setup complete!');
         console.log('\nDatabase tables created:');
+        console.log('  ✓ users');
+        console.log('  ✓ sessions');
         console.log('  ✓ projects');
+        console.log('  ✓ project_members');
         console.log('  ✓ files');
+        console.log('  ✓ file_revisions');
+        console.log('  ✓ file_chunks');
+        console.log('  ✓ project_ai_settings');
+        console.log('  ✓ user_settings');
+        console.log('  ✓ chat_threads');
         console.log('  ✓ chat_history');
+        console.log('  ✓ conversations');
+        console.log('  ✓ conversation_messages');
+        console.log('  ✓ run_configurations');
+        console.log('  ✓ terminal_audit');
         console.log('\n🚀 You can now start the server with: node server.js');
         
         process.exit(0);
@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const db = require('./database');
+const workspace = require('./workspace');
+const processes = require('./processes');
+const policy = require('./command-policy');
+
+// node-pty gives us a real terminal (REPLs, prompts, resize). It is an
+// optional native dependency, so fall back to plain pipes without it.
+let pty = null;
+try {
+    pty = require('node-pty');
+} catch {
+    console.log('⚠️ node-pty not available, terminal sessions will use plain pipes');
+}
+
+const MAX_BUFFERED_EVENTS = 2000;      // Replayed to clients that reconnect
+const IDLE_TIMEOUT = 10 * 60 * 1000;   // Kill sessions nobody is watching
+const SYNC_DELAY = 1000;               // Sync files once output goes quiet
+const TRACK_DELAYS = [300, 1500];      // When to look for what a command line started
+
+const sessions = new Map();            // session id -> session
+const sessionsByProject = new Map();   // project id -> session id
+
+function shellCommand() {
+    if (process.platform === 'win32') {
+        return { file: 'powershell.exe', args: ['-NoLogo'] };
+    }
+    const file = process.env.SHELL || '/bin/bash';
+    // Skip rc files so the prompt stays predictable
+    const args = file.endsWith('bash') ? ['--norc', '--noprofile'] : [];
+    // The shell, and so everything it starts, gets the CPU time and memory limits
+    return { file: '/bin/sh', args: ['-c', policy.limitedCommand('exec "$0" "$@"'), file, ...args] };
+}
+
+// The server's credentials stay out of the shell (see workspace.commandEnv)
+function shellEnv() {
+    return workspace.commandEnv({
+        PS1: '$ ',
+        TERM: 'dumb' // The browser terminal renders plain text
+    });
+}
+
+function emit(session, type, data) {
+    const event = { id: session.nextEventId++, type, data };
+    session.events.push(event);
+    if (session.events.length > MAX_BUFFERED_EVENTS) {
+        session.events.splice(0, session.events.length - MAX_BUFFERED_EVENTS);
+    }
+    for (const listener of session.listeners) {
+        listener(event);
+    }
+}
+
+// Debounced workspace -> database sync while the session is producing output
+function scheduleSync(session) {
+    clearTimeout(session.syncTimer);
+    session.syncTimer = setTimeout(() => syncSession(session), SYNC_DELAY);
+}
+
+// The access `userId` has to the session's project now. Sessions are shared
+// and outlive memberships, so a role is never taken from when one was opened.
+async function currentAccess(session, userId) {
+    const role = await db.getProjectRole(session.project.id, userId);
+    if (!db.hasRole({ role }, 'editor')) {
+        const err = new Error('You need editor access to this project');
+        err.status = 403;
+        throw err;
+    }
+    return { ...session.project, userId, role };
+}
+
+// Changes on disk are stored as whoever last gave the session input, while
+// they can still edit; otherwise they wait for the next one who can
+async function syncSession(session) {
+    try {
+        const access = await currentAccess(session, session.writerId);
+        const changes = await workspace.syncWorkspace(access);
+        if (changes.created.length || changes.modified.length || changes.deleted.length) {
+            emit(session, 'changes', changes);
+        }
+    } catch (err) {
+        if (err.status === 403) return;
+        console.error('Terminal session sync error:', err);
+    }
+}
+
+function handleOutput(session, data) {
+    emit(session, 'output', data.toString());
+    // What the session prints while a command runs is mostly that command's
+    for (const entry of session.commands.values()) processes.appendLog(entry, data);
+    scheduleSync(session);
+}
+
+function handleExit(session, exitCode) {
+    if (session.exited) return;
+    session.exited = true;
+    session.exitCode = exitCode;
+    clearTimeout(session.syncTimer);
+    if (sessionsByProject.get(session.project.id) === session.id) {
+        sessionsByProject.delete(session.project.id);
+    }
+    syncSession(session).then(() => emit(session, 'exit', { code: exitCode }));
+    startIdleTimer(session);
+}
+
+function startIdleTimer(session) {
+    clearTimeout(session.idleTimer);
+    if (session.listeners.size > 0) return;
+    session.idleTimer = setTimeout(() => closeSession(session.id), session.exited ? 60 * 1000 : IDLE_TIMEOUT);
+}
+
+function spawnShell(session, cols, rows) {
+    const { file, args } = shellCommand();
+
+    if (pty) {
+        const term = pty.spawn(file, args, {
+            name: 'dumb',
+            cols,
+            rows,
+            cwd: session.dir,
+            env: shellEnv()
+        });
+        term.onData(data => handleOutput(session, data));
+        term.onExit(({ exitCode }) => handleExit(session, exitCode));
+        return {
+            pid: term.pid,
+            write: data => term.write(data),
+            resize: (c, r) => term.resize(c, r),
+            kill: () => term.kill()
+        };
+    }
+
+    const child = spawn(file, args, {
+        cwd: session.dir,
+        env: shellEnv(),
+        windowsHide: true
+    });
+    child.stdout.on('data', data => handleOutput(session, data));
+    child.stderr.on('data', data => handleOutput(session, data));
+    child.on('error', err => handleOutput(session, `Error: ${err.message}\n`));
+    child.on('exit', code => handleExit(session, code));
+    // Job control, so each command line gets its own process group as with a pty
+    if (process.platform !== 'win32') child.stdin.write('set -m\n');
+    return {
+        pid: child.pid,
+        // Without a tty the shell expects newlines, not carriage returns
+        write: data => child.stdin.write(data.replace(/\r\n?/g, '\n')),
+        resize: () => {},
+        kill: () => child.kill()
+    };
+}
+
+// Return the running session for a project, starting one if needed.
+// Collaborators share the session; files sync with the opener's access.
+async function openSession(project, { cols = 80, rows = 24 } = {}) {
+    const existingId = sessionsByProject.get(project.id);
+    const existing = existingId && sessions.get(existingId);
+    if (existing && !existing.exited) {
+        return { session: existing, reused: true };
+    }
+
+    const dir = await workspace.prepareWorkspace(project);
+    const session = {
+        id: crypto.randomUUID(),
+        project,
+        dir,
+        pty: !!pty,
+        startedAt: new Date().toISOString(),
+        events: [],
+        nextEventId: 1,
+        listeners: new Set(),
+        inputQueue: Promise.resolve(),
+        commands: new Map(),          // pid -> processes.js entry of what it is running
+        lastLine: null,               // The last command line submitted
+        writerId: project.userId,     // Who last gave the session input
+        exited: false,
+        exitCode: null,
+        syncTimer: null,
+        idleTimer: null
+    };
+    session.process = spawnShell(session, cols, rows);
+
+    sessions.set(session.id, session);
+    sessionsByProject.set(project.id, session.id);
+    startIdleTimer(session);
+    return { session, reused: false };
+}
+
+function getSession(id) {
+    return sessions.get(id) || null;
+}
+
+// Subscribe to session events, replaying anything after lastEventId
+function attach(session, listener, lastEventId = 0) {
+    for (const event of session.events) {
+        if (event.id > lastEventId) listener(event);
+    }
+    session.listeners.add(listener);
+    clearTimeout(session.idleTimer);
+
+    return () => {
+        session.listeners.delete(listener);
+        startIdleTimer(session);
+    };
+}
+
+// The shell's children that lead a process group: one per command line it
+// is running. Found through /proc, so elsewhere there are none.
+async function shellChildren(session) {
+    let names;
+    try {
+        names = await fsp.readdir('/proc');
+    } catch {
+        return [];
+    }
+    const children = [];
+    for (const name of names.filter(n => /^\d+$/.test(n))) {
+        try {
+            // "pid (comm) state ppid pgrp ...", where comm may contain anything
+            const stat = await fsp.readFile(`/proc/${name}/stat`, 'utf8');
+            const [, ppid, pgrp] = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            if (Number(ppid) === session.process.pid && pgrp === name) children.push(Number(name));
+        } catch {
+            // Exited meanwhile
+        }
+    }
+    return children;
+}
+
+// Whether a program runs in the foreground of the session's terminal, so
+// input goes to it rather than to the shell. Only a pty has a foreground,
+// and it is found through /proc.
+async function shellBusy(session) {
+    if (!session.pty) return false;
+    try {
+        // "pid (comm) state ppid pgrp session tty_nr tpgid ..."
+        const stat = await fsp.readFile(`/proc/${session.process.pid}/stat`, 'utf8');
+        const [, , pgrp, , , tpgid] = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        return Number(tpgid) > 0 && tpgid !== pgrp;
+    } catch {
+        return false;
+    }
+}
+
+// Register what a submitted command line started with processes.js, so it
+// shows up in `ps` and can be killed. What starts after a later line was
+// submitted is that line's. Resolves to the entries found for this one.
+async function trackCommands(session, line) {
+    const entries = [];
+    session.lastLine = line;
+    for (const delay of TRACK_DELAYS) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        if (session.exited || session.lastLine !== line) break;
+        for (const pid of await shellChildren(session)) {
+            if (session.commands.has(pid)) continue;
+            const entry = processes.track(line.access, { pid, userId: line.userId, command: line.command });
+            session.commands.set(pid, entry);
+            entry.done.then(() => session.commands.delete(pid));
+            entries.push(entry);
+        }
+        if (entries.length > 0) break;
+    }
+    return entries;
+}
+
+// Record a submitted line in the audit log. A command line is completed
+// there once what it started has exited; a line typed to a running program
+// is recorded as input.
+async function auditLine(session, line, busy) {
+    const id = await db.addTerminalAudit(line.access, line.userId, line.command, {
+        status: busy ? 'input' : 'running',
+        source: line.source
+    });
+    if (busy) return;
+    const entries = await trackCommands(session, line);
+    await Promise.all(entries.map(entry => entry.done));
+    await db.finishTerminalAudit(id, { status: entries.some(entry => entry.killed) ? 'killed' : 'exited' });
+}
+
+// Input from `userId`; `command` names what a command line runs if it isn't
+// the line itself, and `source` where it came from (see db.addTerminalAudit).
+// Submitted lines are checked against the command policy - typed to a
+// running program too, which may be another shell - and a refused one isn't
+// sent: it fails with a 403 error. So does input from someone who can no
+// longer edit the project.
+async function writeInput(session, data, { userId = null, command = null, source = 'terminal' } = {}) {
+    const access = await currentAccess(session, userId);
+    const submitted = /[\r\n]/.test(data);
+    const line = submitted && data.trim() ? { userId, access, command: command || data.replace(/\r\n?/g, '\n').trim(), source } : null;
+    if (line) {
+        const refused = policy.checkCommand(line.command);
+        if (refused) {
+            await db.addTerminalAudit(access, userId, line.command, { status: 'denied', reason: refused, source });
+            const err = new Error(refused);
+            err.status = 403;
+            throw err;
+        }
+    }
+
+    // Pull editor saves into the workspace before a command line is submitted.
+    // Inputs are queued so they reach the shell in order.
+    session.inputQueue = session.inputQueue.then(async () => {
+        if (session.exited) return;
+        session.writerId = userId;
+        if (submitted) {
+            try {
+                await workspace.prepareWorkspace(access);
+            } catch (err) {
+                console.error('Terminal session workspace error:', err);
+            }
+        }
+        const busy = line ? await shellBusy(session) : false;
+        session.process.write(data);
+        if (line) {
+            auditLine(session, line, busy).catch(err => console.error('Terminal audit error:', err));
+        }
+    });
+    return session.inputQueue;
+}
+
+// A command line for the session's shell that runs `command` in a folder of
+// the project with extra variables, without leaving the shell in that folder
+// or with those variables set
+function configuredCommandLine(session, command, { cwd = '', env = {} }) {
+    const dir = path.join(session.dir, cwd);
+    if (process.platform === 'win32') {
+        const quote = value => `'${value.replace(/'/g, "''")}'`;
+        const names = Object.keys(env);
+        const set = names.map(name => `$env:${name} = ${quote(env[name])}; `).join('');
+        const unset = names.length ? `; Remove-Item ${names.map(name => `Env:${name}`).join(', ')} -ErrorAction SilentlyContinue` : '';
+        return `Push-Location -LiteralPath ${quote(dir)}; try { ${set}${command} } finally { Pop-Location${unset} }`;
+    }
+    const quote = value => `'${value.replace(/'/g, "'\\''")}'`;
+    const exports = Object.keys(env).map(name => `export ${name}=${quote(env[name])} && `).join('');
+    return `(cd ${quote(dir)} && ${exports}${command})`;
+}
+
+// Type a run configuration's command (or its test command) into the session for `userId`
+function runConfiguration(session, configuration, { test = false, userId = null } = {}) {
+    const command = test ? configuration.testCommand : configuration.command;
+    return writeInput(session, configuredCommandLine(session, command, configuration) + '\r', { userId, command, source: 'run' });
+}
+
+function resize(session, cols, rows) {
+    if (session.exited) return;
+    session.process.resize(cols, rows);
+}
+
+function closeSession(id) {
+    const session = sessions.get(id);
+    if (!session) return;
+
+    sessions.delete(id);
+    if (sessionsByProject.get(session.project.id) === id) {
+        sessionsByProject.delete(session.project.id);
+    }
+    clearTimeout(session.idleTimer);
+    if (!session.exited) {
+        session.process.kill();
+    }
+    // Without a pty nothing hangs up on them
+    for (const entry of session.commands.values()) processes.kill(entry);
+}
+
+function listSessions() {
+    return Array.from(sessions.values()).filter(session => !session.exited);
+}
+
+module.exports = {
+    openSession,
+    getSession,
+    attach,
+    writeInput,
+    runConfiguration,
+    resize,
+    closeSession,
+    listSessions
+};
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const os = require('os');
+const path = require('path');
+const db = require('./database');
+
+// Project files live in the database; commands need them on disk.
+// Each project gets its own working directory that is filled from the
+// `files` table before a command runs and synced back afterwards.
+const WORKSPACE_ROOT = process.env.WORKSPACE_DIR || path.join(os.tmpdir(), 'noscode-workspaces');
+
+// Folders that stay on disk only (dependencies, caches, VCS metadata)
+const IGNORED_DIRS = db.IGNORED_DIRS;
+
+// Files larger than this are left on disk instead of being stored
+const MAX_SYNC_FILE_SIZE = 1024 * 1024;
+
+// The only server environment commands in a workspace get: whatever else
+// the server was started with (credentials, API keys) stays with it
+const COMMAND_ENV_VARS = [
+    'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LANGUAGE', 'TERM', 'TMPDIR', 'TZ',
+    // Windows needs these to start anything
+    'SystemRoot', 'SYSTEMROOT', 'windir', 'COMSPEC', 'PATHEXT', 'TEMP', 'TMP', 'USERPROFILE', 'APPDATA', 'LOCALAPPDATA'
+];
+
+// project id -> { dir, snapshot: Map<filepath, content> }
+// The snapshot holds the content both sides agreed on at the last sync,
+// so we can tell which side changed a file.
+const workspaces = new Map();
+
+function workspaceDirName(projectId, projectName) {
+    return `${projectId}-${projectName.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+}
+
+// Resolve a stored filepath inside the workspace, rejecting anything that escapes it
+function resolveInside(dir, filepath) {
+    const fullPath = path.resolve(dir, filepath);
+    if (fullPath !== dir && !fullPath.startsWith(dir + path.sep)) {
+        throw new Error(`Invalid file path: ${filepath}`);
+    }
+    return fullPath;
+}
+
+async function readIfExists(fullPath) {
+    try {
+        return await fsp.readFile(fullPath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+// Walk the workspace and collect syncable text files as { filepath: content }
+async function readWorkspaceFiles(dir, subpath = '', result = {}) {
+    const entries = await fsp.readdir(path.join(dir, subpath), { withFileTypes: true });
+
+    for (const entry of entries) {
+        const relativePath = subpath ? `${subpath}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+            if (IGNORED_DIRS.has(entry.name)) continue;
+            await readWorkspaceFiles(dir, relativePath, result);
+        } else if (entry.isFile()) {
+            if (!db.validFilepath(relativePath)) continue; // A name no stored path could have
+            const fullPath = path.join(dir, relativePath);
+            const stat = await fsp.stat(fullPath);
+            if (stat.size > MAX_SYNC_FILE_SIZE) continue;
+
+            const buffer = await fsp.readFile(fullPath);
+            if (buffer.includes(0)) continue; // Binary file - can't be stored as text
+            result[relativePath] = buffer.toString('utf8');
+        }
+    }
+
+    return result;
+}
+
+// Remove everything from a stale workspace except the ignored folders
+async function clearWorkspace(dir) {
+    const entries = await fsp.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        if (entry.isDirectory() && IGNORED_DIRS.has(entry.name)) continue;
+        await fsp.rm(path.join(dir, entry.name), { recursive: true, force: true });
+    }
+}
+
+async function removeEmptyParents(dir, fullPath) {
+    let parent = path.dirname(fullPath);
+    while (parent !== dir && parent.startsWith(dir)) {
+        try {
+            await fsp.rmdir(parent);
+        } catch {
+            return; // Not empty
+        }
+        parent = path.dirname(parent);
+    }
+}
+
+// Bring the workspace up to date with the database and return its path.
+// `project` is an access object from db.getProjectAccess().
+async function prepareWorkspace(project) {
+    if (!project) throw new Error('Project not found');
+
+    let workspace = workspaces.get(project.id);
+    if (!workspace) {
+        const dir = path.join(WORKSPACE_ROOT, workspaceDirName(project.id, project.name));
+        await fsp.mkdir(dir, { recursive: true });
+        await clearWorkspace(dir);
+        workspace = { dir, snapshot: new Map() };
+        workspaces.set(project.id, workspace);
+    }
+
+    const { dir, snapshot } = workspace;
+    const files = await db.getProjectFileContents(project);
+    const stored = new Set();
+
+    for (const { filepath, content } of files) {
+        // Rows written before paths were validated never reach the disk
+        if (!db.validFilepath(filepath)) continue;
+        stored.add(filepath);
+        if (snapshot.get(filepath) === content) continue;
+
+        const fullPath = resolveInside(dir, filepath);
+        await fsp.mkdir(path.dirname(fullPath), { recursive: true });
+        await fsp.writeFile(fullPath, content, 'utf8');
+        snapshot.set(filepath, content);
+    }
+
+    // Files deleted in the editor since the last sync
+    for (const filepath of Array.from(snapshot.keys())) {
+        if (stored.has(filepath)) continue;
+        const fullPath = resolveInside(dir, filepath);
+        await fsp.rm(fullPath, { force: true });
+        await removeEmptyParents(dir, fullPath);
+        snapshot.delete(filepath);
+    }
+
+    return dir;
+}
+
+// Copy files created, modified or deleted on disk back into the database.
+// `source` is recorded in each file's history (see db.writeFile).
+async function syncWorkspace(project, source = 'terminal') {
+    const changes = { created: [], modified: [], deleted: [] };
+    const workspace = workspaces.get(project.id);
+    if (!workspace) return changes;
+
+    const { dir, snapshot } = workspace;
+    const onDisk = await readWorkspaceFiles(dir);
+
+    for (const [filepath, content] of Object.entries(onDisk)) {
+        const previous = snapshot.get(filepath);
+        if (previous === content) continue;
+
+        await db.writeFile(project, filepath, content, source);
+        snapshot.set(filepath, content);
+        (previous === undefined ? changes.created : changes.modified).push(filepath);
+    }
+
+    for (const filepath of Array.from(snapshot.keys())) {
+        if (filepath in onDisk) continue;
+        // Still on disk but no longer syncable (grew too large, became binary)
+        if (await readIfExists(resolveInside(dir, filepath)) !== null) continue;
+
+        await db.deleteFile(project, filepath, source);
+        snapshot.delete(filepath);
+        changes.deleted.push(filepath);
+    }
+
+    return changes;
+}
+
+function commandEnv(extra = {}) {
+    const env = {};
+    for (const [name, value] of Object.entries(process.env)) {
+        if (COMMAND_ENV_VARS.includes(name) || name.startsWith('LC_')) env[name] = value;
+    }
+    return Object.assign(env, extra);
+}
+
+// Kill a command and whatever it started
+function killCommand(child) {
+    try {
+        if (process.platform === 'win32') child.kill();
+        else process.kill(-child.pid, 'SIGKILL');
+    } catch {
+        // Already gone
+    }
+}
+
+// Drop a workspace from disk, e.g. after its project was deleted
+async function removeWorkspace(projectId) {
+    const workspace = workspaces.get(projectId);
+    if (!workspace) return;
+    workspaces.delete(projectId);
+    await fsp.rm(workspace.dir, { recursive: true, force: true });
+}
+
+function describeChanges(changes) {
+    const lines = [];
+    if (changes.created.length) lines.push(`Created: ${changes.created.join(', ')}`);
+    if (changes.modified.length) lines.push(`Modified: ${changes.modified.join(', ')}`);
+    if (changes.deleted.length) lines.push(`Deleted: ${changes.deleted.join(', ')}`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    WORKSPACE_ROOT,
+    IGNORED_DIRS,
+    prepareWorkspace,
+    syncWorkspace,
+    resolveInside,
+    commandEnv,
+    killCommand,
+    removeWorkspace,
+    describeChanges
+};